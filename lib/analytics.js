@@ -1,7 +1,8 @@
 const config = require("./config");
 const logger = require("./logger");
+const { getDefaultPeriod, toDateRange, getPreviousDateRange, listDates } = require("./period");
 
-async function fetchGoogleAnalyticsData() {
+async function fetchGoogleAnalyticsData(period = getDefaultPeriod()) {
   logger.info("[ga-auth] GA_PROPERTY_ID:", config.GA_PROPERTY_ID || "(not set)");
   logger.debug("[ga-auth] GA_SERVICE_ACCOUNT_JSON exists:", !!config.GA_SERVICE_ACCOUNT_JSON);
   logger.debug("[ga-auth] GA_SERVICE_ACCOUNT_JSON length:", config.GA_SERVICE_ACCOUNT_JSON?.length || 0);
@@ -36,52 +37,254 @@ async function fetchGoogleAnalyticsData() {
 
   const analyticsData = google.analyticsdata({ version: "v1beta", auth });
 
-  const today = new Date();
-  const thirtyDaysAgo = new Date(today);
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-  const formatDate = (d) => d.toISOString().split("T")[0];
+  const currentRange = toDateRange(period);
+  const previousRange = getPreviousDateRange(period);
 
   logger.info("[ga] fetching data for property:", config.GA_PROPERTY_ID);
-  logger.info("[ga] date range:", formatDate(thirtyDaysAgo), "to", formatDate(today));
+  logger.info("[ga] date range:", currentRange.startDate, "to", currentRange.endDate,
+    "| previous:", previousRange.startDate, "to", previousRange.endDate);
+
+  // Two named date ranges in one report — GA4 adds a dateRange dimension carrying the name.
+  // Only the totals report is required; each breakdown that fails comes back null on its own.
+  const [res, daily, countries, channels, sourceMedium, landingPages, devices] = await Promise.all([
+    analyticsData.properties.runReport({
+      property: `properties/${config.GA_PROPERTY_ID}`,
+      requestBody: {
+        dateRanges: [
+          { ...currentRange, name: "current" },
+          { ...previousRange, name: "previous" },
+        ],
+        metrics: [
+          { name: "sessions" },
+          { name: "screenPageViews" },
+          { name: "activeUsers" },
+          { name: "bounceRate" },
+          { name: "addToCarts" },
+          { name: "checkouts" },
+        ],
+      },
+    }),
+    optionalReport("daily", fetchDailySeries(analyticsData, currentRange)),
+    optionalReport("country", fetchCountrySessions(analyticsData, currentRange)),
+    optionalReport("channel", fetchChannelBreakdown(analyticsData, currentRange, previousRange)),
+    optionalReport("source / medium", fetchSourceMedium(analyticsData, currentRange)),
+    optionalReport("landing page", fetchLandingPages(analyticsData, currentRange)),
+    optionalReport("device", fetchDeviceSplit(analyticsData, currentRange)),
+  ]);
+
+  const metadata = res.data.metadata;
+  if (metadata) {
+    if (metadata.dataLossFromOtherRow) logger.warn("[ga] WARNING: dataLossFromOtherRow =", metadata.dataLossFromOtherRow);
+    if (metadata.samplingMetadatas?.length) logger.warn("[ga] WARNING: response is SAMPLED:", JSON.stringify(metadata.samplingMetadatas));
+    if (metadata.schemaRestrictionResponse) logger.warn("[ga] WARNING: schema restriction (thresholding):", JSON.stringify(metadata.schemaRestrictionResponse));
+  }
+  logger.info("[ga] row count:", res.data.rows?.length || 0);
+  logger.debug("[ga] rowCount (from API):", res.data.rowCount);
+
+  const rows = res.data.rows || [];
+  const currentRow = rows.find(r => r.dimensionValues?.[0]?.value === "current");
+  const previousRow = rows.find(r => r.dimensionValues?.[0]?.value === "previous");
+  if (!currentRow) {
+    logger.info("[ga] no data returned");
+  }
+
+  const metrics = { ...parseMetricRow(currentRow), previous: parseMetricRow(previousRow), daily, countries, channels, sourceMedium, landingPages, devices };
 
+  logger.info("[ga] data:", metrics);
+  return metrics;
+}
+
+// A breakdown report that failed (quota, a dimension the property doesn't have) resolves to null
+function optionalReport(label, promise) {
+  return promise.catch(err => {
+    logger.error(`[ga] ${label} report failed \u2014 leaving it out:`, err.message);
+    return null;
+  });
+}
+
+// Sessions, users and page views per day (zero-filled) for day-over-day checks
+async function fetchDailySeries(analyticsData, { startDate, endDate }) {
   const res = await analyticsData.properties.runReport({
     property: `properties/${config.GA_PROPERTY_ID}`,
     requestBody: {
-      dateRanges: [{ startDate: formatDate(thirtyDaysAgo), endDate: formatDate(today) }],
+      dateRanges: [{ startDate, endDate }],
+      dimensions: [{ name: "date" }],
       metrics: [
         { name: "sessions" },
-        { name: "screenPageViews" },
         { name: "activeUsers" },
-        { name: "bounceRate" },
+        { name: "screenPageViews" },
       ],
+      orderBys: [{ dimension: { dimensionName: "date" } }],
     },
   });
 
-  const metadata = res.data.metadata;
-  if (metadata) {
-    if (metadata.dataLossFromOtherRow) logger.warn("[ga] WARNING: dataLossFromOtherRow =", metadata.dataLossFromOtherRow);
-    if (metadata.samplingMetadatas?.length) logger.warn("[ga] WARNING: response is SAMPLED:", JSON.stringify(metadata.samplingMetadatas));
-    if (metadata.schemaRestrictionResponse) logger.warn("[ga] WARNING: schema restriction (thresholding):", JSON.stringify(metadata.schemaRestrictionResponse));
+  const byDate = {};
+  for (const row of res.data.rows || []) {
+    // GA4 returns dates as YYYYMMDD
+    const raw = row.dimensionValues[0].value;
+    byDate[`${raw.substring(0, 4)}-${raw.substring(4, 6)}-${raw.substring(6, 8)}`] = {
+      sessions: parseInt(row.metricValues[0].value, 10),
+      users: parseInt(row.metricValues[1].value, 10),
+      pageViews: parseInt(row.metricValues[2].value, 10),
+    };
   }
-  logger.info("[ga] row count:", res.data.rows?.length || 0);
-  logger.debug("[ga] rowCount (from API):", res.data.rowCount);
 
-  const row = res.data.rows?.[0];
-  if (!row) {
-    logger.info("[ga] no data returned");
-    return { sessions: 0, pageViews: 0, users: 0, bounceRate: 0 };
+  logger.info("[ga] daily rows:", res.data.rows?.length || 0);
+  return listDates(startDate, endDate).map(date => ({ date, ...(byDate[date] || { sessions: 0, users: 0, pageViews: 0 }) }));
+}
+
+// Sessions per country (top 25), keyed by ISO code so they can be joined to Shopify shipping countries
+async function fetchCountrySessions(analyticsData, { startDate, endDate }) {
+  const res = await analyticsData.properties.runReport({
+    property: `properties/${config.GA_PROPERTY_ID}`,
+    requestBody: {
+      dateRanges: [{ startDate, endDate }],
+      dimensions: [{ name: "countryId" }, { name: "country" }],
+      metrics: [{ name: "sessions" }],
+      orderBys: [{ metric: { metricName: "sessions" }, desc: true }],
+      limit: 25,
+    },
+  });
+
+  logger.info("[ga] country rows:", res.data.rows?.length || 0);
+  return (res.data.rows || []).map(row => ({
+    countryId: row.dimensionValues[0].value,
+    country: row.dimensionValues[1].value,
+    sessions: parseInt(row.metricValues[0].value, 10),
+  }));
+}
+
+// Sessions, engaged sessions and bounce rate per default channel group, current vs previous period
+async function fetchChannelBreakdown(analyticsData, currentRange, previousRange) {
+  const res = await analyticsData.properties.runReport({
+    property: `properties/${config.GA_PROPERTY_ID}`,
+    requestBody: {
+      dateRanges: [
+        { ...currentRange, name: "current" },
+        { ...previousRange, name: "previous" },
+      ],
+      dimensions: [{ name: "sessionDefaultChannelGroup" }],
+      metrics: [
+        { name: "sessions" },
+        { name: "engagedSessions" },
+        { name: "bounceRate" },
+      ],
+    },
+  });
+
+  // With multiple date ranges GA4 appends the dateRange dimension after the requested ones
+  const byChannel = {};
+  for (const row of res.data.rows || []) {
+    const channel = row.dimensionValues[0].value;
+    const range = row.dimensionValues[1].value;
+    if (!byChannel[channel]) byChannel[channel] = { channel, current: null, previous: null };
+    byChannel[channel][range] = parseChannelRow(row);
   }
 
-  const metrics = {
+  logger.info("[ga] channel rows:", res.data.rows?.length || 0);
+  return Object.values(byChannel)
+    .map(c => ({ channel: c.channel, ...(c.current || parseChannelRow(null)), previous: c.previous }))
+    .sort((a, b) => b.sessions - a.sessions);
+}
+
+// Top 10 source / medium pairs by sessions, for naming the specific source behind a channel
+async function fetchSourceMedium(analyticsData, { startDate, endDate }) {
+  const res = await analyticsData.properties.runReport({
+    property: `properties/${config.GA_PROPERTY_ID}`,
+    requestBody: {
+      dateRanges: [{ startDate, endDate }],
+      dimensions: [{ name: "sessionSourceMedium" }],
+      metrics: [
+        { name: "sessions" },
+        { name: "engagedSessions" },
+        { name: "bounceRate" },
+      ],
+      orderBys: [{ metric: { metricName: "sessions" }, desc: true }],
+      limit: 10,
+    },
+  });
+
+  return (res.data.rows || []).map(row => ({ sourceMedium: row.dimensionValues[0].value, ...parseChannelRow(row) }));
+}
+
+// Top 10 landing pages by sessions, with bounce rate and average engagement time per session
+async function fetchLandingPages(analyticsData, { startDate, endDate }) {
+  const res = await analyticsData.properties.runReport({
+    property: `properties/${config.GA_PROPERTY_ID}`,
+    requestBody: {
+      dateRanges: [{ startDate, endDate }],
+      dimensions: [{ name: "landingPage" }],
+      metrics: [
+        { name: "sessions" },
+        { name: "bounceRate" },
+        { name: "userEngagementDuration" },
+      ],
+      orderBys: [{ metric: { metricName: "sessions" }, desc: true }],
+      limit: 10,
+    },
+  });
+
+  logger.info("[ga] landing page rows:", res.data.rows?.length || 0);
+  return (res.data.rows || []).map(row => {
+    const sessions = parseInt(row.metricValues[0].value, 10);
+    const engagementSeconds = parseFloat(row.metricValues[2].value);
+    return {
+      page: row.dimensionValues[0].value,
+      sessions,
+      bounceRate: parseFloat(row.metricValues[1].value),
+      avgEngagementSeconds: sessions > 0 ? engagementSeconds / sessions : 0,
+    };
+  });
+}
+
+// Sessions, bounce rate and engagement time per device category (desktop / mobile / tablet)
+async function fetchDeviceSplit(analyticsData, { startDate, endDate }) {
+  const res = await analyticsData.properties.runReport({
+    property: `properties/${config.GA_PROPERTY_ID}`,
+    requestBody: {
+      dateRanges: [{ startDate, endDate }],
+      dimensions: [{ name: "deviceCategory" }],
+      metrics: [
+        { name: "sessions" },
+        { name: "bounceRate" },
+        { name: "userEngagementDuration" },
+      ],
+      orderBys: [{ metric: { metricName: "sessions" }, desc: true }],
+    },
+  });
+
+  return (res.data.rows || []).map(row => {
+    const sessions = parseInt(row.metricValues[0].value, 10);
+    const engagementSeconds = parseFloat(row.metricValues[2].value);
+    return {
+      device: row.dimensionValues[0].value,
+      sessions,
+      bounceRate: parseFloat(row.metricValues[1].value),
+      avgEngagementSeconds: sessions > 0 ? engagementSeconds / sessions : 0,
+    };
+  });
+}
+
+function parseChannelRow(row) {
+  if (!row) return { sessions: 0, engagedSessions: 0, bounceRate: 0 };
+  return {
+    sessions: parseInt(row.metricValues[0].value, 10),
+    engagedSessions: parseInt(row.metricValues[1].value, 10),
+    bounceRate: parseFloat(row.metricValues[2].value),
+  };
+}
+
+// addToCarts / checkouts are the add_to_cart and begin_checkout events (0 if the store doesn't send them)
+function parseMetricRow(row) {
+  if (!row) return { sessions: 0, pageViews: 0, users: 0, bounceRate: 0, addToCarts: 0, checkouts: 0 };
+  return {
     sessions: parseInt(row.metricValues[0].value, 10),
     pageViews: parseInt(row.metricValues[1].value, 10),
     users: parseInt(row.metricValues[2].value, 10),
     bounceRate: parseFloat(row.metricValues[3].value),
+    addToCarts: parseInt(row.metricValues[4].value, 10),
+    checkouts: parseInt(row.metricValues[5].value, 10),
   };
-
-  logger.info("[ga] data:", metrics);
-  return metrics;
 }
 
 module.exports = { fetchGoogleAnalyticsData };
@@ -0,0 +1,246 @@
+const { isDeepStrictEqual } = require("util");
+const logger = require("./logger");
+const { createBackend } = require("./storage");
+const { ATTRIBUTION_WINDOWS } = require("./meta");
+const { validateContextSchema } = require("./context-schema");
+
+// --- Business Context (per shop; business-context.json is the template for shops that haven't saved one) ---
+
+// The template must be valid for the app to run at all
+const { context: defaultContext, errors: templateErrors } = validateContextSchema(require("../business-context.json"));
+if (templateErrors.length > 0) {
+  logger.error("[business-context] business-context.json is invalid:\n" + templateErrors.map(e => `  - ${e}`).join("\n"));
+  process.exit(1);
+}
+
+// Each shop stores only its overrides: the parts of its context that differ from the template. They are laid
+// over the template when read, so template changes reach every shop except where the shop has its own value.
+// Objects merge key by key; anything else (arrays such as seasonality_calendar included) replaces as a whole.
+const contextBackend = createBackend("business-context");
+const shopOverrides = contextBackend.load();
+// The validated, merged context served per shop. A shop whose overrides no longer pass the schema is served
+// the template until it saves again (its stored overrides are left untouched).
+const validContexts = {};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function mergeOverrides(base, overrides) {
+  if (!isPlainObject(base) || !isPlainObject(overrides)) return structuredClone(overrides);
+  const merged = structuredClone(base);
+  for (const [key, value] of Object.entries(overrides)) merged[key] = mergeOverrides(base[key], value);
+  return merged;
+}
+
+// The parts of context that differ from base; undefined when nothing does
+function diffOverrides(context, base) {
+  if (!isPlainObject(context) || !isPlainObject(base)) {
+    return isDeepStrictEqual(context, base) ? undefined : structuredClone(context);
+  }
+  const diff = {};
+  for (const [key, value] of Object.entries(context)) {
+    const changed = diffOverrides(value, base[key]);
+    if (changed !== undefined) diff[key] = changed;
+  }
+  return Object.keys(diff).length > 0 ? diff : undefined;
+}
+
+function persistOverrides() {
+  try {
+    contextBackend.save(shopOverrides);
+  } catch (err) {
+    logger.error("[business-context] failed to persist context:", err.message);
+  }
+}
+
+// Validate a shop's stored overrides on top of the template. Records saved as full copies (before overrides
+// were stored) come back trimmed to what differs from the template; returns whether the record changed.
+function loadShopContext(shop) {
+  const { context, errors } = validateContextSchema(mergeOverrides(defaultContext, shopOverrides[shop]));
+  if (errors.length > 0) {
+    logger.error("[business-context] stored context for", shop, "is invalid, using the template until it is saved again:", errors);
+    return false;
+  }
+  validContexts[shop] = context;
+  const overrides = diffOverrides(context, defaultContext) || {};
+  if (isDeepStrictEqual(overrides, shopOverrides[shop])) return false;
+  shopOverrides[shop] = overrides;
+  return true;
+}
+
+let needsPersist = false;
+for (const shop of Object.keys(shopOverrides)) {
+  if (loadShopContext(shop)) needsPersist = true;
+}
+
+// Calendars saved in the separate seasonality-calendar collection, before the calendar became part of the
+// business context, move into the shop's overrides unless the shop has saved a calendar there since
+const legacyCalendarBackend = createBackend("seasonality-calendar");
+const legacyCalendars = legacyCalendarBackend.load();
+for (const [shop, events] of Object.entries(legacyCalendars)) {
+  if (shopOverrides[shop] && shopOverrides[shop].seasonality_calendar) continue;
+  shopOverrides[shop] = { ...(shopOverrides[shop] || {}), seasonality_calendar: events };
+  loadShopContext(shop);
+  needsPersist = true;
+  logger.info("[business-context] moved", events.length, "seasonality event(s) for", shop, "into its business context");
+}
+if (needsPersist) persistOverrides();
+if (Object.keys(legacyCalendars).length > 0) {
+  try {
+    legacyCalendarBackend.save({});
+  } catch (err) {
+    logger.error("[business-context] failed to clear migrated seasonality calendars:", err.message);
+  }
+}
+
+// Fields editable from the settings page, by section. `path` is the dotted path into the context.
+// Types: text, textarea, number (empty → null unless required), list (comma-separated, or one per line with `lines`).
+const CONTEXT_SECTIONS = [
+  {
+    title: "Business profile",
+    fields: [
+      { path: "business_profile.store_name", label: "Store name", type: "text", required: true },
+      { path: "business_profile.industry", label: "Industry", type: "text" },
+      { path: "business_profile.business_stage", label: "Business stage", type: "text", hint: "e.g. launch, growth, mature" },
+      { path: "business_profile.aov_band", label: "AOV band", type: "text", hint: "e.g. \u00a318-25" },
+      { path: "business_profile.margin_model", label: "Margin model", type: "text", hint: "e.g. 55-70% gross margin" },
+      { path: "business_profile.currency", label: "Currency", type: "text", required: true },
+      { path: "business_profile.currency_symbol", label: "Currency symbol", type: "text", required: true },
+      { path: "business_profile.hero_products", label: "Hero products", type: "list", lines: true, hint: "Exact product titles, one per line" },
+      { path: "business_profile.primary_market", label: "Primary market", type: "text" },
+      { path: "business_profile.primary_market_country_codes", label: "Primary market country codes", type: "list", uppercase: true, hint: "ISO codes, comma-separated (e.g. GB)" },
+    ],
+  },
+  {
+    title: "Targets",
+    fields: [
+      { path: "targets_and_constraints.roas_goal", label: "ROAS goal (x)", type: "number" },
+      { path: "targets_and_constraints.cac_ceiling", label: "CAC ceiling", type: "number" },
+      { path: "targets_and_constraints.mer_goal", label: "MER goal (x)", type: "number" },
+    ],
+  },
+  {
+    title: "Attribution rules",
+    fields: [
+      { path: "attribution_rules.ad_conversions.attribution_windows", label: "Meta attribution windows", type: "list", required: true, options: ATTRIBUTION_WINDOWS, hint: "At most one click and one view window" },
+      { path: "attribution_rules.ad_conversions.report_windows", label: "Meta windows reported separately", type: "list", options: ATTRIBUTION_WINDOWS },
+      { path: "attribution_rules.expected_paid_meta_percentage", label: "Expected Meta share of orders (%)", type: "number" },
+      { path: "attribution_rules.discrepancy_flag.rule", label: "Cross-source validation rule", type: "textarea" },
+    ],
+  },
+  {
+    title: "Safety rails",
+    fields: [
+      { path: "trust_and_safety_rails.session_drop_flag.threshold_pct", label: "Session drop flag (% day-over-day)", type: "number", required: true },
+      { path: "trust_and_safety_rails.session_drop_flag.rule", label: "Session drop rule", type: "textarea", required: true },
+      { path: "trust_and_safety_rails.revenue_gap_flag.threshold_pct", label: "GA4 vs Shopify revenue gap flag (%)", type: "number", required: true },
+      { path: "trust_and_safety_rails.revenue_gap_flag.rule", label: "Revenue gap rule", type: "textarea", required: true },
+      { path: "trust_and_safety_rails.minimum_purchases.count", label: "Minimum purchases", type: "number", required: true },
+      { path: "trust_and_safety_rails.minimum_purchases.rule", label: "Minimum purchases rule", type: "textarea", required: true },
+      { path: "trust_and_safety_rails.minimum_trend_days.days", label: "Minimum trend days", type: "number", required: true },
+      { path: "trust_and_safety_rails.minimum_trend_days.rule", label: "Minimum trend days rule", type: "textarea", required: true },
+      { path: "trust_and_safety_rails.non_primary_market_flag.threshold_pct", label: "Non-primary market flag (% of revenue)", type: "number", required: true },
+      { path: "trust_and_safety_rails.non_primary_market_flag.rule", label: "Non-primary market rule", type: "textarea", required: true },
+      { path: "trust_and_safety_rails.low_stock_flag.days_of_cover", label: "Low stock flag (days of cover)", type: "number", required: true },
+      { path: "trust_and_safety_rails.low_stock_flag.rule", label: "Low stock rule", type: "textarea", required: true },
+    ],
+  },
+];
+
+function getPath(obj, path) {
+  return path.split(".").reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!node[key] || typeof node[key] !== "object") node[key] = {};
+    return node[key];
+  }, obj);
+  parent[last] = value;
+}
+
+// Deep copy, so callers can't mutate the template or the stored record
+function getBusinessContext(shop) {
+  return structuredClone(validContexts[shop] || defaultContext);
+}
+
+function hasCustomBusinessContext(shop) {
+  return !!validContexts[shop];
+}
+
+// Takes the shop's full context and stores what differs from the template. Throws if the context fails
+// the schema; nothing is saved in that case.
+function saveBusinessContext(shop, input) {
+  const { context, errors } = validateContextSchema(input);
+  if (errors.length > 0) {
+    throw new Error(`Invalid business context: ${errors.join("; ")}`);
+  }
+  validContexts[shop] = context;
+  shopOverrides[shop] = diffOverrides(context, defaultContext) || {};
+  persistOverrides();
+  logger.info("[business-context] saved context for", shop);
+  return getBusinessContext(shop);
+}
+
+// Drop the shop's overrides so it falls back to the template
+function resetBusinessContext(shop) {
+  delete validContexts[shop];
+  delete shopOverrides[shop];
+  persistOverrides();
+  logger.info("[business-context] reset context for", shop);
+}
+
+function parseFieldValue(field, raw) {
+  const value = String(raw === undefined || raw === null ? "" : raw).trim();
+  if (field.type === "number") {
+    if (value === "") {
+      if (field.required) throw new Error(`${field.label} is required`);
+      return null;
+    }
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`${field.label} must be a number of 0 or more`);
+    return n;
+  }
+  if (field.type === "list") {
+    const items = value.split(field.lines ? /\r?\n/ : /[,\r\n]/)
+      .map(item => (field.uppercase ? item.trim().toUpperCase() : item.trim()))
+      .filter(Boolean);
+    if (field.required && items.length === 0) throw new Error(`${field.label} is required`);
+    const unknown = field.options ? items.filter(item => !field.options.includes(item)) : [];
+    if (unknown.length > 0) throw new Error(`${field.label}: "${unknown[0]}" is not one of ${field.options.join(", ")}`);
+    return items;
+  }
+  if (field.required && value === "") throw new Error(`${field.label} is required`);
+  return value;
+}
+
+// Apply settings form values (keyed by field path) to a copy of context. Collects every field error,
+// then the schema's (path-specific) errors once the fields themselves parse.
+function applyContextForm(context, form) {
+  const updated = structuredClone(context);
+  const errors = [];
+  for (const section of CONTEXT_SECTIONS) {
+    for (const field of section.fields) {
+      try {
+        setPath(updated, field.path, parseFieldValue(field, form[field.path]));
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+  }
+  if (errors.length > 0) return { context: updated, errors };
+  return validateContextSchema(updated);
+}
+
+module.exports = {
+  CONTEXT_SECTIONS,
+  getPath,
+  getBusinessContext,
+  hasCustomBusinessContext,
+  saveBusinessContext,
+  resetBusinessContext,
+  applyContextForm,
+};
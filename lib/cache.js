@@ -1,71 +1,171 @@
+const crypto = require("crypto");
+const config = require("./config");
 const logger = require("./logger");
+const { createBackend } = require("./storage");
+const { deleteInsightsHistory } = require("./history");
 
-// --- Token Store ---
-const shopTokens = {};
+// --- Token Store (persisted, access tokens encrypted at rest with AES-256-GCM) ---
+const tokenBackend = createBackend("shop-tokens");
+const tokenKey = crypto.createHash("sha256").update(config.TOKEN_ENCRYPTION_KEY).digest();
+
+function encryptToken(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", tokenKey, iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString("base64")).join(":");
+}
+
+function decryptToken(payload) {
+  const [iv, authTag, encrypted] = payload.split(":").map(part => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", tokenKey, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+}
+
+function loadShopTokens() {
+  const tokens = {};
+  let needsMigration = false;
+
+  for (const [shop, record] of Object.entries(tokenBackend.load())) {
+    if (record.accessToken) {
+      // Plaintext record (hand-seeded or written before encryption) — re-saved encrypted below
+      tokens[shop] = { accessToken: record.accessToken, installedAt: record.installedAt, scopes: record.scopes };
+      needsMigration = true;
+      continue;
+    }
+    try {
+      tokens[shop] = { accessToken: decryptToken(record.encryptedToken), installedAt: record.installedAt, scopes: record.scopes };
+    } catch (err) {
+      logger.error("[store] could not decrypt token for", shop, "\u2014 wrong TOKEN_ENCRYPTION_KEY? Shop must re-authorize.");
+    }
+  }
+
+  logger.info("[store] loaded", Object.keys(tokens).length, "shop token(s)");
+  return { tokens, needsMigration };
+}
+
+function persistShopTokens() {
+  const records = {};
+  for (const [shop, { accessToken, installedAt, scopes }] of Object.entries(shopTokens)) {
+    records[shop] = { encryptedToken: encryptToken(accessToken), installedAt, scopes };
+  }
+  try {
+    tokenBackend.save(records);
+  } catch (err) {
+    logger.error("[store] failed to persist tokens:", err.message);
+  }
+}
+
+const { tokens: shopTokens, needsMigration } = loadShopTokens();
+if (needsMigration) {
+  logger.info("[store] encrypting plaintext token records");
+  persistShopTokens();
+}
 
 function getShopToken(shop) {
   return shopTokens[shop] || null;
 }
 
-function setShopToken(shop, accessToken) {
-  shopTokens[shop] = { accessToken, installedAt: Date.now() };
+// scopes is the comma-separated list Shopify granted with the token (checked against config.SCOPES)
+function setShopToken(shop, accessToken, scopes) {
+  shopTokens[shop] = { accessToken, installedAt: Date.now(), scopes };
+  persistShopTokens();
   logger.info("[store] saved token for", shop);
 }
 
+// Also drops the shop's archived insights history (if the shop had a token at all)
 function deleteShopToken(shop) {
+  const hadToken = Boolean(shopTokens[shop]);
   delete shopTokens[shop];
+  persistShopTokens();
   delete insightsCache[shop];
   delete orderDataCache[shop];
+  if (hadToken) deleteInsightsHistory(shop);
   logger.info("[store] deleted token for", shop);
 }
 
-// --- Insights Cache (24hr TTL) ---
+// --- Insights Cache (24hr TTL, keyed by shop then period key) ---
 const insightsCache = {};
 const INSIGHTS_TTL = 24 * 60 * 60 * 1000;
 
-function getCachedInsights(shop) {
-  const cached = insightsCache[shop];
+function getCachedInsights(shop, periodKey) {
+  const cached = insightsCache[shop]?.[periodKey];
   if (!cached) return null;
   if (Date.now() - cached.generatedAt > INSIGHTS_TTL) return null;
   return cached;
 }
 
-function setCachedInsights(shop, data) {
-  insightsCache[shop] = { ...data, generatedAt: Date.now() };
-  logger.info("[cache] saved insights for", shop);
+function setCachedInsights(shop, periodKey, data) {
+  if (!insightsCache[shop]) insightsCache[shop] = {};
+  insightsCache[shop][periodKey] = { ...data, generatedAt: Date.now() };
+  logger.info("[cache] saved", periodKey, "insights for", shop);
 }
 
-function clearInsightsCache(shop) {
-  delete insightsCache[shop];
-  logger.info("[cache] cleared insights for", shop);
+// Omit periodKey to clear every period for the shop
+function clearInsightsCache(shop, periodKey) {
+  if (periodKey) {
+    delete insightsCache[shop]?.[periodKey];
+  } else {
+    delete insightsCache[shop];
+  }
+  logger.info("[cache] cleared", periodKey || "all", "insights for", shop);
 }
 
-// --- Order Data Cache (24hr TTL) ---
+// --- Order Data Cache (24hr TTL, keyed by shop then period key) ---
 const orderDataCache = {};
 const ORDER_DATA_TTL = 24 * 60 * 60 * 1000;
 
-function getCachedOrderData(shop) {
-  const cached = orderDataCache[shop];
+function getCachedOrderData(shop, periodKey) {
+  const cached = orderDataCache[shop]?.[periodKey];
   if (!cached) return null;
   if (Date.now() - cached.cachedAt > ORDER_DATA_TTL) {
-    delete orderDataCache[shop];
+    delete orderDataCache[shop][periodKey];
     return null;
   }
   return cached;
 }
 
-function setCachedOrderData(shop, data) {
-  orderDataCache[shop] = { ...data, cachedAt: Date.now() };
-  logger.info("[cache] saved order data for", shop);
+function setCachedOrderData(shop, periodKey, data) {
+  if (!orderDataCache[shop]) orderDataCache[shop] = {};
+  orderDataCache[shop][periodKey] = { ...data, cachedAt: Date.now() };
+  logger.info("[cache] saved", periodKey, "order data for", shop);
 }
 
-function clearOrderDataCache(shop) {
-  delete orderDataCache[shop];
-  logger.info("[cache] cleared order data for", shop);
+// Omit periodKey to clear every period for the shop
+function clearOrderDataCache(shop, periodKey) {
+  if (periodKey) {
+    delete orderDataCache[shop]?.[periodKey];
+  } else {
+    delete orderDataCache[shop];
+  }
+  logger.info("[cache] cleared", periodKey || "all", "order data for", shop);
+}
+
+// --- Klaviyo Report Cache (1hr TTL, keyed by period key) ---
+// Klaviyo's reporting endpoints allow about 2 requests a minute and 225 a day, so a report is reused by
+// dashboard loads, refreshes and /insights for the same period instead of being fetched again. Klaviyo is
+// one account for the whole app (KLAVIYO_API_KEY), so this isn't keyed by shop; a refresh leaves it alone.
+const klaviyoCache = {};
+const KLAVIYO_TTL = 60 * 60 * 1000;
+
+function getCachedKlaviyoData(periodKey) {
+  const cached = klaviyoCache[periodKey];
+  if (!cached) return null;
+  if (Date.now() - cached.cachedAt > KLAVIYO_TTL) {
+    delete klaviyoCache[periodKey];
+    return null;
+  }
+  return cached.data;
+}
+
+function setCachedKlaviyoData(periodKey, data) {
+  klaviyoCache[periodKey] = { data, cachedAt: Date.now() };
+  logger.info("[cache] saved", periodKey, "Klaviyo data");
 }
 
 module.exports = {
   getShopToken, setShopToken, deleteShopToken,
   getCachedInsights, setCachedInsights, clearInsightsCache,
   getCachedOrderData, setCachedOrderData, clearOrderDataCache,
+  getCachedKlaviyoData, setCachedKlaviyoData,
 };
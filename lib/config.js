@@ -1,5 +1,6 @@
 require("dotenv").config();
 const crypto = require("crypto");
+const path = require("path");
 
 const config = {
   // Server
@@ -8,12 +9,20 @@ const config = {
   NODE_ENV: process.env.NODE_ENV || "development",
   SESSION_SECRET: process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex"),
 
+  // Storage
+  STORAGE_BACKEND: process.env.STORAGE_BACKEND || "file",
+  DATA_DIR: process.env.DATA_DIR || path.join(__dirname, "..", "data"),
+  // Falls back to the API secret so stored tokens stay readable across restarts
+  TOKEN_ENCRYPTION_KEY: process.env.TOKEN_ENCRYPTION_KEY || process.env.SHOPIFY_API_SECRET,
+
   // Shopify
   SHOPIFY_API_KEY: process.env.SHOPIFY_API_KEY,
   SHOPIFY_API_SECRET: process.env.SHOPIFY_API_SECRET,
-  SCOPES: "read_products,read_orders",
+  SCOPES: "read_products,read_orders,read_inventory,read_customers",
   APP_HANDLE: process.env.APP_HANDLE || "shopify-dashboard",
-  SHOPIFY_API_VERSION: "2024-01",
+  SHOPIFY_API_VERSION: process.env.SHOPIFY_API_VERSION || "2025-01",
+  // "graphql" (default, bulk operations for large windows) or "rest" (orders.json pagination)
+  SHOPIFY_ORDER_SOURCE: process.env.SHOPIFY_ORDER_SOURCE || "graphql",
 
   // Google Analytics
   GA_PROPERTY_ID: process.env.GA_PROPERTY_ID,
@@ -24,6 +33,31 @@ const config = {
   META_AD_ACCOUNT_ID: process.env.META_AD_ACCOUNT_ID,
   META_API_VERSION: "v18.0",
 
+  // Google Ads
+  GOOGLE_ADS_CUSTOMER_ID: process.env.GOOGLE_ADS_CUSTOMER_ID,
+  GOOGLE_ADS_DEVELOPER_TOKEN: process.env.GOOGLE_ADS_DEVELOPER_TOKEN,
+  // Manager (MCC) account ID, when access to the customer is through a manager
+  GOOGLE_ADS_LOGIN_CUSTOMER_ID: process.env.GOOGLE_ADS_LOGIN_CUSTOMER_ID,
+  // Defaults to the GA service account; the impersonated user needs access to the Ads account
+  GOOGLE_ADS_SERVICE_ACCOUNT_JSON: process.env.GOOGLE_ADS_SERVICE_ACCOUNT_JSON || process.env.GA_SERVICE_ACCOUNT_JSON,
+  GOOGLE_ADS_IMPERSONATED_EMAIL: process.env.GOOGLE_ADS_IMPERSONATED_EMAIL,
+  GOOGLE_ADS_API_VERSION: process.env.GOOGLE_ADS_API_VERSION || "v20",
+
+  // TikTok Ads
+  TIKTOK_ACCESS_TOKEN: process.env.TIKTOK_ACCESS_TOKEN,
+  TIKTOK_ADVERTISER_ID: process.env.TIKTOK_ADVERTISER_ID,
+  TIKTOK_API_VERSION: "v1.3",
+  // Point at the local mock server (npm run mock:tiktok) for development
+  TIKTOK_API_BASE_URL: process.env.TIKTOK_API_BASE_URL || "https://business-api.tiktok.com/open_api",
+
+  // Klaviyo (email)
+  KLAVIYO_API_KEY: process.env.KLAVIYO_API_KEY,
+  // Defaults to the "Placed Order" metric
+  KLAVIYO_CONVERSION_METRIC_ID: process.env.KLAVIYO_CONVERSION_METRIC_ID,
+  KLAVIYO_API_REVISION: "2024-10-15",
+  // Point at the local stub (npm run mock:klaviyo) for development
+  KLAVIYO_API_BASE_URL: process.env.KLAVIYO_API_BASE_URL || "https://a.klaviyo.com/api",
+
   // Claude AI
   ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
 
@@ -41,4 +75,8 @@ if (config.isProduction && config.APP_HANDLE === "shopify-dashboard") {
   console.warn("WARNING: APP_HANDLE is using the default value. Set it in your environment variables.");
 }
 
+if (config.isProduction && !process.env.TOKEN_ENCRYPTION_KEY) {
+  console.warn("WARNING: TOKEN_ENCRYPTION_KEY is not set \u2014 shop tokens are encrypted with SHOPIFY_API_SECRET. Set a dedicated key in your environment variables.");
+}
+
 module.exports = Object.freeze(config);
@@ -0,0 +1,139 @@
+const config = require("../config");
+const { fetchGoogleAnalyticsData } = require("../analytics");
+const { computeChange, compareFields, describeChange } = require("../metrics");
+const { escapeHtml, trendArrow, formatChangePct, freshnessCardHtml, sourceCardHtml } = require("../../views/helpers");
+
+function summarizeGa(gaData) {
+  return {
+    sessions: gaData.sessions,
+    bounce_rate: gaData.bounceRate,
+    users: gaData.users,
+    page_views: gaData.pageViews,
+  };
+}
+
+function summarizeChannel(c) {
+  return {
+    sessions: c.sessions,
+    engaged_sessions: c.engagedSessions,
+    bounce_rate: c.bounceRate,
+  };
+}
+
+function summarizeEngagement(row) {
+  return {
+    sessions: row.sessions,
+    bounce_rate: row.bounceRate,
+    avg_engagement_seconds: Math.round(row.avgEngagementSeconds),
+  };
+}
+
+function summarize(gaData) {
+  const summary = summarizeGa(gaData);
+  if (gaData.previous) {
+    summary.previous = summarizeGa(gaData.previous);
+    summary.changes = compareFields(summary, summary.previous, ["sessions", "bounce_rate", "users", "page_views"]);
+  }
+  if (gaData.channels) {
+    summary.channels = gaData.channels.map(c => {
+      const channel = { channel: c.channel, ...summarizeChannel(c) };
+      if (c.previous) {
+        channel.previous = summarizeChannel(c.previous);
+        channel.changes = compareFields(channel, channel.previous, ["sessions", "engaged_sessions", "bounce_rate"]);
+      }
+      return channel;
+    });
+  }
+  if (gaData.sourceMedium) {
+    summary.source_medium = gaData.sourceMedium.map(sm => ({ source_medium: sm.sourceMedium, ...summarizeChannel(sm) }));
+  }
+  if (gaData.landingPages) {
+    summary.landing_pages = gaData.landingPages.map(p => ({ page: p.page, ...summarizeEngagement(p) }));
+  }
+  if (gaData.devices) {
+    summary.devices = gaData.devices.map(d => ({ device: d.device, ...summarizeEngagement(d) }));
+  }
+  return summary;
+}
+
+function promptBlock(g) {
+  if (!g) return `\nGA4 DATA: Not connected\n`;
+
+  const count = (v) => Math.round(v).toLocaleString();
+  const rate = (v) => `${(v * 100).toFixed(1)}%`;
+  const points = (v) => `${(v * 100).toFixed(1)} pts`;
+  let block = `\nGA4 DATA:\n`;
+  block += `- Sessions: ${g.sessions.toLocaleString()}${describeChange(g.changes, g.previous, "sessions", count)}\n`;
+  block += `- Bounce rate: ${(g.bounce_rate * 100).toFixed(1)}%${describeChange(g.changes, g.previous, "bounce_rate", rate, points)}\n`;
+  block += `- Users: ${g.users.toLocaleString()}${describeChange(g.changes, g.previous, "users", count)}\n`;
+  block += `- Page views: ${g.page_views.toLocaleString()}${describeChange(g.changes, g.previous, "page_views", count)}\n`;
+  if (g.channels && g.channels.length > 0) {
+    block += `\nGA4 TRAFFIC BY CHANNEL (sessions / engaged sessions / bounce rate \u2014 use this to name the weak traffic lever):\n`;
+    g.channels.forEach(c => {
+      const share = g.sessions > 0 ? ` (${((c.sessions / g.sessions) * 100).toFixed(1)}% of sessions)` : "";
+      block += `- ${c.channel}: ${c.sessions.toLocaleString()}${share}${describeChange(c.changes, c.previous, "sessions", count)} / ${c.engaged_sessions.toLocaleString()} / ${rate(c.bounce_rate)}${describeChange(c.changes, c.previous, "bounce_rate", rate, points)}\n`;
+    });
+  }
+  if (g.source_medium && g.source_medium.length > 0) {
+    block += `Top sources: ${g.source_medium.map(sm => `${sm.source_medium} ${sm.sessions.toLocaleString()}`).join(", ")}\n`;
+  }
+  if (g.landing_pages && g.landing_pages.length > 0) {
+    block += `\nGA4 TOP LANDING PAGES (sessions / bounce rate / avg engagement time per session):\n`;
+    g.landing_pages.forEach(p => {
+      block += `- ${p.page || "(not set)"}: ${p.sessions.toLocaleString()} / ${rate(p.bounce_rate)} / ${p.avg_engagement_seconds}s\n`;
+    });
+  }
+  if (g.devices && g.devices.length > 0) {
+    block += `\nGA4 DEVICES (sessions / bounce rate / avg engagement time per session):\n`;
+    g.devices.forEach(d => {
+      const share = g.sessions > 0 ? ` (${((d.sessions / g.sessions) * 100).toFixed(1)}% of sessions)` : "";
+      block += `- ${d.device}: ${d.sessions.toLocaleString()}${share} / ${rate(d.bounce_rate)} / ${d.avg_engagement_seconds}s\n`;
+    });
+  }
+  return block;
+}
+
+function freshnessCard(ga, { source }) {
+  let body = null;
+  if (ga) {
+    const sessionChange = ga.previous ? computeChange(ga.sessions, ga.previous.sessions) : null;
+    const sessionChangeLabel = formatChangePct(sessionChange);
+    const br = ga.bounceRate * 100;
+    let bounceInsight;
+    if (br < 40) bounceInsight = "Great engagement \u2705";
+    else if (br <= 65) bounceInsight = "Bounce OK \u27a1\ufe0f";
+    else bounceInsight = "High bounce \u26a0\ufe0f";
+    body = `<div class="freshness-card-metric">${ga.sessions.toLocaleString()} sessions ${trendArrow(sessionChange)}</div>
+          <div class="freshness-card-sub">${bounceInsight}${sessionChangeLabel ? ` &middot; ${sessionChangeLabel}` : ""}</div>`;
+  }
+  return freshnessCardHtml({ icon: "\ud83d\udcca", title: "Analytics", body, source });
+}
+
+function settingsCard() {
+  return sourceCardHtml({
+    iconClass: "icon-ga",
+    iconText: "G",
+    name: "Google Analytics",
+    configured: isConfigured(),
+    detail: `Property ID: ${escapeHtml(config.GA_PROPERTY_ID)}<br>Service account active`,
+    hint: "Add GA_PROPERTY_ID and GA_SERVICE_ACCOUNT_JSON to env",
+  });
+}
+
+function isConfigured() {
+  return !!(config.GA_PROPERTY_ID && config.GA_SERVICE_ACCOUNT_JSON);
+}
+
+module.exports = {
+  id: "ga",
+  name: "Google Analytics",
+  dataKey: "gaData",
+  summaryKey: "ga4",
+  icon: "\ud83d\udcca",
+  isConfigured,
+  fetch: fetchGoogleAnalyticsData,
+  summarize,
+  promptBlock,
+  freshnessCard,
+  settingsCard,
+};
@@ -0,0 +1,86 @@
+const config = require("../config");
+const { fetchGoogleAdsData } = require("../googleads");
+const { computeChange, compareFields, describeChange, conversionRoas, summarizePlatformAds } = require("../metrics");
+const { escapeHtml, trendArrow, freshnessCardHtml, sourceCardHtml } = require("../../views/helpers");
+
+function summarize(googleAdsData) {
+  const summary = summarizePlatformAds(googleAdsData);
+  if (googleAdsData.previous) {
+    summary.previous = summarizePlatformAds(googleAdsData.previous);
+    summary.changes = compareFields(summary, summary.previous, ["spend", "clicks", "conversions", "conversion_value", "roas", "cpc", "ctr"]);
+  }
+  summary.campaign_count = googleAdsData.campaigns.length;
+  summary.campaigns = googleAdsData.campaigns.slice(0, 5).map(c => ({
+    name: c.name,
+    channel: c.channelType,
+    ...summarizePlatformAds(c),
+  }));
+  return summary;
+}
+
+function promptBlock(g, { currencySymbol }) {
+  if (!g) return `\nGOOGLE ADS DATA: Not connected\n`;
+
+  const money = (v) => `${currencySymbol}${v.toFixed(2)}`;
+  const count = (v) => Math.round(v).toLocaleString();
+  const ratio = (v) => (v !== null ? `${v.toFixed(2)}x` : "N/A");
+  const pct = (v) => (v !== null ? `${v.toFixed(2)}%` : "N/A");
+  const pennies = (v) => (v !== null ? `${currencySymbol}${v.toFixed(2)}` : "N/A");
+  const conversions = (v) => parseFloat(v.toFixed(2)).toLocaleString();
+  let block = `\nGOOGLE ADS DATA (conversions = Google Ads conversion actions, can be fractional under data-driven attribution):\n`;
+  block += `- Spend: ${currencySymbol}${g.spend.toFixed(2)}${describeChange(g.changes, g.previous, "spend", money)}\n`;
+  block += `- Impressions: ${g.impressions.toLocaleString()}\n`;
+  block += `- Clicks: ${g.clicks.toLocaleString()}${describeChange(g.changes, g.previous, "clicks", count)}\n`;
+  block += `- CPC: ${pennies(g.cpc)}${describeChange(g.changes, g.previous, "cpc", pennies)}\n`;
+  block += `- CTR: ${pct(g.ctr)}${describeChange(g.changes, g.previous, "ctr", pct, (v) => `${v.toFixed(2)} pts`)}\n`;
+  block += `- Conversions: ${conversions(g.conversions)}${describeChange(g.changes, g.previous, "conversions", conversions)} (CPA ${pennies(g.cpa)})\n`;
+  block += `- Conversion value: ${currencySymbol}${g.conversion_value.toFixed(2)}${describeChange(g.changes, g.previous, "conversion_value", money)}\n`;
+  block += `- ROAS (Google Ads conversion value \u00f7 Google Ads spend): ${ratio(g.roas)}${describeChange(g.changes, g.previous, "roas", ratio)}\n`;
+  if (g.campaigns.length > 0) {
+    block += `Top campaigns by spend (${g.campaign_count} with impressions):\n`;
+    g.campaigns.forEach(c => {
+      block += `- ${c.name} (${c.channel}): ${currencySymbol}${c.spend.toFixed(2)} spend, ${c.clicks.toLocaleString()} clicks, CPC ${pennies(c.cpc)}, ${conversions(c.conversions)} conversions, ${currencySymbol}${c.conversion_value.toFixed(2)} value, ROAS ${ratio(c.roas)}\n`;
+    });
+  }
+  return block;
+}
+
+function freshnessCard(googleAds, { source, currencySymbol }) {
+  let body = null;
+  if (googleAds) {
+    const roasChange = googleAds.previous ? computeChange(conversionRoas(googleAds), conversionRoas(googleAds.previous)) : null;
+    body = `<div class="freshness-card-metric">${currencySymbol}${googleAds.spend.toFixed(0)} spend</div>
+          <div class="freshness-card-sub">${conversionRoas(googleAds) !== null ? `${conversionRoas(googleAds).toFixed(2)}x ROAS ${trendArrow(roasChange)} &middot; ${Math.round(googleAds.conversions)} conversions` : "No spend this period"}</div>`;
+  }
+  return freshnessCardHtml({ icon: "\ud83d\udd0e", title: "Google Ads", body, source });
+}
+
+function settingsCard() {
+  return sourceCardHtml({
+    iconClass: "icon-googleads",
+    iconText: "G",
+    name: "Google Ads",
+    configured: isConfigured(),
+    detail: `Customer ID: ${escapeHtml(config.GOOGLE_ADS_CUSTOMER_ID)}${config.GOOGLE_ADS_LOGIN_CUSTOMER_ID ? ` (via manager ${escapeHtml(config.GOOGLE_ADS_LOGIN_CUSTOMER_ID)})` : ""}<br>Service account active${config.GOOGLE_ADS_IMPERSONATED_EMAIL ? ` as ${escapeHtml(config.GOOGLE_ADS_IMPERSONATED_EMAIL)}` : ""}`,
+    hint: "Add GOOGLE_ADS_CUSTOMER_ID, GOOGLE_ADS_DEVELOPER_TOKEN and a service account to env",
+  });
+}
+
+function isConfigured() {
+  return !!(config.GOOGLE_ADS_CUSTOMER_ID && config.GOOGLE_ADS_DEVELOPER_TOKEN && config.GOOGLE_ADS_SERVICE_ACCOUNT_JSON);
+}
+
+module.exports = {
+  id: "google_ads",
+  name: "Google Ads",
+  dataKey: "googleAdsData",
+  summaryKey: "google_ads",
+  adPlatform: true,
+  icon: "\ud83d\udd0e",
+  isConfigured,
+  fetch: fetchGoogleAdsData,
+  summarize,
+  promptBlock,
+  freshnessCard,
+  settingsCard,
+};
@@ -0,0 +1,76 @@
+const logger = require("../logger");
+
+// --- Data-source connectors (everything besides Shopify) ---
+// Each connector exports:
+//   id, name, icon            — status key, display name, dashboard icon
+//   dataKey                   — property its raw data is stored under in insights runs (e.g. "metaAdsData")
+//   summaryKey                — property its summary is stored under in buildDataSummary (e.g. "meta_ads")
+//   adPlatform                — true for paid media; its data.spend (and previous.spend) counts towards MER
+//   isConfigured()            — env vars present
+//   fetch(period, context)    — raw data for the period; context is the shop's business context
+//   summarize(data, context)  — clean summary for the prompt; context is { shopifyStats }
+//   promptBlock(summary, opts) — data block text; summary is null when there is no data; opts is { currencySymbol }
+//   freshnessCard(data, opts) — dashboard card HTML; opts is { source, readOnly, shopParam, periodParam, currencySymbol }
+//   settingsCard()            — settings page card HTML
+// Order here is the order of prompt blocks, dashboard cards and settings cards.
+const connectors = [
+  require("./ga"),
+  require("./meta"),
+  require("./googleads"),
+  require("./tiktok"),
+  require("./klaviyo"),
+];
+
+// Fetch every connector in parallel. Each one fails on its own: the others still return,
+// and sources reports per connector whether it was skipped, loaded or failed.
+async function fetchConnectorData(period, logTag, businessContext) {
+  const results = await Promise.all(connectors.map(async (connector) => {
+    if (!connector.isConfigured()) {
+      return { connector, data: null, source: { name: connector.name, status: "not_configured" } };
+    }
+    try {
+      const data = await connector.fetch(period, businessContext);
+      if (!data) {
+        return { connector, data: null, source: { name: connector.name, status: "error", error: "No data returned" } };
+      }
+      return { connector, data, source: { name: connector.name, status: "ok" } };
+    } catch (err) {
+      logger.info(`[${logTag}] ${connector.name} failed:`, err.message);
+      return { connector, data: null, source: { name: connector.name, status: "error", error: err.message } };
+    }
+  }));
+
+  const data = {};
+  const sources = {};
+  for (const result of results) {
+    data[result.connector.dataKey] = result.data;
+    sources[result.connector.id] = result.source;
+  }
+  return { data, sources };
+}
+
+// Marketing Efficiency Ratio: Shopify revenue ÷ spend summed across every ad platform that returned data.
+// null when no ad platform has data or nothing was spent. previous is only set when every included
+// platform also reports the previous period, so the comparison covers the same platforms.
+function computeMer(shopifyStats, sourceData) {
+  const platforms = connectors.filter(c => c.adPlatform && sourceData[c.dataKey]);
+  const spend = platforms.reduce((sum, c) => sum + sourceData[c.dataKey].spend, 0);
+  if (spend <= 0) return null;
+
+  const result = {
+    mer: shopifyStats.revenue / spend,
+    revenue: shopifyStats.revenue,
+    spend,
+    platforms: platforms.map(c => ({ id: c.id, name: c.name, spend: sourceData[c.dataKey].spend })),
+    previous: null,
+  };
+  if (shopifyStats.previous && platforms.every(c => sourceData[c.dataKey].previous)) {
+    const previousSpend = platforms.reduce((sum, c) => sum + sourceData[c.dataKey].previous.spend, 0);
+    if (previousSpend > 0) {
+      result.previous = { mer: shopifyStats.previous.revenue / previousSpend, revenue: shopifyStats.previous.revenue, spend: previousSpend };
+    }
+  }
+  return result;
+}
+
+module.exports = { connectors, fetchConnectorData, computeMer };
@@ -0,0 +1,81 @@
+const config = require("../config");
+const { fetchKlaviyoData } = require("../klaviyo");
+const { escapeHtml, freshnessCardHtml, sourceCardHtml } = require("../../views/helpers");
+
+function summarizeEmailGroup(group) {
+  const rate = (v) => (v !== null ? parseFloat(v.toFixed(1)) : null);
+  const summarize = (g) => ({
+    revenue: parseFloat(g.revenue.toFixed(2)),
+    conversions: g.conversions,
+    delivered: g.delivered,
+    open_rate: rate(g.openRate),
+    click_rate: rate(g.clickRate),
+  });
+  return {
+    ...summarize(group),
+    count: group.count,
+    top: group.top.map(item => ({ name: item.name, ...summarize(item) })),
+  };
+}
+
+// Klaviyo-attributed revenue from flows (automated) and campaigns (one-off sends)
+function summarize(klaviyoData, { shopifyStats }) {
+  return {
+    revenue: parseFloat(klaviyoData.revenue.toFixed(2)),
+    share_of_shopify_revenue: shopifyStats.revenue > 0 ? parseFloat(((klaviyoData.revenue / shopifyStats.revenue) * 100).toFixed(1)) : null,
+    flows: summarizeEmailGroup(klaviyoData.flows),
+    campaigns: summarizeEmailGroup(klaviyoData.campaigns),
+  };
+}
+
+// Email is optional context, so an unconnected Klaviyo adds nothing to the prompt
+function promptBlock(e, { currencySymbol }) {
+  if (!e) return "";
+
+  const rate = (v) => (v !== null ? `${v}%` : "N/A");
+  const groupLine = (label, g) => `- ${label}: ${currencySymbol}${g.revenue.toFixed(2)} from ${g.conversions} orders, ${g.delivered.toLocaleString()} delivered, open rate ${rate(g.open_rate)}, click rate ${rate(g.click_rate)}\n`;
+  let block = `\nEMAIL \u2014 KLAVIYO (revenue Klaviyo attributes to its sends; overlaps Shopify revenue, not additional${e.share_of_shopify_revenue !== null ? `; equal to ${e.share_of_shopify_revenue}% of Shopify revenue` : ""}):\n`;
+  block += groupLine(`Flows (${e.flows.count})`, e.flows);
+  e.flows.top.forEach(f => { block += `  ${groupLine(f.name, f)}`; });
+  block += groupLine(`Campaigns (${e.campaigns.count})`, e.campaigns);
+  e.campaigns.top.forEach(c => { block += `  ${groupLine(c.name, c)}`; });
+  return block;
+}
+
+function freshnessCard(klaviyo, { source, currencySymbol }) {
+  let body = null;
+  if (klaviyo) {
+    body = `<div class="freshness-card-metric">${currencySymbol}${klaviyo.revenue.toFixed(0)} email revenue</div>
+          <div class="freshness-card-sub">Flows ${currencySymbol}${klaviyo.flows.revenue.toFixed(0)} &middot; campaigns ${currencySymbol}${klaviyo.campaigns.revenue.toFixed(0)}</div>`;
+  }
+  return freshnessCardHtml({ icon: "\u2709\ufe0f", title: "Klaviyo", body, source });
+}
+
+function settingsCard() {
+  return sourceCardHtml({
+    iconClass: "icon-klaviyo",
+    iconText: "K",
+    name: "Klaviyo",
+    configured: isConfigured(),
+    detail: `Flow and campaign revenue, open and click rates${config.KLAVIYO_CONVERSION_METRIC_ID ? `<br>Conversion metric: ${escapeHtml(config.KLAVIYO_CONVERSION_METRIC_ID)}` : "<br>Conversion metric: Placed Order"}${config.KLAVIYO_API_BASE_URL.startsWith("https://a.klaviyo.com") ? "" : `<br>Using ${escapeHtml(config.KLAVIYO_API_BASE_URL)}`}`,
+    hint: "Add KLAVIYO_API_KEY to env",
+  });
+}
+
+function isConfigured() {
+  return !!config.KLAVIYO_API_KEY;
+}
+
+module.exports = {
+  id: "klaviyo",
+  name: "Klaviyo",
+  dataKey: "klaviyoData",
+  summaryKey: "email",
+  icon: "\u2709\ufe0f",
+  isConfigured,
+  fetch: fetchKlaviyoData,
+  summarize,
+  promptBlock,
+  freshnessCard,
+  settingsCard,
+};
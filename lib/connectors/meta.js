@@ -0,0 +1,173 @@
+const config = require("../config");
+const { fetchMetaAdsData } = require("../meta");
+const { computeChange, compareFields, describeChange, roas, rankPerformers } = require("../metrics");
+const { escapeHtml, trendArrow, freshnessCardHtml, sourceCardHtml } = require("../../views/helpers");
+
+function summarizeAds(ads) {
+  const adRoas = roas(ads);
+  return {
+    spend: ads.spend,
+    impressions: ads.impressions,
+    clicks: ads.clicks,
+    purchases: ads.purchases,
+    revenue: ads.revenue,
+    roas: adRoas !== null ? parseFloat(adRoas.toFixed(2)) : null,
+    cpc: ads.clicks > 0 ? parseFloat((ads.spend / ads.clicks).toFixed(2)) : null,
+    ctr: ads.impressions > 0 ? parseFloat(((ads.clicks / ads.impressions) * 100).toFixed(2)) : null,
+  };
+}
+
+function summarizeAdEntity(row) {
+  const round = (v, dp = 2) => (v !== null ? parseFloat(v.toFixed(dp)) : null);
+  return {
+    name: row.name,
+    campaign: row.campaignName || null,
+    ad_set: row.adsetName || null,
+    spend: round(row.spend),
+    ctr: round(row.ctr),
+    cpc: round(row.cpc),
+    purchases: row.purchases,
+    purchase_value: round(row.revenue),
+    roas: round(row.roas),
+    frequency: round(row.frequency),
+  };
+}
+
+// Purchases per attribution window, and how much of the headline purchase count is view-through credit
+function summarizeAttribution(ads) {
+  const windows = ads.attributionWindows || [];
+  const byWindow = {};
+  for (const [w, v] of Object.entries(ads.byWindow)) {
+    const windowRoas = ads.spend > 0 ? v.revenue / ads.spend : null;
+    byWindow[w] = {
+      purchases: v.purchases,
+      revenue: parseFloat(v.revenue.toFixed(2)),
+      roas: windowRoas !== null ? parseFloat(windowRoas.toFixed(2)) : null,
+    };
+  }
+  const viewWindow = windows.find(w => w.endsWith("_view"));
+  const viewPurchases = viewWindow && byWindow[viewWindow] ? byWindow[viewWindow].purchases : null;
+  return {
+    windows,
+    by_window: byWindow,
+    view_through_share: viewPurchases !== null && ads.purchases > 0 ? parseFloat(((viewPurchases / ads.purchases) * 100).toFixed(1)) : null,
+  };
+}
+
+function summarize(metaAdsData) {
+  const summary = summarizeAds(metaAdsData);
+  if (metaAdsData.previous) {
+    summary.previous = summarizeAds(metaAdsData.previous);
+    summary.changes = compareFields(summary, summary.previous, ["spend", "clicks", "purchases", "revenue", "roas", "cpc", "ctr"]);
+  }
+  if (metaAdsData.byWindow) {
+    summary.attribution = summarizeAttribution(metaAdsData);
+  }
+  // Campaign / ad set / ad drill-down: biggest spenders plus best and worst by ROAS
+  for (const level of ["campaigns", "adsets", "ads"]) {
+    const rows = metaAdsData[level];
+    if (!rows || rows.length === 0) continue;
+    const { top, bottom } = rankPerformers(rows);
+    summary[level] = {
+      count: rows.length,
+      by_spend: rows.slice(0, 3).map(summarizeAdEntity),
+      top: top.map(summarizeAdEntity),
+      bottom: bottom.map(summarizeAdEntity),
+    };
+  }
+  return summary;
+}
+
+function promptBlock(m, { currencySymbol }) {
+  if (!m) return `\nMETA ADS DATA: Not connected\n`;
+
+  const money = (v) => `${currencySymbol}${v.toFixed(2)}`;
+  const count = (v) => Math.round(v).toLocaleString();
+  const ratio = (v) => (v !== null ? `${v.toFixed(2)}x` : "N/A");
+  const pct = (v) => (v !== null ? `${v.toFixed(2)}%` : "N/A");
+  const pennies = (v) => (v !== null ? `${currencySymbol}${v.toFixed(2)}` : "N/A");
+  let block = `\nMETA ADS DATA:\n`;
+  block += `- Spend: ${currencySymbol}${m.spend.toFixed(2)}${describeChange(m.changes, m.previous, "spend", money)}\n`;
+  block += `- Impressions: ${m.impressions.toLocaleString()}\n`;
+  block += `- Clicks: ${m.clicks.toLocaleString()}${describeChange(m.changes, m.previous, "clicks", count)}\n`;
+  block += `- CPC: ${currencySymbol}${m.cpc !== null ? m.cpc.toFixed(2) : "N/A"}${describeChange(m.changes, m.previous, "cpc", pennies)}\n`;
+  block += `- CTR: ${m.ctr !== null ? m.ctr.toFixed(2) + "%" : "N/A"}${describeChange(m.changes, m.previous, "ctr", pct, (v) => `${v.toFixed(2)} pts`)}\n`;
+  block += `- Purchases: ${m.purchases}${describeChange(m.changes, m.previous, "purchases", count)}\n`;
+  block += `- Revenue (Shopify-attributed): ${currencySymbol}${m.revenue.toFixed(2)}${describeChange(m.changes, m.previous, "revenue", money)}\n`;
+  block += `- ROAS (Shopify revenue \u00f7 Meta spend): ${m.roas !== null ? m.roas + "x" : "N/A"}${describeChange(m.changes, m.previous, "roas", ratio)}\n`;
+  if (m.attribution) {
+    const a = m.attribution;
+    const windows = Object.entries(a.by_window)
+      .map(([w, v]) => `${w.replace("_", " ")}: ${v.purchases} purchases, ${currencySymbol}${v.revenue.toFixed(2)} (${ratio(v.roas)} ROAS)`)
+      .join(" \u00b7 ");
+    block += `- Purchases by attribution window (headline figures use ${a.windows.map(w => w.replace("_", " ")).join(" + ")}): ${windows}\n`;
+    if (a.view_through_share !== null) {
+      block += `- View-through share of headline purchases: ${a.view_through_share}%\n`;
+    }
+  }
+
+  const entityLine = (e) => {
+    const parent = [e.campaign, e.ad_set].filter(Boolean).join(" \u203a ");
+    return `- ${e.name}${parent ? ` (${parent})` : ""}: ${currencySymbol}${e.spend.toFixed(2)} spend, CTR ${pct(e.ctr)}, CPC ${pennies(e.cpc)}, ${e.purchases} purchases, ${currencySymbol}${e.purchase_value.toFixed(2)} purchase value, ROAS ${ratio(e.roas)}, frequency ${e.frequency}\n`;
+  };
+  const levelNames = { campaigns: "CAMPAIGNS", adsets: "AD SETS", ads: "ADS" };
+  for (const level of Object.keys(levelNames)) {
+    const breakdown = m[level];
+    if (!breakdown) continue;
+    block += `\nMETA ${levelNames[level]} (${breakdown.count} with spend; ROAS here is Meta-reported purchase value \u00f7 spend):\n`;
+    block += `Top by spend:\n`;
+    breakdown.by_spend.forEach(e => { block += entityLine(e); });
+    if (breakdown.top.length > 0) {
+      block += `Best ROAS (min 5% of spend):\n`;
+      breakdown.top.forEach(e => { block += entityLine(e); });
+    }
+    if (breakdown.bottom.length > 0) {
+      block += `Worst ROAS (min 5% of spend):\n`;
+      breakdown.bottom.forEach(e => { block += entityLine(e); });
+    }
+  }
+  return block;
+}
+
+function freshnessCard(meta, { source, readOnly, shopParam, periodParam, currencySymbol }) {
+  let body = null;
+  if (meta) {
+    const metaRoas = roas(meta) !== null ? roas(meta).toFixed(2) : null;
+    const roasChange = meta.previous ? computeChange(roas(meta), roas(meta.previous)) : null;
+    body = `<div class="freshness-card-metric">${currencySymbol}${meta.spend.toFixed(0)} spend</div>
+          <div class="freshness-card-sub">${metaRoas !== null ? `${metaRoas}x ROAS ${trendArrow(roasChange)}` : "No spend this period"}${meta.campaigns && !readOnly ? ` &middot; <a href="/dashboard/meta?shop=${shopParam}${periodParam}" class="refresh-link">Campaigns</a>` : ""}</div>`;
+  }
+  return freshnessCardHtml({ icon: "\ud83d\udcf1", title: "Meta Ads", body, source });
+}
+
+function settingsCard() {
+  const accountId = config.META_AD_ACCOUNT_ID || "";
+  const accountIdDisplay = accountId.length > 10 ? accountId.substring(0, 10) + "\u2026" : accountId;
+  return sourceCardHtml({
+    iconClass: "icon-meta",
+    iconText: "f",
+    name: "Meta Ads",
+    configured: isConfigured(),
+    detail: `System User connected<br>Account: ${escapeHtml(accountIdDisplay)}`,
+    hint: "Add META_SYSTEM_USER_TOKEN and META_AD_ACCOUNT_ID to env",
+  });
+}
+
+function isConfigured() {
+  return !!(config.META_SYSTEM_USER_TOKEN && config.META_AD_ACCOUNT_ID);
+}
+
+module.exports = {
+  id: "meta",
+  name: "Meta Ads",
+  dataKey: "metaAdsData",
+  summaryKey: "meta_ads",
+  adPlatform: true,
+  icon: "\ud83d\udcf1",
+  isConfigured,
+  fetch: fetchMetaAdsData,
+  summarize,
+  promptBlock,
+  freshnessCard,
+  settingsCard,
+};
@@ -0,0 +1,73 @@
+const config = require("../config");
+const { fetchTikTokAdsData } = require("../tiktok");
+const { computeChange, compareFields, describeChange, conversionRoas, summarizePlatformAds } = require("../metrics");
+const { escapeHtml, trendArrow, freshnessCardHtml, sourceCardHtml } = require("../../views/helpers");
+
+function summarize(tiktokAdsData) {
+  const summary = summarizePlatformAds(tiktokAdsData);
+  if (tiktokAdsData.previous) {
+    summary.previous = summarizePlatformAds(tiktokAdsData.previous);
+    summary.changes = compareFields(summary, summary.previous, ["spend", "clicks", "conversions", "conversion_value", "roas", "cpc", "ctr"]);
+  }
+  return summary;
+}
+
+function promptBlock(t, { currencySymbol }) {
+  if (!t) return `\nTIKTOK ADS DATA: Not connected\n`;
+
+  const money = (v) => `${currencySymbol}${v.toFixed(2)}`;
+  const count = (v) => Math.round(v).toLocaleString();
+  const ratio = (v) => (v !== null ? `${v.toFixed(2)}x` : "N/A");
+  const pct = (v) => (v !== null ? `${v.toFixed(2)}%` : "N/A");
+  const pennies = (v) => (v !== null ? `${currencySymbol}${v.toFixed(2)}` : "N/A");
+  let block = `\nTIKTOK ADS DATA (conversions = TikTok-attributed Complete Payment events):\n`;
+  block += `- Spend: ${currencySymbol}${t.spend.toFixed(2)}${describeChange(t.changes, t.previous, "spend", money)}\n`;
+  block += `- Impressions: ${t.impressions.toLocaleString()}\n`;
+  block += `- Clicks: ${t.clicks.toLocaleString()}${describeChange(t.changes, t.previous, "clicks", count)}\n`;
+  block += `- CPC: ${pennies(t.cpc)}${describeChange(t.changes, t.previous, "cpc", pennies)}\n`;
+  block += `- CTR: ${pct(t.ctr)}${describeChange(t.changes, t.previous, "ctr", pct, (v) => `${v.toFixed(2)} pts`)}\n`;
+  block += `- Conversions: ${t.conversions}${describeChange(t.changes, t.previous, "conversions", count)} (CPA ${pennies(t.cpa)})\n`;
+  block += `- Conversion value: ${currencySymbol}${t.conversion_value.toFixed(2)}${describeChange(t.changes, t.previous, "conversion_value", money)}\n`;
+  block += `- ROAS (TikTok conversion value \u00f7 TikTok spend): ${ratio(t.roas)}${describeChange(t.changes, t.previous, "roas", ratio)}\n`;
+  return block;
+}
+
+function freshnessCard(tiktok, { source, currencySymbol }) {
+  let body = null;
+  if (tiktok) {
+    const roasChange = tiktok.previous ? computeChange(conversionRoas(tiktok), conversionRoas(tiktok.previous)) : null;
+    body = `<div class="freshness-card-metric">${currencySymbol}${tiktok.spend.toFixed(0)} spend</div>
+          <div class="freshness-card-sub">${conversionRoas(tiktok) !== null ? `${conversionRoas(tiktok).toFixed(2)}x ROAS ${trendArrow(roasChange)} &middot; ${tiktok.conversions} conversions` : "No spend this period"}</div>`;
+  }
+  return freshnessCardHtml({ icon: "\ud83c\udfb5", title: "TikTok Ads", body, source });
+}
+
+function settingsCard() {
+  return sourceCardHtml({
+    iconClass: "icon-tiktok",
+    iconText: "T",
+    name: "TikTok Ads",
+    configured: isConfigured(),
+    detail: `Advertiser: ${escapeHtml(config.TIKTOK_ADVERTISER_ID)}${config.TIKTOK_API_BASE_URL.startsWith("https://business-api.tiktok.com") ? "" : `<br>Using ${escapeHtml(config.TIKTOK_API_BASE_URL)}`}`,
+    hint: "Add TIKTOK_ACCESS_TOKEN and TIKTOK_ADVERTISER_ID to env",
+  });
+}
+
+function isConfigured() {
+  return !!(config.TIKTOK_ACCESS_TOKEN && config.TIKTOK_ADVERTISER_ID);
+}
+
+module.exports = {
+  id: "tiktok",
+  name: "TikTok Ads",
+  dataKey: "tiktokAdsData",
+  summaryKey: "tiktok_ads",
+  adPlatform: true,
+  icon: "\ud83c\udfb5",
+  isConfigured,
+  fetch: fetchTikTokAdsData,
+  summarize,
+  promptBlock,
+  freshnessCard,
+  settingsCard,
+};
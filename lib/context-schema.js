@@ -0,0 +1,302 @@
+const { ATTRIBUTION_WINDOWS, getAttributionSettings } = require("./meta");
+const { STAGE_METRICS } = require("./funnel");
+
+// --- Business Context Schema ---
+// Checked when the app boots (the business-context.json template and every stored shop context) and on
+// every save. Optional values missing from a context take their default, so code reading the context can
+// rely on every section below being present.
+//
+// Node: { type: "object" | "array" | "string" | "number", required, nullable, default, ... }
+//   object: properties (keys not listed are kept as-is)   array: items
+//   string: enum, pattern or check(value) + patternHint  number: min
+// Optional nodes without a default are left absent. Objects with a default are filled recursively,
+// so a missing optional section comes back with every default inside it.
+
+// Canonical revenue definitions selectable via data_contracts.revenue.metric
+const REVENUE_METRICS = ["total_sales", "net_revenue", "net_sales"];
+const EVENT_TYPES = { holiday: "Holiday", promotion: "Promotion", stock_out: "Stock-out", other: "Other" };
+const EXPECTED_IMPACTS = { increase: "Demand up", decrease: "Demand down", disruption: "Disruption" };
+
+// YYYY-MM-DD and a real calendar day — round-tripping through Date rejects e.g. 2025-02-31
+function isDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "")) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().slice(0, 10) === value;
+}
+
+const text = (extra = {}) => ({ type: "string", ...extra });
+const optionalText = (fallback = "") => ({ type: "string", default: fallback });
+const goal = { type: "number", min: 0, nullable: true, default: null };
+
+// A safety rail: a threshold plus the rule text shown to Claude. Both required once the rail is given.
+function rail(thresholdKey, threshold, rule) {
+  return {
+    type: "object",
+    default: { [thresholdKey]: threshold, rule },
+    properties: {
+      [thresholdKey]: { type: "number", min: 0, required: true },
+      rule: text({ required: true }),
+    },
+  };
+}
+
+function definition(definitionText, warning) {
+  const node = { type: "object", default: {}, properties: { definition: optionalText(definitionText) } };
+  if (warning) node.properties.warning = optionalText(warning);
+  return node;
+}
+
+const FUNNEL_STAGE = {
+  type: "object",
+  properties: {
+    name: text({ required: true }),
+    source: text({ required: true, enum: Object.keys(STAGE_METRICS) }),
+    metric: text({ required: true }),
+    fallback: {
+      type: "object",
+      properties: {
+        source: text({ required: true, enum: Object.keys(STAGE_METRICS) }),
+        metric: text({ required: true }),
+      },
+    },
+  },
+};
+
+const SEASONALITY_EVENT = {
+  type: "object",
+  properties: {
+    name: text({ required: true }),
+    type: text({ enum: Object.keys(EVENT_TYPES), default: "other" }),
+    start: text({ required: true, check: isDate, patternHint: "a real YYYY-MM-DD date" }),
+    end: text({ required: true, check: isDate, patternHint: "a real YYYY-MM-DD date" }),
+    expected_impact: text({ required: true, enum: Object.keys(EXPECTED_IMPACTS) }),
+    notes: optionalText(),
+  },
+};
+
+const BUSINESS_CONTEXT_SCHEMA = {
+  type: "object",
+  required: true,
+  properties: {
+    business_profile: {
+      type: "object",
+      required: true,
+      properties: {
+        store_name: text({ required: true }),
+        industry: optionalText(),
+        aov_band: optionalText(),
+        margin_model: optionalText(),
+        currency: text({ required: true }),
+        currency_symbol: text({ required: true }),
+        hero_products: { type: "array", items: text(), default: [] },
+        business_stage: optionalText(),
+        primary_market: optionalText(),
+        primary_market_country_codes: { type: "array", items: text({ pattern: /^[A-Z]{2}$/, patternHint: "a two-letter country code" }), default: [] },
+      },
+    },
+
+    funnel_definition: {
+      type: "object",
+      default: {
+        stages: [
+          { name: "Sessions", source: "ga4", metric: "sessions" },
+          { name: "Add to Cart", source: "ga4", metric: "addToCarts" },
+          { name: "Checkout", source: "shopify", metric: "checkouts_started", fallback: { source: "ga4", metric: "checkouts" } },
+          { name: "Purchase", source: "shopify", metric: "orders_count" },
+        ],
+      },
+      properties: {
+        stages: { type: "array", required: true, items: FUNNEL_STAGE },
+      },
+    },
+
+    metric_trees: { type: "object", default: {} },
+
+    data_contracts: {
+      type: "object",
+      default: {},
+      properties: {
+        revenue: {
+          type: "object",
+          default: {},
+          properties: {
+            metric: text({ enum: REVENUE_METRICS, default: "total_sales" }),
+            definition: optionalText("Shopify revenue from paid orders. NOT GA4 revenue."),
+          },
+        },
+        orders: definition("Shopify paid order count for the reporting period"),
+        sessions: definition("GA4 sessions for the selected reporting period"),
+        conversion_rate: definition("Shopify orders / GA4 sessions", "Cross-source metric \u2014 directional only. Do NOT present as exact."),
+        roas: definition("Shopify revenue / Meta ad spend", "NOT Meta's self-reported ROAS. Uses Shopify revenue as the source of truth."),
+      },
+    },
+
+    attribution_rules: {
+      type: "object",
+      default: {},
+      properties: {
+        ad_conversions: {
+          type: "object",
+          default: {},
+          properties: {
+            attribution_windows: { type: "array", items: text({ enum: ATTRIBUTION_WINDOWS }), default: ["7d_click", "1d_view"] },
+            report_windows: { type: "array", items: text({ enum: ATTRIBUTION_WINDOWS }), default: ["1d_click", "7d_click", "1d_view"] },
+            action_types: { type: "object" },
+          },
+        },
+        expected_paid_meta_percentage: goal,
+        discrepancy_flag: {
+          type: "object",
+          default: {},
+          properties: {
+            rule: optionalText("Flag if ad-platform-reported purchases and Shopify orders diverge sharply \u2014 likely a tracking or attribution issue."),
+          },
+        },
+      },
+    },
+
+    targets_and_constraints: {
+      type: "object",
+      default: {},
+      properties: {
+        roas_goal: goal,
+        cac_ceiling: goal,
+        mer_goal: goal,
+      },
+    },
+
+    data_source_notes: { type: "object", default: {} },
+
+    seasonality_calendar: { type: "array", items: SEASONALITY_EVENT, default: [] },
+
+    trust_and_safety_rails: {
+      type: "object",
+      default: {},
+      properties: {
+        session_drop_flag: rail("threshold_pct", 40, "Flag if sessions drop more than 40% day-over-day \u2014 likely a tracking issue, not a real traffic drop"),
+        revenue_gap_flag: rail("threshold_pct", 20, "Flag if GA4 revenue and Shopify revenue differ by more than 20% \u2014 data integrity issue"),
+        minimum_purchases: rail("count", 30, "Do not draw conclusions about conversion rates or product performance with fewer than 30 purchases"),
+        minimum_trend_days: rail("days", 7, "Do not call something a trend with fewer than 7 days of data"),
+        non_primary_market_flag: rail("threshold_pct", 15, "Flag if more than 15% of revenue ships outside the primary market \u2014 check shipping costs, pricing and ad targeting for those markets"),
+        low_stock_flag: rail("days_of_cover", 14, "Do not recommend ad pushes or promotions for products with under 14 days of stock cover \u2014 they will sell out before the spend pays back"),
+      },
+    },
+  },
+};
+
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "an array";
+  return `a ${typeof value}`;
+}
+
+// Returns the value with defaults applied; problems are pushed onto errors as "path: message"
+function checkNode(node, value, path, errors) {
+  if (value === undefined || value === null) {
+    if (value === null && node.nullable) return null;
+    if (node.required) {
+      errors.push(`${path || "business context"}: is required`);
+      return value;
+    }
+    if (!("default" in node)) return undefined;
+    if (node.default === null) return null;
+    value = structuredClone(node.default);
+  }
+
+  switch (node.type) {
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        errors.push(`${path || "business context"}: expected an object, got ${describeType(value)}`);
+        return value;
+      }
+      const result = { ...value };
+      for (const [key, child] of Object.entries(node.properties || {})) {
+        const checked = checkNode(child, value[key], path ? `${path}.${key}` : key, errors);
+        if (checked !== undefined) result[key] = checked;
+      }
+      return result;
+    }
+    case "array":
+      if (!Array.isArray(value)) {
+        errors.push(`${path}: expected an array, got ${describeType(value)}`);
+        return value;
+      }
+      return value.map((item, i) => checkNode(node.items, item, `${path}[${i}]`, errors));
+    case "string":
+      if (typeof value !== "string") {
+        errors.push(`${path}: expected a string, got ${describeType(value)}`);
+      } else if (node.enum && !node.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${node.enum.join(", ")} (got "${value}")`);
+      } else if ((node.pattern && !node.pattern.test(value)) || (node.check && !node.check(value))) {
+        errors.push(`${path}: must be ${node.patternHint} (got "${value}")`);
+      } else if (node.required && value.trim() === "") {
+        errors.push(`${path}: is required`);
+      }
+      return value;
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        errors.push(`${path}: expected a number, got ${describeType(value)}`);
+      } else if (node.min !== undefined && value < node.min) {
+        errors.push(`${path}: must be ${node.min} or more (got ${value})`);
+      }
+      return value;
+    default:
+      return value;
+  }
+}
+
+// "£18-25", "$18 - $25", "18–25 EUR", "£1,200-1,500" → { low, high }; null if the band has no numeric
+// range or runs high to low
+function parseAovBand(band) {
+  const amount = "(\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?)";
+  const match = String(band || "").match(new RegExp(`${amount}\\s*[-\u2013]\\s*\\D{0,3}?${amount}`));
+  if (!match) return null;
+  const [low, high] = [match[1], match[2]].map(v => parseFloat(v.replace(/,/g, "")));
+  return low <= high ? { low, high } : null;
+}
+
+// Rules that span fields, checked once the shape is right
+function checkCrossFieldRules(context, errors) {
+  const bp = context.business_profile;
+  if (bp.aov_band && !parseAovBand(bp.aov_band)) {
+    errors.push(`business_profile.aov_band: expected a low-to-high range like "${bp.currency_symbol}18-25" (got "${bp.aov_band}")`);
+  }
+
+  context.funnel_definition.stages.forEach((stage, i) => {
+    for (const [key, ref] of [["", stage], [".fallback", stage.fallback]]) {
+      if (ref && STAGE_METRICS[ref.source] && !STAGE_METRICS[ref.source][ref.metric]) {
+        errors.push(`funnel_definition.stages[${i}]${key}.metric: "${ref.metric}" is not a ${ref.source} metric (use ${Object.keys(STAGE_METRICS[ref.source]).join(", ")})`);
+      }
+    }
+  });
+
+  try {
+    getAttributionSettings(context);
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  context.seasonality_calendar.forEach((event, i) => {
+    if (event.start && event.end && event.end < event.start) {
+      errors.push(`seasonality_calendar[${i}].end: must be on or after start (${event.start})`);
+    }
+  });
+}
+
+// Validate a business context and fill in defaults. Returns { context, errors } — context is only
+// safe to use when errors is empty.
+function validateContextSchema(input) {
+  const errors = [];
+  const context = checkNode(BUSINESS_CONTEXT_SCHEMA, input, "", errors);
+  if (errors.length === 0) checkCrossFieldRules(context, errors);
+  return { context, errors };
+}
+
+module.exports = {
+  REVENUE_METRICS,
+  EVENT_TYPES,
+  EXPECTED_IMPACTS,
+  validateContextSchema,
+  parseAovBand,
+  isDate,
+};
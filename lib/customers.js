@@ -0,0 +1,228 @@
+const logger = require("./logger");
+const { fetchCustomerOrderHistories, fetchCustomerFirstOrderDates } = require("./graphql");
+
+// --- Customer metrics: new vs returning, repeat rate, time between orders, 90-day LTV ---
+const MAX_CUSTOMER_HISTORIES = 250;
+const MAX_FIRST_ORDER_LOOKUPS = 1000;
+const LTV_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Window orders grouped by customer, oldest first. Guest checkouts (no customer) are left out.
+function groupOrdersByCustomer(paidOrders) {
+  const byCustomer = {};
+  for (const order of paidOrders) {
+    if (!order.customer || !order.customer.id) continue;
+    const id = String(order.customer.id);
+    if (!byCustomer[id]) byCustomer[id] = { id, lifetimeOrders: order.customer.orders_count || 0, orders: [] };
+    byCustomer[id].orders.push(order);
+  }
+  for (const customer of Object.values(byCustomer)) {
+    customer.orders.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+  return byCustomer;
+}
+
+// When the customer first ordered: the looked-up first order date if they have orders outside the
+// window, else their earliest order in it
+function firstOrderTime(customer, firstOrderDates) {
+  const firstInWindow = new Date(customer.orders[0].created_at).getTime();
+  const lookedUp = firstOrderDates && firstOrderDates[customer.id];
+  return lookedUp ? Math.min(firstInWindow, new Date(lookedUp).getTime()) : firstInWindow;
+}
+
+// Customers with orders outside the window (per their lifetime count), whose first order date must be looked
+// up — most recently active first
+function customersWithOtherOrders(byCustomer) {
+  return Object.values(byCustomer)
+    .filter(c => c.lifetimeOrders > c.orders.length)
+    .sort((a, b) => new Date(b.orders[b.orders.length - 1].created_at) - new Date(a.orders[a.orders.length - 1].created_at))
+    .map(c => c.id);
+}
+
+// New vs returning per order: an order is "returning" if the customer placed an order before it. Judged
+// from the customer's first order date, so orders placed after the window never count. Guest orders are
+// absent from the map, and so are orders from customers whose first order date wasn't looked up.
+function classifyOrders(byCustomer, firstOrderDates, unresolvedIds) {
+  const returning = new Map();
+  for (const customer of Object.values(byCustomer)) {
+    if (unresolvedIds.has(customer.id)) continue;
+    const firstOrderAt = firstOrderTime(customer, firstOrderDates);
+    for (const order of customer.orders) {
+      returning.set(order, new Date(order.created_at).getTime() > firstOrderAt);
+    }
+  }
+  return returning;
+}
+
+// `firstOrderDates` comes from fetchCustomerFirstOrderDates; null when that lookup failed, in which case
+// new vs returning and repeat rate are unknown (the lifetime order count alone would count later orders too).
+// `unresolvedIds` are customers past the lookup cap: their returning orders and repeat customers are
+// estimated at the rates of the customers that were looked up.
+function summarizeCustomerOrders(paidOrders, firstOrderDates, unresolvedIds = new Set()) {
+  const byCustomer = groupOrdersByCustomer(paidOrders);
+  const customerCount = Object.keys(byCustomer).length;
+  const identifiedOrders = Object.values(byCustomer).reduce((sum, c) => sum + c.orders.length, 0);
+  const counts = {
+    byCustomer,
+    customerCount,
+    identifiedOrders,
+    guestOrders: paidOrders.length - identifiedOrders,
+  };
+  if (!firstOrderDates) {
+    return {
+      ...counts, returning: new Map(),
+      newOrders: null, returningOrders: null, returningOrderShare: null, repeatCustomers: null, repeatPurchaseRate: null,
+      estimatedCustomers: 0,
+    };
+  }
+
+  const returning = classifyOrders(byCustomer, firstOrderDates, unresolvedIds);
+  // Repeat customers had 2+ orders by the end of the window: a returning order in it means exactly that
+  const isRepeat = c => c.orders.some(order => returning.get(order));
+  let returningOrders = [...returning.values()].filter(Boolean).length;
+  let repeatCustomers = Object.values(byCustomer).filter(isRepeat).length;
+
+  const unresolved = Object.values(byCustomer).filter(c => unresolvedIds.has(c.id));
+  const sampled = customersWithOtherOrders(byCustomer).filter(id => !unresolvedIds.has(id)).map(id => byCustomer[id]);
+  if (unresolved.length > 0 && sampled.length > 0) {
+    const orderCount = customers => customers.reduce((sum, c) => sum + c.orders.length, 0);
+    const sampledReturning = sampled.reduce((sum, c) => sum + c.orders.filter(order => returning.get(order)).length, 0);
+    returningOrders += Math.round(orderCount(unresolved) * sampledReturning / orderCount(sampled));
+    repeatCustomers += Math.round(unresolved.length * sampled.filter(isRepeat).length / sampled.length);
+  }
+
+  return {
+    ...counts,
+    returning,
+    newOrders: identifiedOrders - returningOrders,
+    returningOrders,
+    returningOrderShare: identifiedOrders > 0 ? (returningOrders / identifiedOrders) * 100 : null,
+    repeatCustomers,
+    repeatPurchaseRate: customerCount > 0 ? (repeatCustomers / customerCount) * 100 : null,
+    estimatedCustomers: unresolved.length,
+  };
+}
+
+// Median gap between consecutive orders, and average spend in the first LTV_DAYS after a customer's first
+// order. LTV only counts customers whose first order is at least LTV_DAYS old (the cohort), so recent
+// first-time buyers don't drag it down with a single order. One-order customers need no lookup (their LTV
+// is that order); repeat customers are looked up up to MAX_CUSTOMER_HISTORIES (most recent first) and
+// extrapolated to the rest of the cohort.
+function summarizeHistories(summary, histories, orderValue, firstOrderDates, now = Date.now()) {
+  const gaps = [];
+  const repeatLtvs = [];
+  let singleLtvTotal = 0;
+  let singleCount = 0;
+  let repeatCohortCount = 0;
+  const isMature = (firstOrderAt) => now - firstOrderAt >= LTV_DAYS * DAY_MS;
+
+  for (const customer of Object.values(summary.byCustomer)) {
+    const lifetime = Math.max(customer.lifetimeOrders, customer.orders.length);
+    if (lifetime <= 1) {
+      if (isMature(new Date(customer.orders[0].created_at).getTime())) {
+        singleLtvTotal += orderValue(customer.orders[0]);
+        singleCount += 1;
+      }
+      continue;
+    }
+
+    const history = histories[customer.id];
+    const firstOrderAt = history && history.length > 0
+      ? new Date(history[0].createdAt).getTime()
+      : firstOrderTime(customer, firstOrderDates);
+    const inCohort = isMature(firstOrderAt);
+    if (inCohort) repeatCohortCount += 1;
+
+    if (!history || history.length === 0) continue;
+    for (let i = 1; i < history.length; i++) {
+      gaps.push((new Date(history[i].createdAt) - new Date(history[i - 1].createdAt)) / DAY_MS);
+    }
+    if (inCohort) {
+      repeatLtvs.push(history
+        .filter(o => new Date(o.createdAt).getTime() - firstOrderAt <= LTV_DAYS * DAY_MS)
+        .reduce((sum, o) => sum + o.total, 0));
+    }
+  }
+
+  const ltvCohortSize = singleCount + repeatCohortCount;
+  let ltv90 = null;
+  const repeatAvg = repeatLtvs.length > 0 ? repeatLtvs.reduce((a, b) => a + b, 0) / repeatLtvs.length : null;
+  if (ltvCohortSize > 0 && (repeatAvg !== null || repeatCohortCount === 0)) {
+    ltv90 = (singleLtvTotal + (repeatAvg || 0) * repeatCohortCount) / ltvCohortSize;
+  }
+
+  const medianGap = median(gaps);
+  return {
+    medianDaysBetweenOrders: medianGap !== null ? parseFloat(medianGap.toFixed(1)) : null,
+    ltv90,
+    ltvCohortSize,
+    historySampleSize: repeatLtvs.length,
+  };
+}
+
+// Resolves to { stats, returning, previous } — `returning` maps each identified order to true/false for
+// other breakdowns; `previous` is the same new/returning split for the comparison window's orders.
+async function getCustomerStats(shop, accessToken, paidOrders, previousPaidOrders, orderValue) {
+  // First order dates are looked up for up to MAX_FIRST_ORDER_LOOKUPS customers, half from each window so
+  // both keep a sample; the rest are estimated from it
+  const currentIds = customersWithOtherOrders(groupOrdersByCustomer(paidOrders));
+  const previousIds = customersWithOtherOrders(groupOrdersByCustomer(previousPaidOrders));
+  const lookupIds = new Set([
+    ...currentIds.slice(0, MAX_FIRST_ORDER_LOOKUPS / 2),
+    ...previousIds.slice(0, MAX_FIRST_ORDER_LOOKUPS / 2),
+  ]);
+  const unresolvedIds = new Set([...currentIds, ...previousIds].filter(id => !lookupIds.has(id)));
+  if (unresolvedIds.size > 0) {
+    logger.info("[customers] looking up first orders for", lookupIds.size, "customers \u2014", unresolvedIds.size, "more estimated from them");
+  }
+
+  let firstOrderDates = {};
+  try {
+    if (lookupIds.size > 0) firstOrderDates = await fetchCustomerFirstOrderDates(shop, accessToken, [...lookupIds]);
+  } catch (err) {
+    firstOrderDates = null;
+    logger.error("[customers] first order lookup failed \u2014 new vs returning unavailable:", err.message);
+  }
+
+  const summary = summarizeCustomerOrders(paidOrders, firstOrderDates, unresolvedIds);
+  const previousSummary = summarizeCustomerOrders(previousPaidOrders, firstOrderDates, unresolvedIds);
+
+  // Most recently active repeat customers first
+  const repeatIds = Object.values(summary.byCustomer)
+    .filter(c => Math.max(c.lifetimeOrders, c.orders.length) > 1)
+    .sort((a, b) => new Date(b.orders[b.orders.length - 1].created_at) - new Date(a.orders[a.orders.length - 1].created_at))
+    .map(c => c.id)
+    .slice(0, MAX_CUSTOMER_HISTORIES);
+
+  let histories = {};
+  let historyAvailable = true;
+  try {
+    if (repeatIds.length > 0) histories = await fetchCustomerOrderHistories(shop, accessToken, repeatIds);
+  } catch (err) {
+    historyAvailable = false;
+    logger.error("[customers] order history lookup failed \u2014 median gap and LTV unavailable:", err.message);
+  }
+
+  const { byCustomer, returning, ...counts } = summary;
+  const historyStats = historyAvailable
+    ? summarizeHistories(summary, histories, orderValue, firstOrderDates)
+    : { medianDaysBetweenOrders: null, ltv90: null, ltvCohortSize: 0, historySampleSize: 0 };
+
+  logger.info("[customers]", counts.customerCount, "customers |", counts.returningOrders, "returning orders |",
+    "repeat rate:", counts.repeatPurchaseRate !== null ? counts.repeatPurchaseRate.toFixed(1) + "%" : "n/a");
+
+  return {
+    stats: { ...counts, ...historyStats },
+    returning,
+    previous: { returningOrderShare: previousSummary.returningOrderShare, repeatPurchaseRate: previousSummary.repeatPurchaseRate },
+  };
+}
+
+module.exports = { getCustomerStats };
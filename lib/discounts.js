@@ -0,0 +1,72 @@
+// --- Discount code performance: who each code brings in and what it costs ---
+const MAX_CODES = 10;
+
+function emptyBucket() {
+  return { orders: 0, revenue: 0, discount: 0, newOrders: 0, identifiedOrders: 0 };
+}
+
+function addOrder(bucket, revenue, discount, isReturning) {
+  bucket.orders += 1;
+  bucket.revenue += revenue;
+  bucket.discount += discount;
+  if (isReturning !== undefined) {
+    bucket.identifiedOrders += 1;
+    if (!isReturning) bucket.newOrders += 1;
+  }
+}
+
+function finishBucket(bucket) {
+  return {
+    orders: bucket.orders,
+    revenue: bucket.revenue,
+    discount: bucket.discount,
+    avgDiscount: bucket.orders > 0 ? bucket.discount / bucket.orders : 0,
+    aov: bucket.orders > 0 ? bucket.revenue / bucket.orders : 0,
+    // Share of orders (with a known customer) that were the customer's first
+    newCustomerShare: bucket.identifiedOrders > 0 ? (bucket.newOrders / bucket.identifiedOrders) * 100 : null,
+  };
+}
+
+// Per-code stats vs orders with no discount at all. `orderRevenue` maps an order to revenue in the
+// canonical metric; `returning` is the order → isReturning map from lib/customers.js. Codes are
+// grouped case-insensitively; orders with a discount but no code (automatic/manual) get their own bucket.
+function summarizeDiscounts(paidOrders, orderRevenue, returning) {
+  const codes = {};
+  const noCode = emptyBucket();
+  const undiscounted = emptyBucket();
+  let codeOrders = 0;
+
+  for (const order of paidOrders) {
+    const revenue = orderRevenue(order);
+    const totalDiscount = parseFloat(order.total_discounts || 0);
+    const isReturning = returning.get(order);
+    const orderCodes = order.discount_codes || [];
+
+    if (orderCodes.length === 0) {
+      addOrder(totalDiscount > 0 ? noCode : undiscounted, revenue, totalDiscount, isReturning);
+      continue;
+    }
+
+    codeOrders += 1;
+    for (const entry of orderCodes) {
+      const key = (entry.code || "").toUpperCase();
+      if (!codes[key]) codes[key] = { code: key, ...emptyBucket() };
+      // Revenue is credited in full to each code on the order; combined codes are rare
+      addOrder(codes[key], revenue, parseFloat(entry.amount || 0), isReturning);
+    }
+  }
+
+  const codeStats = Object.values(codes)
+    .map(bucket => ({ code: bucket.code, ...finishBucket(bucket) }))
+    .sort((a, b) => b.orders - a.orders);
+
+  return {
+    codes: codeStats.slice(0, MAX_CODES),
+    codeCount: codeStats.length,
+    codeOrderShare: paidOrders.length > 0 ? (codeOrders / paidOrders.length) * 100 : 0,
+    automatic: finishBucket(noCode),
+    undiscounted: finishBucket(undiscounted),
+  };
+}
+
+module.exports = { summarizeDiscounts };
@@ -0,0 +1,94 @@
+// --- Conversion funnel: stage counts from funnel_definition plus stage-to-stage conversion ---
+
+// Paid social funnel from Meta-reported pixel events (attributed to ads, so not comparable with the store funnel)
+const META_FUNNEL_STAGES = [
+  { name: "Link Clicks", source: "meta", metric: "link_clicks" },
+  { name: "Add to Cart", source: "meta", metric: "add_to_cart" },
+  { name: "Checkout", source: "meta", metric: "initiate_checkout" },
+  { name: "Purchase", source: "meta", metric: "purchase" },
+];
+
+// metric name in funnel_definition → value, per source
+const STAGE_METRICS = {
+  shopify: {
+    orders_count: s => s.orderCount,
+    checkouts_started: s => s.checkoutsStarted,
+  },
+  ga4: {
+    sessions: g => g.sessions,
+    screenPageViews: g => g.pageViews,
+    addToCarts: g => g.addToCarts,
+    checkouts: g => g.checkouts,
+  },
+  meta: {
+    clicks: m => m.clicks,
+    link_clicks: m => m.linkClicks,
+    add_to_cart: m => m.addToCarts,
+    initiate_checkout: m => m.checkoutsInitiated,
+    purchase: m => m.purchases,
+  },
+};
+
+// null when the source isn't connected, the metric is unknown, or the value wasn't collected
+function resolveValue({ source, metric }, sources) {
+  const data = sources[source];
+  const read = STAGE_METRICS[source] && STAGE_METRICS[source][metric];
+  if (!data || !read) return null;
+  const value = read(data);
+  return value !== undefined && value !== null ? value : null;
+}
+
+// GA4 reports 0 add_to_cart / begin_checkout events when the store doesn't send them, so zeros from an
+// event metric are treated as missing rather than a 100% drop-off
+function resolveStage(stage, sources) {
+  for (const candidate of [stage, stage.fallback].filter(Boolean)) {
+    const value = resolveValue(candidate, sources);
+    const isEventMetric = candidate.source === "ga4" && candidate.metric !== "sessions" && candidate.metric !== "screenPageViews";
+    if (value !== null && !(isEventMetric && value === 0)) return { value, source: candidate.source };
+  }
+  return { value: null, source: stage.source };
+}
+
+// Conversion from the previous stage that has a value; crossSource marks rates computed across two sources
+function buildStages(stageDefinitions, sources) {
+  let prior = null;
+  return stageDefinitions.map(stage => {
+    const { value, source } = resolveStage(stage, sources);
+    const row = { name: stage.name, source, value, note: stage.note || null, conversionRate: null, crossSource: false };
+    if (value !== null) {
+      if (prior && prior.value > 0) {
+        row.conversionRate = (value / prior.value) * 100;
+        row.crossSource = prior.source !== source;
+      }
+      prior = row;
+    }
+    return row;
+  });
+}
+
+function overallRate(stages) {
+  const known = stages.filter(s => s.value !== null);
+  if (known.length < 2 || known[0].value <= 0) return null;
+  return (known[known.length - 1].value / known[0].value) * 100;
+}
+
+// Store funnel (current and previous period) and the Meta paid funnel. Any data argument may be null;
+// funnelDefinition is the shop's funnel_definition.
+function buildFunnels(shopifyStats, gaData, metaAdsData, funnelDefinition) {
+  const stageDefinitions = (funnelDefinition && funnelDefinition.stages) || [];
+  const current = buildStages(stageDefinitions, { shopify: shopifyStats, ga4: gaData, meta: metaAdsData });
+  const previous = buildStages(stageDefinitions, {
+    shopify: shopifyStats && shopifyStats.previous,
+    ga4: gaData && gaData.previous,
+    meta: metaAdsData && metaAdsData.previous,
+  });
+  current.forEach((stage, i) => { stage.previousConversionRate = previous[i].conversionRate; });
+
+  const meta = metaAdsData && metaAdsData.spend > 0 ? buildStages(META_FUNNEL_STAGES, { meta: metaAdsData }) : null;
+  return {
+    store: { stages: current, overallRate: overallRate(current) },
+    meta: meta ? { stages: meta, overallRate: overallRate(meta) } : null,
+  };
+}
+
+module.exports = { buildFunnels, STAGE_METRICS };
@@ -0,0 +1,77 @@
+// --- Geographic breakdown: orders by shipping country/region, joined to GA4 sessions by country ---
+const MAX_ROWS = 10;
+
+function emptyMarket() {
+  return { orders: 0, revenue: 0 };
+}
+
+function finishMarkets(map, totalRevenue) {
+  return Object.values(map)
+    .map(m => ({
+      ...m,
+      aov: m.orders > 0 ? m.revenue / m.orders : 0,
+      revenueShare: totalRevenue > 0 ? (m.revenue / totalRevenue) * 100 : 0,
+    }))
+    .sort((a, b) => b.revenue - a.revenue);
+}
+
+// `orderRevenue` maps an order to revenue in the canonical metric; `primaryCountryCodes` are ISO
+// codes for business_profile.primary_market. Orders without a shipping address (digital, pickup)
+// are counted as unknown.
+function summarizeGeography(paidOrders, orderRevenue, primaryCountryCodes = []) {
+  const countries = {};
+  const regions = {};
+  let totalRevenue = 0;
+  let primaryRevenue = 0;
+  let unknownOrders = 0;
+
+  for (const order of paidOrders) {
+    const revenue = orderRevenue(order);
+    totalRevenue += revenue;
+    const address = order.shipping_address;
+    if (!address || !address.country_code) {
+      unknownOrders += 1;
+      continue;
+    }
+
+    const code = address.country_code.toUpperCase();
+    if (!countries[code]) countries[code] = { countryCode: code, country: address.country || code, ...emptyMarket() };
+    countries[code].orders += 1;
+    countries[code].revenue += revenue;
+    if (primaryCountryCodes.includes(code)) primaryRevenue += revenue;
+
+    const regionKey = `${code}:${address.province || ""}`;
+    if (!regions[regionKey]) regions[regionKey] = { countryCode: code, region: address.province || "Unknown", ...emptyMarket() };
+    regions[regionKey].orders += 1;
+    regions[regionKey].revenue += revenue;
+  }
+
+  const countryRows = finishMarkets(countries, totalRevenue);
+  const hasPrimary = primaryCountryCodes.length > 0 && totalRevenue > 0;
+  return {
+    countries: countryRows.slice(0, MAX_ROWS),
+    regions: finishMarkets(regions, totalRevenue).slice(0, MAX_ROWS),
+    countryCount: countryRows.length,
+    unknownOrders,
+    // null when no primary market codes are configured
+    primaryRevenueShare: hasPrimary ? (primaryRevenue / totalRevenue) * 100 : null,
+    nonPrimaryRevenueShare: hasPrimary ? ((totalRevenue - primaryRevenue) / totalRevenue) * 100 : null,
+  };
+}
+
+// Shopify orders ÷ GA4 sessions per country. Cross-source, so directional only; null when GA has no
+// sessions for the country.
+function joinMarketConversion(countries, gaCountries) {
+  const sessionsByCode = {};
+  for (const row of gaCountries || []) sessionsByCode[row.countryId] = row.sessions;
+  return countries.map(c => {
+    const sessions = sessionsByCode[c.countryCode];
+    return {
+      ...c,
+      sessions: sessions !== undefined ? sessions : null,
+      conversionRate: sessions > 0 ? (c.orders / sessions) * 100 : null,
+    };
+  });
+}
+
+module.exports = { summarizeGeography, joinMarketConversion };
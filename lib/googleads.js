@@ -0,0 +1,110 @@
+const config = require("./config");
+const logger = require("./logger");
+const { getDefaultPeriod, toDateRange, getPreviousDateRange } = require("./period");
+
+// Campaign rows kept, by spend — bounds the size of cached/archived runs
+const MAX_CAMPAIGNS = 25;
+
+async function fetchGoogleAdsData(period = getDefaultPeriod()) {
+  if (!config.GOOGLE_ADS_CUSTOMER_ID || !config.GOOGLE_ADS_DEVELOPER_TOKEN || !config.GOOGLE_ADS_SERVICE_ACCOUNT_JSON) {
+    logger.info("[google-ads] skipping \u2014 GOOGLE_ADS_CUSTOMER_ID, GOOGLE_ADS_DEVELOPER_TOKEN or service account not set");
+    return null;
+  }
+
+  const { google } = require("googleapis");
+
+  let serviceAccount;
+  try {
+    serviceAccount = JSON.parse(config.GOOGLE_ADS_SERVICE_ACCOUNT_JSON);
+  } catch (err) {
+    logger.error("[google-ads] failed to parse service account JSON:", err.message);
+    return null;
+  }
+
+  // Google Ads only accepts a service account acting for a user who has access to the account
+  // (domain-wide delegation), unless the service account itself has been added as a user
+  const auth = new google.auth.GoogleAuth({
+    credentials: serviceAccount,
+    scopes: ["https://www.googleapis.com/auth/adwords"],
+    clientOptions: config.GOOGLE_ADS_IMPERSONATED_EMAIL ? { subject: config.GOOGLE_ADS_IMPERSONATED_EMAIL } : undefined,
+  });
+  const client = await auth.getClient();
+
+  const customerId = config.GOOGLE_ADS_CUSTOMER_ID.replace(/-/g, "");
+  logger.info("[google-ads] fetching campaign performance for customer:", customerId);
+
+  const currentRange = toDateRange(period);
+  // Totals for both windows come from the customer resource, which (unlike the campaign rows filtered to
+  // impressions > 0) keeps conversions credited on days without impressions; campaigns are the breakdown only
+  const [campaignRows, currentRows, previousRows] = await Promise.all([
+    searchGaql(client, customerId, `
+      SELECT campaign.id, campaign.name, campaign.advertising_channel_type,
+        metrics.cost_micros, metrics.impressions, metrics.clicks, metrics.conversions, metrics.conversions_value
+      FROM campaign
+      WHERE segments.date BETWEEN '${currentRange.startDate}' AND '${currentRange.endDate}'
+        AND metrics.impressions > 0`),
+    searchGaql(client, customerId, customerTotalsQuery(currentRange)),
+    searchGaql(client, customerId, customerTotalsQuery(getPreviousDateRange(period))),
+  ]);
+
+  const campaigns = campaignRows
+    .map(row => ({
+      id: row.campaign.id,
+      name: row.campaign.name,
+      channelType: row.campaign.advertisingChannelType,
+      ...parseMetrics(row.metrics),
+    }))
+    .sort((a, b) => b.spend - a.spend);
+
+  const totals = currentRows[0] ? parseMetrics(currentRows[0].metrics) : emptyMetrics();
+  const previous = previousRows[0] ? parseMetrics(previousRows[0].metrics) : emptyMetrics();
+
+  logger.info("[google-ads] data:", { ...totals, campaigns: campaigns.length, previous });
+  return { ...totals, previous, campaigns: campaigns.slice(0, MAX_CAMPAIGNS) };
+}
+
+function customerTotalsQuery({ startDate, endDate }) {
+  return `
+      SELECT metrics.cost_micros, metrics.impressions, metrics.clicks, metrics.conversions, metrics.conversions_value
+      FROM customer
+      WHERE segments.date BETWEEN '${startDate}' AND '${endDate}'`;
+}
+
+// Every row of a GAQL query via googleAds:search, following nextPageToken
+async function searchGaql(client, customerId, query) {
+  const headers = { "developer-token": config.GOOGLE_ADS_DEVELOPER_TOKEN };
+  if (config.GOOGLE_ADS_LOGIN_CUSTOMER_ID) headers["login-customer-id"] = config.GOOGLE_ADS_LOGIN_CUSTOMER_ID.replace(/-/g, "");
+
+  const rows = [];
+  let pageToken;
+  do {
+    const res = await client.request({
+      url: `https://googleads.googleapis.com/${config.GOOGLE_ADS_API_VERSION}/customers/${customerId}/googleAds:search`,
+      method: "POST",
+      headers,
+      data: { query: query.trim(), ...(pageToken ? { pageToken } : {}) },
+    });
+    rows.push(...(res.data.results || []));
+    pageToken = res.data.nextPageToken;
+  } while (pageToken);
+
+  logger.info("[google-ads] rows:", rows.length);
+  return rows;
+}
+
+function emptyMetrics() {
+  return { spend: 0, impressions: 0, clicks: 0, conversions: 0, conversionValue: 0 };
+}
+
+// The REST API returns int64 fields as strings and cost in micros
+function parseMetrics(metrics = {}) {
+  return {
+    spend: parseInt(metrics.costMicros || 0, 10) / 1e6,
+    impressions: parseInt(metrics.impressions || 0, 10),
+    clicks: parseInt(metrics.clicks || 0, 10),
+    conversions: parseFloat(metrics.conversions || 0),
+    conversionValue: parseFloat(metrics.conversionsValue || 0),
+  };
+}
+
+module.exports = { fetchGoogleAdsData };
@@ -0,0 +1,429 @@
+const config = require("./config");
+const logger = require("./logger");
+
+// --- Shopify GraphQL Admin API order ingestion ---
+// Windows with more than BULK_ORDER_THRESHOLD orders use a bulk operation (JSONL download);
+// smaller ones page through the orders connection. Either way orders are adapted to the REST
+// orders.json shape so the aggregation in lib/shopify.js stays source-agnostic.
+
+const BULK_ORDER_THRESHOLD = 2000;
+const ORDERS_PAGE_SIZE = 50;
+const LINE_ITEMS_PAGE_SIZE = 15;
+const LINE_ITEMS_OVERFLOW_PAGE_SIZE = 100;
+const BULK_POLL_INTERVAL = 2000;
+const BULK_TIMEOUT = 5 * 60 * 1000;
+const MAX_BULK_START_RETRIES = 3;
+const MAX_THROTTLE_RETRIES = 5;
+const NODES_BATCH_SIZE = 100;
+const CUSTOMER_BATCH_SIZE = 10;
+const CUSTOMER_HISTORY_ORDERS = 25;
+
+const ORDER_FIELDS = `
+  id
+  legacyResourceId
+  createdAt
+  sourceName
+  displayFinancialStatus
+  taxesIncluded
+  subtotalPriceSet { shopMoney { amount } }
+  currentSubtotalPriceSet { shopMoney { amount } }
+  totalDiscountsSet { shopMoney { amount } }
+  totalTaxSet { shopMoney { amount } }
+  totalShippingPriceSet { shopMoney { amount } }
+  totalPriceSet { shopMoney { amount } }
+  totalRefundedSet { shopMoney { amount } }
+  customer { legacyResourceId numberOfOrders }
+  discountCodes
+  shippingAddress { countryCodeV2 country province }
+`;
+
+const LINE_ITEM_FIELDS = `
+  title
+  quantity
+  sku
+  variantTitle
+  originalUnitPriceSet { shopMoney { amount } }
+  product { legacyResourceId }
+  variant { legacyResourceId }
+`;
+
+async function shopifyGraphql(shop, accessToken, query, variables = {}) {
+  const url = `https://${shop}/admin/api/${config.SHOPIFY_API_VERSION}/graphql.json`;
+
+  for (let attempt = 0; ; attempt++) {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: {
+        "X-Shopify-Access-Token": accessToken,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ query, variables }),
+    });
+
+    if (!res.ok) {
+      const errBody = await res.text();
+      throw new Error(`Shopify GraphQL error ${res.status}: ${errBody.substring(0, 200)}`);
+    }
+
+    const body = await res.json();
+    const throttled = body.errors?.some(e => e.extensions?.code === "THROTTLED");
+    if (throttled && attempt < MAX_THROTTLE_RETRIES) {
+      const status = body.extensions?.cost?.throttleStatus;
+      const waitMs = status ? Math.ceil((body.extensions.cost.requestedQueryCost - status.currentlyAvailable) / status.restoreRate) * 1000 : 2000;
+      logger.info("[graphql] throttled \u2014 retrying in", waitMs, "ms");
+      await sleep(Math.max(waitMs, 1000));
+      continue;
+    }
+    if (body.errors?.length) {
+      throw new Error(`Shopify GraphQL error: ${body.errors.map(e => e.message).join("; ").substring(0, 200)}`);
+    }
+    return body.data;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function buildOrdersSearch(since, until) {
+  return `created_at:>='${since}' AND created_at:<='${until}'`;
+}
+
+async function fetchOrdersCount(shop, accessToken, search) {
+  const data = await shopifyGraphql(shop, accessToken,
+    `query OrdersCount($search: String!) { ordersCount(query: $search, limit: null) { count } }`,
+    { search });
+  return data.ordersCount.count;
+}
+
+async function fetchOrdersPaginated(shop, accessToken, search) {
+  const query = `
+    query Orders($search: String!, $after: String) {
+      orders(first: ${ORDERS_PAGE_SIZE}, after: $after, query: $search, sortKey: CREATED_AT) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          ${ORDER_FIELDS}
+          lineItems(first: ${LINE_ITEMS_PAGE_SIZE}) { pageInfo { hasNextPage endCursor } nodes { ${LINE_ITEM_FIELDS} } }
+        }
+      }
+    }`;
+
+  const orders = [];
+  let after = null;
+  do {
+    const data = await shopifyGraphql(shop, accessToken, query, { search, after });
+    const page = data.orders;
+    for (const node of page.nodes) {
+      const lineItems = [...node.lineItems.nodes];
+      // Orders with more line items than the first page hold get the rest fetched separately
+      if (node.lineItems.pageInfo.hasNextPage) {
+        lineItems.push(...await fetchRemainingLineItems(shop, accessToken, node.id, node.lineItems.pageInfo.endCursor));
+      }
+      orders.push({ ...node, lineItems });
+    }
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    logger.info("[graphql] fetched page:", page.nodes.length, "orders | total so far:", orders.length);
+  } while (after);
+
+  return orders;
+}
+
+async function fetchRemainingLineItems(shop, accessToken, orderId, after) {
+  const query = `
+    query OrderLineItems($id: ID!, $after: String) {
+      node(id: $id) {
+        ... on Order {
+          lineItems(first: ${LINE_ITEMS_OVERFLOW_PAGE_SIZE}, after: $after) { pageInfo { hasNextPage endCursor } nodes { ${LINE_ITEM_FIELDS} } }
+        }
+      }
+    }`;
+
+  const lineItems = [];
+  do {
+    const data = await shopifyGraphql(shop, accessToken, query, { id: orderId, after });
+    const page = data.node.lineItems;
+    lineItems.push(...page.nodes);
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+
+  logger.info("[graphql] fetched", lineItems.length, "more line items for order", orderId);
+  return lineItems;
+}
+
+// Shopify runs one bulk query per shop at a time, so bulk fetches for the same shop are queued here,
+// and a bulk operation started elsewhere (another instance, the admin) is waited out before starting ours.
+const bulkQueues = {};
+
+function runBulkExclusive(shop, task) {
+  const previous = bulkQueues[shop] || Promise.resolve();
+  const run = previous.catch(() => {}).then(task);
+  bulkQueues[shop] = run;
+  return run.finally(() => {
+    if (bulkQueues[shop] === run) delete bulkQueues[shop];
+  });
+}
+
+async function pollBulkOperation(shop, accessToken, id, deadline) {
+  let operation;
+  do {
+    if (Date.now() > deadline) {
+      throw new Error(`Bulk operation ${id} timed out`);
+    }
+    await sleep(BULK_POLL_INTERVAL);
+    const data = await shopifyGraphql(shop, accessToken, `
+      query BulkStatus($id: ID!) {
+        node(id: $id) { ... on BulkOperation { id status errorCode objectCount url } }
+      }`, { id });
+    operation = data.node;
+    logger.info("[graphql] bulk operation", operation.status, "| objects:", operation.objectCount);
+  } while (operation.status === "CREATED" || operation.status === "RUNNING");
+  return operation;
+}
+
+// Wait for whichever bulk query is running on the shop (if any) to finish
+async function waitForIdleBulkOperation(shop, accessToken, deadline) {
+  const data = await shopifyGraphql(shop, accessToken, `{ currentBulkOperation { id status } }`);
+  const current = data.currentBulkOperation;
+  if (current && (current.status === "CREATED" || current.status === "RUNNING")) {
+    logger.info("[graphql] waiting for bulk operation already running on", shop + ":", current.id);
+    await pollBulkOperation(shop, accessToken, current.id, deadline);
+  }
+}
+
+async function startBulkOperation(shop, accessToken, bulkQuery, deadline) {
+  for (let attempt = 0; ; attempt++) {
+    await waitForIdleBulkOperation(shop, accessToken, deadline);
+    const started = await shopifyGraphql(shop, accessToken, `
+      mutation RunBulk($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation { id status }
+          userErrors { field message }
+        }
+      }`, { query: bulkQuery });
+
+    const { bulkOperation, userErrors } = started.bulkOperationRunQuery;
+    if (!userErrors.length) return bulkOperation;
+    // Lost a race with a bulk query started between the check and the mutation — wait it out and retry
+    const inProgress = userErrors.some(e => /already in progress/i.test(e.message));
+    if (!inProgress || attempt >= MAX_BULK_START_RETRIES) {
+      throw new Error(`Bulk operation rejected: ${userErrors.map(e => e.message).join("; ")}`);
+    }
+    logger.info("[graphql] another bulk operation is running \u2014 retrying");
+  }
+}
+
+async function fetchOrdersBulk(shop, accessToken, search) {
+  const bulkQuery = `
+    {
+      orders(query: ${JSON.stringify(search)}, sortKey: CREATED_AT) {
+        edges {
+          node {
+            ${ORDER_FIELDS}
+            lineItems { edges { node { ${LINE_ITEM_FIELDS} } } }
+          }
+        }
+      }
+    }`;
+
+  return runBulkExclusive(shop, async () => {
+    const deadline = Date.now() + BULK_TIMEOUT;
+    const bulkOperation = await startBulkOperation(shop, accessToken, bulkQuery, deadline);
+    logger.info("[graphql] bulk operation started:", bulkOperation.id);
+
+    const operation = await pollBulkOperation(shop, accessToken, bulkOperation.id, deadline);
+    if (operation.status !== "COMPLETED") {
+      throw new Error(`Bulk operation ${operation.status}${operation.errorCode ? ` (${operation.errorCode})` : ""}`);
+    }
+    // No url means the query matched nothing
+    if (!operation.url) return [];
+
+    const res = await fetch(operation.url);
+    if (!res.ok) {
+      throw new Error(`Bulk operation download failed (${res.status})`);
+    }
+    return parseBulkJsonl(await res.text());
+  });
+}
+
+// Bulk results flatten nested connections: child rows follow their parent and carry __parentId
+function parseBulkJsonl(jsonl) {
+  const ordersById = {};
+  const orders = [];
+  for (const line of jsonl.split("\n")) {
+    if (!line.trim()) continue;
+    const row = JSON.parse(line);
+    if (row.__parentId) {
+      ordersById[row.__parentId]?.lineItems.push(row);
+    } else {
+      const order = { ...row, lineItems: [] };
+      ordersById[row.id] = order;
+      orders.push(order);
+    }
+  }
+  return orders;
+}
+
+function money(set) {
+  return set?.shopMoney?.amount || "0";
+}
+
+// REST-style "2026-10-15T10:00:00+01:00" in the shop's timezone, so day bucketing uses the shop's local date
+function toShopLocalIso(isoUtc, timeZone) {
+  if (!timeZone) return isoUtc;
+  const date = new Date(isoUtc);
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone, hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+    }).formatToParts(date).map(p => [p.type, p.value])
+  );
+  const local = `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+  const offsetMin = Math.round((new Date(`${local}Z`) - date) / 60000);
+  const sign = offsetMin >= 0 ? "+" : "-";
+  const abs = Math.abs(offsetMin);
+  return `${local}${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}:${String(abs % 60).padStart(2, "0")}`;
+}
+
+// Adapt a GraphQL order to the subset of the REST orders.json shape that lib/shopify.js reads
+function toRestOrder(node, timeZone) {
+  const subtotal = parseFloat(money(node.subtotalPriceSet));
+  const discounts = parseFloat(money(node.totalDiscountsSet));
+  const refunded = parseFloat(money(node.totalRefundedSet));
+  // Product value removed by refunds/returns since the order was placed
+  const returns = Math.max(subtotal - parseFloat(money(node.currentSubtotalPriceSet)), 0);
+
+  return {
+    id: node.legacyResourceId,
+    created_at: toShopLocalIso(node.createdAt, timeZone),
+    financial_status: (node.displayFinancialStatus || "").toLowerCase(),
+    source_name: node.sourceName,
+    taxes_included: node.taxesIncluded,
+    total_line_items_price: String(subtotal + discounts),
+    total_discounts: money(node.totalDiscountsSet),
+    total_tax: money(node.totalTaxSet),
+    total_shipping_price_set: { shop_money: { amount: money(node.totalShippingPriceSet) } },
+    total_price: money(node.totalPriceSet),
+    refunds: refunded > 0
+      ? [{ transactions: [{ kind: "refund", status: "success", amount: String(refunded) }], refund_line_items: [{ subtotal: String(returns) }] }]
+      : [],
+    // GraphQL lists codes without per-code amounts, so the order's discount is split between them
+    discount_codes: (node.discountCodes || []).map(code => ({
+      code,
+      amount: String(discounts / node.discountCodes.length),
+    })),
+    shipping_address: node.shippingAddress
+      ? { country_code: node.shippingAddress.countryCodeV2, country: node.shippingAddress.country, province: node.shippingAddress.province }
+      : null,
+    customer: node.customer
+      ? { id: node.customer.legacyResourceId, orders_count: parseInt(node.customer.numberOfOrders, 10) }
+      : null,
+    line_items: node.lineItems.map(item => ({
+      title: item.title,
+      quantity: item.quantity,
+      price: money(item.originalUnitPriceSet),
+      sku: item.sku,
+      variant_title: item.variantTitle,
+      product_id: item.product?.legacyResourceId || null,
+      variant_id: item.variant?.legacyResourceId || null,
+    })),
+  };
+}
+
+// All orders (any financial status) created in [since, until], in REST shape
+async function fetchOrdersGraphql(shop, accessToken, since, until) {
+  const search = buildOrdersSearch(since, until);
+  const [orderCount, shopData] = await Promise.all([
+    fetchOrdersCount(shop, accessToken, search),
+    shopifyGraphql(shop, accessToken, `{ shop { ianaTimezone } }`),
+  ]);
+
+  const useBulk = orderCount > BULK_ORDER_THRESHOLD;
+  logger.info("[graphql]", orderCount, "orders in window \u2014 using", useBulk ? "bulk operation" : "paginated query");
+
+  const nodes = useBulk
+    ? await fetchOrdersBulk(shop, accessToken, search)
+    : await fetchOrdersPaginated(shop, accessToken, search);
+
+  const timeZone = shopData.shop.ianaTimezone;
+  return { orderCount, orders: nodes.map(node => toRestOrder(node, timeZone)) };
+}
+
+// Unit cost per variant from its inventory item (needs read_inventory). Keyed by legacy variant ID;
+// variants with no cost recorded are left out.
+async function fetchVariantUnitCosts(shop, accessToken, variantIds) {
+  const costs = {};
+  for (let i = 0; i < variantIds.length; i += NODES_BATCH_SIZE) {
+    const ids = variantIds.slice(i, i + NODES_BATCH_SIZE).map(id => `gid://shopify/ProductVariant/${id}`);
+    const data = await shopifyGraphql(shop, accessToken, `
+      query VariantCosts($ids: [ID!]!) {
+        nodes(ids: $ids) { ... on ProductVariant { legacyResourceId inventoryItem { unitCost { amount } } } }
+      }`, { ids });
+    for (const node of data.nodes) {
+      const amount = node?.inventoryItem?.unitCost?.amount;
+      if (amount !== undefined && amount !== null) costs[node.legacyResourceId] = parseFloat(amount);
+    }
+  }
+  logger.info("[graphql] unit costs found for", Object.keys(costs).length, "of", variantIds.length, "variants");
+  return costs;
+}
+
+// Earliest orders of each customer (oldest first, up to CUSTOMER_HISTORY_ORDERS), keyed by legacy customer ID.
+// Totals are after refunds and edits.
+async function fetchCustomerOrderHistories(shop, accessToken, customerIds) {
+  const histories = {};
+  for (let i = 0; i < customerIds.length; i += CUSTOMER_BATCH_SIZE) {
+    const ids = customerIds.slice(i, i + CUSTOMER_BATCH_SIZE).map(id => `gid://shopify/Customer/${id}`);
+    const data = await shopifyGraphql(shop, accessToken, `
+      query CustomerHistories($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Customer {
+            legacyResourceId
+            orders(first: ${CUSTOMER_HISTORY_ORDERS}, sortKey: CREATED_AT) {
+              nodes { createdAt currentTotalPriceSet { shopMoney { amount } } }
+            }
+          }
+        }
+      }`, { ids });
+    for (const node of data.nodes) {
+      if (!node?.orders) continue;
+      histories[node.legacyResourceId] = node.orders.nodes.map(o => ({
+        createdAt: o.createdAt,
+        total: parseFloat(money(o.currentTotalPriceSet)),
+      }));
+    }
+  }
+  logger.info("[graphql] order histories fetched for", Object.keys(histories).length, "customers");
+  return histories;
+}
+
+// When each customer placed their first order, keyed by legacy customer ID
+async function fetchCustomerFirstOrderDates(shop, accessToken, customerIds) {
+  const firstOrderDates = {};
+  for (let i = 0; i < customerIds.length; i += NODES_BATCH_SIZE) {
+    const ids = customerIds.slice(i, i + NODES_BATCH_SIZE).map(id => `gid://shopify/Customer/${id}`);
+    const data = await shopifyGraphql(shop, accessToken, `
+      query CustomerFirstOrders($ids: [ID!]!) {
+        nodes(ids: $ids) { ... on Customer { legacyResourceId orders(first: 1, sortKey: CREATED_AT) { nodes { createdAt } } } }
+      }`, { ids });
+    for (const node of data.nodes) {
+      const first = node?.orders?.nodes[0];
+      if (first) firstOrderDates[node.legacyResourceId] = first.createdAt;
+    }
+  }
+  logger.info("[graphql] first order dates fetched for", Object.keys(firstOrderDates).length, "customers");
+  return firstOrderDates;
+}
+
+// Checkouts created in [since, until] that were not completed (still abandoned, i.e. no order)
+async function fetchAbandonedCheckoutCount(shop, accessToken, since, until) {
+  const data = await shopifyGraphql(shop, accessToken,
+    `query AbandonedCheckoutsCount($search: String!) { abandonedCheckoutsCount(query: $search, limit: null) { count } }`,
+    { search: buildOrdersSearch(since, until) });
+  return data.abandonedCheckoutsCount.count;
+}
+
+module.exports = {
+  shopifyGraphql, fetchOrdersGraphql, fetchVariantUnitCosts, fetchCustomerOrderHistories, fetchCustomerFirstOrderDates,
+  fetchAbandonedCheckoutCount,
+  parseBulkJsonl, toRestOrder,
+};
@@ -0,0 +1,86 @@
+const logger = require("./logger");
+const { createBackend } = require("./storage");
+
+// --- Insights History (every generated tile set, newest first, per shop) ---
+// Each shop's runs are their own collection ("insights-history-<shop>"), so archiving a run rewrites
+// that shop's history only, not every shop's.
+const MAX_RUNS_PER_SHOP = 200;
+
+const shopHistories = {};
+
+function getShopHistory(shop) {
+  // The shop name becomes part of the collection (file) name
+  if (!/^[a-zA-Z0-9-]+\.myshopify\.com$/.test(shop)) throw new Error(`Invalid shop "${shop}"`);
+  if (!shopHistories[shop]) {
+    const backend = createBackend(`insights-history-${shop}`);
+    shopHistories[shop] = { backend, runs: backend.load().runs || [] };
+  }
+  return shopHistories[shop];
+}
+
+function persistShopHistory(shop) {
+  const history = getShopHistory(shop);
+  history.backend.save(history.runs.length > 0 ? { runs: history.runs } : {});
+}
+
+// Runs used to live in one "insights-history" collection keyed by shop — split it into per-shop
+// collections once, then empty it
+const legacyBackend = createBackend("insights-history");
+const legacyHistory = legacyBackend.load();
+if (Object.keys(legacyHistory).length > 0) {
+  for (const [shop, runs] of Object.entries(legacyHistory)) {
+    const history = getShopHistory(shop);
+    if (history.runs.length === 0) {
+      history.runs = runs.slice(0, MAX_RUNS_PER_SHOP);
+      persistShopHistory(shop);
+    }
+  }
+  legacyBackend.save({});
+  logger.info("[history] migrated insights history for", Object.keys(legacyHistory).length, "shop(s) to per-shop storage");
+}
+
+// insights is { tiles, shopifyStats, period, sources } plus each connector's data under its dataKey.
+// Runs where tile generation failed (tiles is null) have nothing to look back at and are skipped.
+function archiveInsights(shop, insights) {
+  if (!insights.tiles) {
+    logger.info("[history] no tiles generated \u2014 not archiving run for", shop);
+    return null;
+  }
+
+  const generatedAt = Date.now();
+  const run = { id: String(generatedAt), generatedAt, ...insights };
+
+  const history = getShopHistory(shop);
+  history.runs = [run, ...history.runs].slice(0, MAX_RUNS_PER_SHOP);
+
+  try {
+    persistShopHistory(shop);
+    logger.info("[history] archived insights run", run.id, "for", shop);
+  } catch (err) {
+    logger.error("[history] failed to persist insights run:", err.message);
+  }
+  return run;
+}
+
+function listInsightsHistory(shop) {
+  return getShopHistory(shop).runs;
+}
+
+function getInsightsRun(shop, runId) {
+  return listInsightsHistory(shop).find(run => run.id === runId) || null;
+}
+
+// Drop every archived run for a shop — called when its token is deleted (disconnect or uninstall)
+function deleteInsightsHistory(shop) {
+  const history = getShopHistory(shop);
+  history.runs = [];
+  try {
+    persistShopHistory(shop);
+    logger.info("[history] deleted insights history for", shop);
+  } catch (err) {
+    logger.error("[history] failed to delete insights history:", err.message);
+  }
+  delete shopHistories[shop];
+}
+
+module.exports = { archiveInsights, listInsightsHistory, getInsightsRun, deleteInsightsHistory };
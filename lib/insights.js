@@ -1,9 +1,11 @@
 const config = require("./config");
 const logger = require("./logger");
 const { buildSystemPrompt, buildDataSummary, buildTilePrompt, validateBusinessContext } = require("../prompts");
-const businessContext = require("../business-context.json");
+const { getDefaultPeriod } = require("./period");
 
-async function generateTileInsights(shopifyStats, gaData, metaAdsData, topProducts) {
+// sourceData is connector data keyed by dataKey (gaData, metaAdsData, ...), from fetchConnectorData;
+// businessContext is the shop's context (lib/business-context), read fresh for each run
+async function generateTileInsights(shopifyStats, sourceData, topProducts, period = getDefaultPeriod(), inventory = null, businessContext) {
   if (!config.ANTHROPIC_API_KEY) {
     logger.info("[insights] ANTHROPIC_API_KEY not set");
     return null;
@@ -12,7 +14,8 @@ async function generateTileInsights(shopifyStats, gaData, metaAdsData, topProduc
   const Anthropic = require("@anthropic-ai/sdk");
   const client = new Anthropic({ apiKey: config.ANTHROPIC_API_KEY });
 
-  const dataSummary = buildDataSummary(shopifyStats, gaData, metaAdsData, topProducts);
+  const dataSummary = buildDataSummary(shopifyStats, sourceData, topProducts, period, inventory, businessContext);
+  const metaAdsData = sourceData.metaAdsData;
   const hasMetaAds = !!metaAdsData;
   const systemPrompt = buildSystemPrompt(businessContext);
   let userPrompt = buildTilePrompt(dataSummary, hasMetaAds);
@@ -0,0 +1,142 @@
+const logger = require("./logger");
+const { shopifyGraphql } = require("./graphql");
+const { parsePeriod } = require("./period");
+const { getShopifyOrderData } = require("./shopify");
+const { getBusinessContext } = require("./business-context");
+
+// --- Inventory connector: stock on hand and days of cover per product ---
+const VARIANT_BATCH_SIZE = 25;
+const LEVELS_PAGE_SIZE = 10;
+const LEVELS_OVERFLOW_PAGE_SIZE = 100;
+// Sales velocity always comes from this window, whatever period the dashboard shows — a 7-day spike
+// or a 90-day average would otherwise swing days of cover with the period picker
+const VELOCITY_PERIOD = "30d";
+
+const sumAvailable = levels => levels.reduce((sum, level) => sum + level.quantities.reduce((s, q) => s + q.quantity, 0), 0);
+
+// Available units per variant, summed across locations. Untracked variants are flagged so they
+// don't read as out of stock.
+async function fetchVariantInventory(shop, accessToken, variantIds) {
+  const inventory = {};
+  for (let i = 0; i < variantIds.length; i += VARIANT_BATCH_SIZE) {
+    const ids = variantIds.slice(i, i + VARIANT_BATCH_SIZE).map(id => `gid://shopify/ProductVariant/${id}`);
+    const data = await shopifyGraphql(shop, accessToken, `
+      query VariantInventory($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on ProductVariant {
+            legacyResourceId
+            product { legacyResourceId title }
+            inventoryItem {
+              id
+              tracked
+              inventoryLevels(first: ${LEVELS_PAGE_SIZE}) {
+                pageInfo { hasNextPage endCursor }
+                nodes { quantities(names: ["available"]) { quantity } }
+              }
+            }
+          }
+        }
+      }`, { ids });
+
+    for (const node of data.nodes) {
+      if (!node?.inventoryItem) continue;
+      const levels = node.inventoryItem.inventoryLevels;
+      let available = sumAvailable(levels.nodes);
+      // Items stocked at more locations than the first page holds get the rest fetched separately
+      if (levels.pageInfo.hasNextPage) {
+        available += sumAvailable(await fetchRemainingLevels(shop, accessToken, node.inventoryItem.id, levels.pageInfo.endCursor));
+      }
+      inventory[node.legacyResourceId] = {
+        productId: node.product.legacyResourceId,
+        title: node.product.title,
+        tracked: node.inventoryItem.tracked,
+        available,
+      };
+    }
+  }
+  return inventory;
+}
+
+async function fetchRemainingLevels(shop, accessToken, inventoryItemId, after) {
+  const query = `
+    query InventoryItemLevels($id: ID!, $after: String) {
+      inventoryItem(id: $id) {
+        inventoryLevels(first: ${LEVELS_OVERFLOW_PAGE_SIZE}, after: $after) {
+          pageInfo { hasNextPage endCursor }
+          nodes { quantities(names: ["available"]) { quantity } }
+        }
+      }
+    }`;
+
+  const levels = [];
+  do {
+    const data = await shopifyGraphql(shop, accessToken, query, { id: inventoryItemId, after });
+    const page = data.inventoryItem.inventoryLevels;
+    levels.push(...page.nodes);
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+
+  logger.info("[inventory] fetched", levels.length, "more inventory levels for", inventoryItemId);
+  return levels;
+}
+
+// Variant IDs of a product looked up by exact title — used for hero products with no sales in the period
+async function findProductVariantIds(shop, accessToken, title) {
+  const data = await shopifyGraphql(shop, accessToken, `
+    query ProductByTitle($search: String!) {
+      products(first: 5, query: $search) { nodes { title variants(first: 25) { nodes { legacyResourceId } } } }
+    }`, { search: `title:${JSON.stringify(title)}` });
+  const match = data.products.nodes.find(p => p.title.toLowerCase() === title.toLowerCase());
+  return match ? match.variants.nodes.map(v => v.legacyResourceId) : [];
+}
+
+// Days of cover = units available / average units sold per day over the last 30 days (VELOCITY_PERIOD).
+// Sales come from getShopifyOrderData for that window, so it's a cache hit when the dashboard shows it too.
+async function fetchInventoryData(shop, accessToken) {
+  const period = parsePeriod({ period: VELOCITY_PERIOD });
+  const { products } = await getShopifyOrderData(shop, accessToken, period);
+  const heroProducts = getBusinessContext(shop).business_profile.hero_products;
+  const heroTitles = heroProducts.map(t => t.toLowerCase());
+  const soldTitles = new Set(products.map(p => p.title.toLowerCase()));
+  const unsoldHeroes = heroProducts.filter(t => !soldTitles.has(t.toLowerCase()));
+
+  const heroVariantIds = await Promise.all(unsoldHeroes.map(title => findProductVariantIds(shop, accessToken, title)));
+  const variantIds = [...new Set([...products.map(p => p.variantId).filter(Boolean), ...heroVariantIds.flat()])];
+
+  logger.info("[inventory] fetching inventory levels for", variantIds.length, "variants");
+  const variantInventory = await fetchVariantInventory(shop, accessToken, variantIds);
+
+  const unitsByVariant = {};
+  for (const p of products) {
+    if (p.variantId) unitsByVariant[p.variantId] = p.units;
+  }
+
+  const productMap = {};
+  for (const [variantId, variant] of Object.entries(variantInventory)) {
+    if (!variant.tracked) continue;
+    if (!productMap[variant.productId]) {
+      productMap[variant.productId] = { productId: variant.productId, title: variant.title, available: 0, unitsSold: 0 };
+    }
+    productMap[variant.productId].available += Math.max(variant.available, 0);
+    productMap[variant.productId].unitsSold += unitsByVariant[variantId] || 0;
+  }
+
+  const inventoryProducts = Object.values(productMap).map(p => {
+    const dailyVelocity = p.unitsSold / period.days;
+    return {
+      ...p,
+      dailyVelocity,
+      // null = nothing sold in the velocity window, so cover can't be estimated
+      daysOfCover: dailyVelocity > 0 ? p.available / dailyVelocity : null,
+      isHero: heroTitles.includes(p.title.toLowerCase()),
+    };
+  });
+  inventoryProducts.sort((a, b) => (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity));
+
+  logger.info("[inventory] tracked products:", inventoryProducts.length, "| lowest cover:",
+    inventoryProducts[0] && inventoryProducts[0].daysOfCover !== null ? `${inventoryProducts[0].title} (${inventoryProducts[0].daysOfCover.toFixed(1)} days)` : "n/a");
+
+  return { products: inventoryProducts, velocityDays: period.days, fetchedAt: Date.now() };
+}
+
+module.exports = { fetchInventoryData };
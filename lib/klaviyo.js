@@ -0,0 +1,149 @@
+const config = require("./config");
+const logger = require("./logger");
+const { getDefaultPeriod } = require("./period");
+const { getCachedKlaviyoData, setCachedKlaviyoData } = require("./cache");
+
+// --- Klaviyo: email flow and campaign revenue, open and click rates for the reporting period ---
+const STATISTICS = ["recipients", "delivered", "opens_unique", "clicks_unique", "conversions", "conversion_value"];
+const MAX_ROWS = 5;
+const MAX_RATE_LIMIT_RETRIES = 3;
+// Longer waits than this fail the fetch rather than hold the dashboard request
+const MAX_RETRY_WAIT = 60 * 1000;
+
+async function fetchKlaviyoData(period = getDefaultPeriod()) {
+  if (!config.KLAVIYO_API_KEY) {
+    logger.info("[klaviyo] skipping \u2014 KLAVIYO_API_KEY not set");
+    return null;
+  }
+
+  const cached = getCachedKlaviyoData(period.key);
+  if (cached) {
+    logger.info("[klaviyo] using cached", period.key, "email performance");
+    return cached;
+  }
+
+  const timeframe = { start: period.since, end: period.until };
+  logger.info("[klaviyo] fetching email performance:", timeframe.start, "to", timeframe.end);
+
+  const conversionMetricId = config.KLAVIYO_CONVERSION_METRIC_ID || await findPlacedOrderMetricId();
+
+  // Reporting endpoints are tightly rate limited (see the Klaviyo cache in lib/cache.js), so the two
+  // reports run one after the other
+  const flowRows = await fetchValuesReport("flow-values-report", timeframe, conversionMetricId);
+  const campaignRows = await fetchValuesReport("campaign-values-report", timeframe, conversionMetricId);
+  const [flowNames, campaignNames] = await Promise.all([
+    fetchNames("flows/?fields[flow]=name"),
+    fetchNames(`campaigns/?fields[campaign]=name&filter=${encodeURIComponent("equals(messages.channel,'email')")}`),
+  ]);
+
+  const flows = summarizeRows(flowRows, "flow_id", flowNames);
+  const campaigns = summarizeRows(campaignRows, "campaign_id", campaignNames);
+  const result = { revenue: flows.revenue + campaigns.revenue, flows, campaigns };
+
+  logger.info("[klaviyo] revenue:", result.revenue.toFixed(2), "| flows:", flows.revenue.toFixed(2), "| campaigns:", campaigns.revenue.toFixed(2));
+  setCachedKlaviyoData(period.key, result);
+  return result;
+}
+
+// Rate-limited (429) requests are retried after the Retry-After Klaviyo sends back
+async function klaviyoFetch(path, options = {}) {
+  let res;
+  for (let attempt = 0; ; attempt++) {
+    res = await fetch(`${config.KLAVIYO_API_BASE_URL}/${path}`, {
+      ...options,
+      headers: {
+        Authorization: `Klaviyo-API-Key ${config.KLAVIYO_API_KEY}`,
+        revision: config.KLAVIYO_API_REVISION,
+        accept: "application/vnd.api+json",
+        "content-type": "application/vnd.api+json",
+      },
+    });
+
+    logger.info("[klaviyo]", options.method || "GET", path.split("?")[0], "\u2192", res.status);
+    if (res.status !== 429 || attempt >= MAX_RATE_LIMIT_RETRIES) break;
+
+    const waitMs = (parseInt(res.headers.get("retry-after"), 10) || 2 ** attempt * 5) * 1000;
+    if (waitMs > MAX_RETRY_WAIT) break;
+    logger.info("[klaviyo] rate limited \u2014 retrying in", waitMs, "ms");
+    await res.text();
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+  }
+
+  if (!res.ok) {
+    const body = await res.text();
+    logger.error("[klaviyo] API error:", body.substring(0, 200));
+    throw new Error(`Klaviyo API error ${res.status}: ${body.substring(0, 200)}`);
+  }
+  return res.json();
+}
+
+// Revenue is attributed to the "Placed Order" metric (the Shopify integration's order event)
+async function findPlacedOrderMetricId() {
+  const data = await klaviyoFetch("metrics/?fields[metric]=name");
+  const metric = (data.data || []).find(m => m.attributes.name === "Placed Order");
+  if (!metric) throw new Error("Klaviyo has no \"Placed Order\" metric \u2014 set KLAVIYO_CONVERSION_METRIC_ID");
+  return metric.id;
+}
+
+async function fetchValuesReport(type, timeframe, conversionMetricId) {
+  const data = await klaviyoFetch(`${type.replace("-report", "-reports")}/`, {
+    method: "POST",
+    body: JSON.stringify({
+      data: {
+        type,
+        attributes: { statistics: STATISTICS, timeframe, conversion_metric_id: conversionMetricId },
+      },
+    }),
+  });
+  const results = data.data?.attributes?.results || [];
+  // Reports mix channels; only email sends count here
+  return results.filter(r => !r.groupings.send_channel || r.groupings.send_channel === "email");
+}
+
+// id → name for every flow or campaign, following links.next
+async function fetchNames(path) {
+  const names = {};
+  let next = path;
+  while (next) {
+    const data = await klaviyoFetch(next);
+    for (const item of data.data || []) names[item.id] = item.attributes.name;
+    next = data.links?.next ? data.links.next.replace(`${config.KLAVIYO_API_BASE_URL}/`, "") : null;
+  }
+  return names;
+}
+
+function emptyTotals() {
+  return { recipients: 0, delivered: 0, opens: 0, clicks: 0, conversions: 0, revenue: 0 };
+}
+
+function finishTotals(t) {
+  return {
+    ...t,
+    openRate: t.delivered > 0 ? (t.opens / t.delivered) * 100 : null,
+    clickRate: t.delivered > 0 ? (t.clicks / t.delivered) * 100 : null,
+  };
+}
+
+// Report rows are per message; roll them up per flow / campaign and overall
+function summarizeRows(rows, idKey, names) {
+  const byId = {};
+  const totals = emptyTotals();
+  for (const row of rows) {
+    const id = row.groupings[idKey];
+    if (!byId[id]) byId[id] = { id, name: names[id] || id, ...emptyTotals() };
+    const s = row.statistics;
+    for (const target of [byId[id], totals]) {
+      target.recipients += s.recipients || 0;
+      target.delivered += s.delivered || 0;
+      target.opens += s.opens_unique || 0;
+      target.clicks += s.clicks_unique || 0;
+      target.conversions += s.conversions || 0;
+      target.revenue += s.conversion_value || 0;
+    }
+  }
+
+  const items = Object.values(byId).map(finishTotals).sort((a, b) => b.revenue - a.revenue);
+  return { ...finishTotals(totals), count: items.length, top: items.slice(0, MAX_ROWS) };
+}
+
+module.exports = { fetchKlaviyoData };
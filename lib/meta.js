@@ -1,67 +1,218 @@
 const config = require("./config");
 const logger = require("./logger");
+const { getDefaultPeriod, toDateRange, getPreviousDateRange, listDates } = require("./period");
 
-async function fetchMetaAdsData() {
+// Rows kept per breakdown level, by spend — bounds the size of cached/archived runs
+const BREAKDOWN_LIMITS = { campaign: 25, adset: 25, ad: 50 };
+const BREAKDOWN_FIELDS = {
+  campaign: "campaign_id,campaign_name",
+  adset: "campaign_name,adset_id,adset_name",
+  ad: "campaign_name,adset_name,ad_id,ad_name",
+};
+
+// businessContext is the shop's context (lib/business-context) — attribution rules come from it
+async function fetchMetaAdsData(period = getDefaultPeriod(), businessContext) {
   if (!config.META_SYSTEM_USER_TOKEN || !config.META_AD_ACCOUNT_ID) {
     logger.info("[meta-api] skipping \u2014 META_SYSTEM_USER_TOKEN or META_AD_ACCOUNT_ID not set");
     return null;
   }
 
-  const today = new Date();
-  const thirtyDaysAgo = new Date(today);
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-  const since = thirtyDaysAgo.toISOString().split("T")[0];
-  const until = today.toISOString().split("T")[0];
-
   const accountId = config.META_AD_ACCOUNT_ID.startsWith("act_")
     ? config.META_AD_ACCOUNT_ID
     : `act_${config.META_AD_ACCOUNT_ID}`;
+
+  logger.info("[meta-api] fetching ad insights for account:", config.META_AD_ACCOUNT_ID);
+
+  const attribution = getAttributionSettings(businessContext);
+  logger.info("[meta-api] attribution windows:", attribution.windows.join(" + "), "| reporting:", attribution.reportWindows.join(", "));
+
+  // Account totals are required; the daily series and each breakdown level come back null on their own if they fail
+  const currentRange = toDateRange(period);
+  const [current, previous, daily, campaigns, adsets, ads] = await Promise.all([
+    fetchAccountInsights(accountId, currentRange, attribution),
+    fetchAccountInsights(accountId, getPreviousDateRange(period), attribution),
+    optionalInsights("daily", fetchDailyInsights(accountId, currentRange, attribution)),
+    optionalInsights("campaign", fetchBreakdownInsights(accountId, currentRange, "campaign", attribution)),
+    optionalInsights("ad set", fetchBreakdownInsights(accountId, currentRange, "adset", attribution)),
+    optionalInsights("ad", fetchBreakdownInsights(accountId, currentRange, "ad", attribution)),
+  ]);
+
+  const result = { ...current, attributionWindows: attribution.windows, previous, daily, campaigns, adsets, ads };
+
+  logger.info("[meta-api] data:", { ...current, previous });
+  return result;
+}
+
+function optionalInsights(label, promise) {
+  return promise.catch(err => {
+    logger.error(`[meta-api] ${label} insights failed \u2014 leaving them out:`, err.message);
+    return null;
+  });
+}
+
+// Fetch every row of an insights query at the given level, following paging.next
+async function fetchInsightsRows(accountId, { startDate: since, endDate: until }, attribution, { level = "account", extraFields = "", extraParams = "" } = {}) {
   const timeRange = JSON.stringify({ since, until });
-  const fields = "spend,impressions,clicks,actions,action_values";
-  const url =
+  const windows = [...new Set([...attribution.windows, ...attribution.reportWindows])];
+  const fields = "spend,impressions,clicks,inline_link_clicks,actions,action_values" + (extraFields ? `,${extraFields}` : "");
+  let url =
     `https://graph.facebook.com/${config.META_API_VERSION}/${accountId}/insights` +
     `?access_token=${encodeURIComponent(config.META_SYSTEM_USER_TOKEN)}` +
     `&time_range=${encodeURIComponent(timeRange)}` +
     `&fields=${fields}` +
-    `&level=account`;
+    `&level=${level}` +
+    `&action_attribution_windows=${encodeURIComponent(JSON.stringify(windows))}` +
+    extraParams;
 
-  logger.info("[meta-api] fetching ad insights for account:", config.META_AD_ACCOUNT_ID);
-  logger.info("[meta-api] date range:", since, "to", until);
+  logger.info("[meta-api] date range:", since, "to", until, `(level=${level}${extraParams})`);
 
-  const res = await fetch(url);
-  const data = await res.json();
+  const rows = [];
+  while (url) {
+    const res = await fetch(url);
+    const data = await res.json();
 
-  logger.info("[meta-api] response status:", res.status);
+    logger.info("[meta-api] response status:", res.status);
 
-  if (data.error) {
-    logger.error("[meta-api] API error:", data.error.message);
-    throw new Error(`Meta Ads API error: ${data.error.message}`);
+    if (data.error) {
+      logger.error("[meta-api] API error:", data.error.message);
+      throw new Error(`Meta Ads API error: ${data.error.message}`);
+    }
+
+    rows.push(...(data.data || []));
+    url = data.paging?.next || null;
   }
+  return rows;
+}
 
-  const row = data.data?.[0];
-  if (!row) {
-    logger.info("[meta-api] no ad data returned (no active campaigns?)");
-    return { spend: 0, impressions: 0, clicks: 0, purchases: 0, revenue: 0 };
+const ATTRIBUTION_WINDOWS = ["1d_click", "7d_click", "28d_click", "1d_view", "7d_view", "28d_view"];
+const DEFAULT_ATTRIBUTION = {
+  attribution_windows: ["7d_click", "1d_view"],
+  report_windows: ["1d_click", "7d_click", "1d_view"],
+  // Pixel events come back under either the standard or the offsite_conversion action type
+  action_types: {
+    purchase: ["purchase", "offsite_conversion.fb_pixel_purchase"],
+    add_to_cart: ["add_to_cart", "offsite_conversion.fb_pixel_add_to_cart"],
+    initiate_checkout: ["initiate_checkout", "offsite_conversion.fb_pixel_initiate_checkout"],
+  },
+};
+
+// Attribution windows and conversion action types from attribution_rules.ad_conversions. `windows` is the
+// attribution used for headline purchases/ROAS; `reportWindows` are broken out individually. Click windows
+// nest (1d ⊂ 7d), so headline attribution allows at most one click and one view window.
+function getAttributionSettings(businessContext) {
+  const ac = businessContext.attribution_rules.ad_conversions || {};
+  const windows = ac.attribution_windows || DEFAULT_ATTRIBUTION.attribution_windows;
+  const reportWindows = ac.report_windows || DEFAULT_ATTRIBUTION.report_windows;
+  for (const w of [...windows, ...reportWindows]) {
+    if (!ATTRIBUTION_WINDOWS.includes(w)) {
+      throw new Error(`attribution_rules.ad_conversions windows must be among ${ATTRIBUTION_WINDOWS.join(", ")} (got "${w}")`);
+    }
   }
+  if (windows.filter(w => w.endsWith("_click")).length > 1 || windows.filter(w => w.endsWith("_view")).length > 1) {
+    throw new Error("attribution_rules.ad_conversions.attribution_windows takes at most one click and one view window");
+  }
+  return {
+    windows,
+    reportWindows,
+    actionTypes: { ...DEFAULT_ATTRIBUTION.action_types, ...(ac.action_types || {}) },
+  };
+}
+
+function findAction(actions, types) {
+  return (actions || []).find(a => types.includes(a.action_type));
+}
 
-  const actions = row.actions || [];
-  const purchaseAction = actions.find(a => a.action_type === "purchase" || a.action_type === "offsite_conversion.fb_pixel_purchase");
-  const purchases = purchaseAction ? parseInt(purchaseAction.value, 10) : 0;
+// With action_attribution_windows set, each action carries a count per requested window; the headline
+// figure is the sum over the attribution windows (click and view credit don't overlap)
+function attributedValue(action, windows) {
+  if (!action) return 0;
+  const perWindow = windows.filter(w => action[w] !== undefined);
+  if (perWindow.length === 0) return parseFloat(action.value || 0);
+  return perWindow.reduce((sum, w) => sum + parseFloat(action[w]), 0);
+}
 
-  const actionValues = row.action_values || [];
-  const purchaseValue = actionValues.find(a => a.action_type === "purchase" || a.action_type === "offsite_conversion.fb_pixel_purchase");
-  const revenue = purchaseValue ? parseFloat(purchaseValue.value) : 0;
+function parseInsightsRow(row, attribution) {
+  const { windows, actionTypes } = attribution;
+  const countOf = (types) => Math.round(attributedValue(findAction(row.actions, types), windows));
 
-  const result = {
+  return {
     spend: parseFloat(row.spend || 0),
     impressions: parseInt(row.impressions || 0, 10),
     clicks: parseInt(row.clicks || 0, 10),
-    purchases,
-    revenue,
+    // Clicks through to the site — `clicks` also counts likes, profile and "see more" clicks
+    linkClicks: parseInt(row.inline_link_clicks || 0, 10),
+    addToCarts: countOf(actionTypes.add_to_cart),
+    checkoutsInitiated: countOf(actionTypes.initiate_checkout),
+    purchases: countOf(actionTypes.purchase),
+    revenue: attributedValue(findAction(row.action_values, actionTypes.purchase), windows),
   };
+}
 
-  logger.info("[meta-api] data:", result);
-  return result;
+// Purchases and purchase value under each report window on its own, e.g. 1d click vs 7d click vs 1d view
+function parseWindowBreakdown(row, attribution) {
+  const purchase = findAction(row.actions, attribution.actionTypes.purchase);
+  const value = findAction(row.action_values, attribution.actionTypes.purchase);
+  const byWindow = {};
+  for (const w of attribution.reportWindows) {
+    byWindow[w] = {
+      purchases: Math.round(attributedValue(purchase, [w])),
+      revenue: attributedValue(value, [w]),
+    };
+  }
+  return byWindow;
+}
+
+async function fetchAccountInsights(accountId, range, attribution) {
+  const rows = await fetchInsightsRows(accountId, range, attribution);
+  const row = rows[0];
+  if (!row) {
+    logger.info("[meta-api] no ad data returned for", range.startDate, "to", range.endDate, "(no active campaigns?)");
+    return { spend: 0, impressions: 0, clicks: 0, linkClicks: 0, addToCarts: 0, checkoutsInitiated: 0, purchases: 0, revenue: 0, byWindow: null };
+  }
+  return { ...parseInsightsRow(row, attribution), byWindow: parseWindowBreakdown(row, attribution) };
+}
+
+// One row per day (time_increment=1), zero-filled for days with no delivery
+async function fetchDailyInsights(accountId, range, attribution) {
+  const rows = await fetchInsightsRows(accountId, range, attribution, { extraParams: "&time_increment=1&limit=100" });
+  const byDate = {};
+  for (const row of rows) {
+    byDate[row.date_start] = parseInsightsRow(row, attribution);
+  }
+  logger.info("[meta-api] daily rows:", rows.length);
+  return listDates(range.startDate, range.endDate).map(date => ({
+    date,
+    ...(byDate[date] || { spend: 0, impressions: 0, clicks: 0, linkClicks: 0, addToCarts: 0, checkoutsInitiated: 0, purchases: 0, revenue: 0 }),
+  }));
+}
+
+// Campaign, ad set or ad rows with derived efficiency metrics, sorted by spend (highest first)
+async function fetchBreakdownInsights(accountId, range, level, attribution) {
+  const rows = await fetchInsightsRows(accountId, range, attribution, {
+    level,
+    extraFields: `${BREAKDOWN_FIELDS[level]},frequency`,
+    extraParams: "&limit=100",
+  });
+  logger.info(`[meta-api] ${level} rows:`, rows.length);
+
+  return rows
+    .map(row => {
+      const metrics = parseInsightsRow(row, attribution);
+      return {
+        id: row[`${level}_id`],
+        name: row[`${level}_name`] || "(unnamed)",
+        campaignName: level !== "campaign" ? row.campaign_name : undefined,
+        adsetName: level === "ad" ? row.adset_name : undefined,
+        ...metrics,
+        frequency: parseFloat(row.frequency || 0),
+        ctr: metrics.impressions > 0 ? (metrics.clicks / metrics.impressions) * 100 : null,
+        cpc: metrics.clicks > 0 ? metrics.spend / metrics.clicks : null,
+        cpa: metrics.purchases > 0 ? metrics.spend / metrics.purchases : null,
+        roas: metrics.spend > 0 ? metrics.revenue / metrics.spend : null,
+      };
+    })
+    .sort((a, b) => b.spend - a.spend)
+    .slice(0, BREAKDOWN_LIMITS[level]);
 }
 
-module.exports = { fetchMetaAdsData };
+module.exports = { fetchMetaAdsData, getAttributionSettings, ATTRIBUTION_WINDOWS };
@@ -0,0 +1,90 @@
+// --- Derived Metric Helpers (shared by prompts and views) ---
+
+// Absolute and % change vs the previous period. null when there is no previous value to compare against;
+// pct is null when the previous value was zero.
+function computeChange(current, previous) {
+  if (current === null || current === undefined || previous === null || previous === undefined) return null;
+  const abs = current - previous;
+  const pct = previous !== 0 ? (abs / previous) * 100 : null;
+  return {
+    abs: parseFloat(abs.toFixed(4)),
+    pct: pct !== null ? parseFloat(pct.toFixed(1)) : null,
+  };
+}
+
+function compareFields(current, previous, fields) {
+  const changes = {};
+  for (const field of fields) {
+    changes[field] = computeChange(current[field], previous[field]);
+  }
+  return changes;
+}
+
+// " (prev £1,200.00 · +£150.00 / +12.5%)" — empty when there is nothing to compare against
+function describeChange(changes, previous, field, format, formatDelta = format) {
+  const change = changes?.[field];
+  if (!change) return "";
+  const sign = change.abs >= 0 ? "+" : "-";
+  const pct = change.pct !== null ? ` / ${change.pct >= 0 ? "+" : ""}${change.pct}%` : "";
+  return ` (prev ${format(previous[field])} \u00b7 ${sign}${formatDelta(Math.abs(change.abs))}${pct})`;
+}
+
+function roas(ads) {
+  return ads && ads.spend > 0 ? ads.revenue / ads.spend : null;
+}
+
+// For platforms that report a conversion value rather than Meta's purchase revenue (Google Ads, TikTok)
+function conversionRoas(ads) {
+  return ads && ads.spend > 0 ? ads.conversionValue / ads.spend : null;
+}
+
+// Traffic-light status of MER against mer_goal: at or above goal, within 25% below it, or further below
+function merStatus(mer, goal) {
+  if (mer === null || mer === undefined || !goal) return null;
+  if (mer >= goal) return "healthy";
+  if (mer >= goal * 0.75) return "warning";
+  return "critical";
+}
+
+// Days where `field` fell more than thresholdPct versus the day before (series sorted by date)
+function findDayOverDayDrops(series, field, thresholdPct) {
+  const drops = [];
+  for (let i = 1; i < series.length; i++) {
+    const before = series[i - 1][field];
+    const after = series[i][field];
+    if (before > 0 && ((before - after) / before) * 100 > thresholdPct) {
+      drops.push({ date: series[i].date, before, after, dropPct: parseFloat((((before - after) / before) * 100).toFixed(1)) });
+    }
+  }
+  return drops;
+}
+
+// Platform-reported conversions and their value (TikTok Complete Payment events, Google Ads conversion actions)
+function summarizePlatformAds(ads) {
+  const round = (v) => parseFloat(v.toFixed(2));
+  return {
+    spend: round(ads.spend),
+    impressions: ads.impressions,
+    clicks: ads.clicks,
+    conversions: round(ads.conversions),
+    conversion_value: round(ads.conversionValue),
+    roas: conversionRoas(ads) !== null ? round(conversionRoas(ads)) : null,
+    cpc: ads.clicks > 0 ? round(ads.spend / ads.clicks) : null,
+    ctr: ads.impressions > 0 ? round((ads.clicks / ads.impressions) * 100) : null,
+    cpa: ads.conversions > 0 ? round(ads.spend / ads.conversions) : null,
+  };
+}
+
+// Best and worst rows by ROAS among those carrying at least minSpendShare of total spend,
+// so tiny tests don't dominate either list
+function rankPerformers(rows, { count = 3, minSpendShare = 0.05 } = {}) {
+  const totalSpend = rows.reduce((sum, r) => sum + r.spend, 0);
+  const eligible = rows
+    .filter(r => r.spend > 0 && r.spend >= totalSpend * minSpendShare)
+    .sort((a, b) => b.roas - a.roas);
+  const top = eligible.slice(0, count);
+  const bottom = eligible.slice(Math.max(count, eligible.length - count)).reverse();
+  return { top, bottom };
+}
+
+module.exports = { computeChange, compareFields, describeChange, roas, conversionRoas, summarizePlatformAds, merStatus, findDayOverDayDrops, rankPerformers };
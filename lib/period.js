@@ -0,0 +1,105 @@
+// --- Reporting Periods ---
+// A period is a plain, serializable object so it can be cached and archived with the data it describes:
+//   { key, type, days, since, until, label }  (since/until are ISO timestamps)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_PRESETS = { "7d": 7, "30d": 30, "90d": 90 };
+const DEFAULT_PERIOD = "30d";
+const MAX_CUSTOM_DAYS = 366;
+
+function formatDate(d) {
+  return new Date(d).toISOString().split("T")[0];
+}
+
+// Today and the days - 1 before it, from midnight UTC — the same calendar days toDateRange gives the
+// date-granular APIs, so Shopify orders and GA4/Meta cover the same window
+function buildPresetPeriod(key) {
+  const days = PERIOD_PRESETS[key];
+  const until = new Date();
+  const since = new Date(`${formatDate(until)}T00:00:00.000Z`);
+  since.setUTCDate(since.getUTCDate() - (days - 1));
+  return { key, type: "preset", days, since: since.toISOString(), until: until.toISOString(), label: `Last ${days} days` };
+}
+
+function buildCustomPeriod(from, to) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(from || "") || !/^\d{4}-\d{2}-\d{2}$/.test(to || "")) return null;
+
+  const since = new Date(`${from}T00:00:00.000Z`);
+  const until = new Date(Math.min(new Date(`${to}T23:59:59.999Z`).getTime(), Date.now()));
+  if (isNaN(since) || isNaN(until) || since >= until) return null;
+
+  const days = Math.ceil((until - since) / DAY_MS);
+  if (days > MAX_CUSTOM_DAYS) return null;
+
+  const fmt = (d) => d.toLocaleDateString("en-GB", { day: "numeric", month: "short", year: "numeric", timeZone: "UTC" });
+  return {
+    key: `custom:${from}:${formatDate(until)}`,
+    type: "custom",
+    days,
+    since: since.toISOString(),
+    until: until.toISOString(),
+    label: `${fmt(since)} \u2013 ${fmt(until)}`,
+  };
+}
+
+// Resolve ?period=7d|30d|90d|custom (&from=YYYY-MM-DD&to=YYYY-MM-DD). Returns null if invalid.
+function parsePeriod(query = {}) {
+  const key = query.period || DEFAULT_PERIOD;
+  if (PERIOD_PRESETS[key]) return buildPresetPeriod(key);
+  if (key === "custom") return buildCustomPeriod(query.from, query.to);
+  return null;
+}
+
+function getDefaultPeriod() {
+  return buildPresetPeriod(DEFAULT_PERIOD);
+}
+
+// The period.days whole days before the period starts (timestamps, for Shopify order queries) — the same
+// calendar days as getPreviousDateRange
+function getPreviousPeriod(period) {
+  const since = new Date(period.since);
+  return {
+    key: `${period.key}:previous`,
+    type: period.type,
+    days: period.days,
+    since: new Date(since.getTime() - period.days * DAY_MS).toISOString(),
+    until: since.toISOString(),
+    label: `Previous ${period.days} days`,
+  };
+}
+
+// Calendar-day range for date-granular APIs (GA4, Meta)
+function toDateRange(period) {
+  return { startDate: formatDate(period.since), endDate: formatDate(period.until) };
+}
+
+// Same number of calendar days as toDateRange(period), ending the day before it starts
+function getPreviousDateRange(period) {
+  const { startDate, endDate } = toDateRange(period);
+  const spanDays = Math.round((new Date(endDate) - new Date(startDate)) / DAY_MS) + 1;
+  const previousEnd = new Date(new Date(startDate).getTime() - DAY_MS);
+  const previousStart = new Date(previousEnd.getTime() - (spanDays - 1) * DAY_MS);
+  return { startDate: formatDate(previousStart), endDate: formatDate(previousEnd) };
+}
+
+// Every YYYY-MM-DD date from startDate to endDate inclusive — used to zero-fill daily series
+function listDates(startDate, endDate) {
+  const dates = [];
+  for (let t = new Date(startDate).getTime(); t <= new Date(endDate).getTime(); t += DAY_MS) {
+    dates.push(formatDate(t));
+  }
+  return dates;
+}
+
+// Query string that reproduces the period on links and client-side fetches
+function periodQuery(period) {
+  if (period.type === "custom") {
+    return `period=custom&from=${formatDate(period.since)}&to=${formatDate(period.until)}`;
+  }
+  return `period=${period.key}`;
+}
+
+module.exports = {
+  PERIOD_PRESETS, DEFAULT_PERIOD, formatDate, parsePeriod, getDefaultPeriod, periodQuery,
+  getPreviousPeriod, toDateRange, getPreviousDateRange, listDates,
+};
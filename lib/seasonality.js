@@ -0,0 +1,97 @@
+const crypto = require("crypto");
+const logger = require("./logger");
+const { formatDate, toDateRange, getPreviousDateRange } = require("./period");
+const { getBusinessContext, saveBusinessContext } = require("./business-context");
+const { EVENT_TYPES, EXPECTED_IMPACTS, isDate } = require("./context-schema");
+
+// --- Seasonality Calendar (seasonality_calendar in the shop's business context) ---
+// An event is { id, name, type, start, end, expected_impact, notes } with start/end as YYYY-MM-DD (inclusive).
+
+const UPCOMING_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Validate and normalise one event. Throws with a message fit for the settings page.
+function normalizeEvent(input) {
+  const name = String(input.name || "").trim();
+  if (!name) throw new Error("Event name is required");
+  if (name.length > 100) throw new Error("Event name must be 100 characters or fewer");
+
+  const start = String(input.start || "");
+  const end = String(input.end || "") || start;
+  if (!isDate(start)) throw new Error("Start date must be a real date in YYYY-MM-DD form");
+  if (!isDate(end)) throw new Error("End date must be a real date in YYYY-MM-DD form");
+  if (end < start) throw new Error("End date must be on or after the start date");
+
+  const type = input.type || "other";
+  if (!EVENT_TYPES[type]) throw new Error(`Type must be one of: ${Object.keys(EVENT_TYPES).join(", ")}`);
+  const expectedImpact = input.expected_impact;
+  if (!EXPECTED_IMPACTS[expectedImpact]) throw new Error(`Expected impact must be one of: ${Object.keys(EXPECTED_IMPACTS).join(", ")}`);
+
+  return {
+    id: input.id || crypto.randomBytes(6).toString("hex"),
+    name,
+    type,
+    start,
+    end,
+    expected_impact: expectedImpact,
+    notes: String(input.notes || "").trim().slice(0, 300),
+  };
+}
+
+function sortEvents(events) {
+  return [...events].sort((a, b) => a.start.localeCompare(b.start) || a.name.localeCompare(b.name));
+}
+
+// Events in the template carry no id until a shop saves its calendar, so give them stable ones by position
+function getSeasonalityCalendar(shop) {
+  const events = getBusinessContext(shop).seasonality_calendar || [];
+  return sortEvents(events.map((e, i) => ({ id: `default-${i}`, ...e })));
+}
+
+function saveSeasonalityCalendar(shop, events) {
+  const context = getBusinessContext(shop);
+  context.seasonality_calendar = sortEvents(events);
+  saveBusinessContext(shop, context);
+  logger.info("[seasonality] saved", events.length, "event(s) for", shop);
+  return context.seasonality_calendar;
+}
+
+function addSeasonalityEvent(shop, input) {
+  const event = normalizeEvent({ ...input, id: null });
+  return saveSeasonalityCalendar(shop, [...getSeasonalityCalendar(shop), event]);
+}
+
+function deleteSeasonalityEvent(shop, eventId) {
+  return saveSeasonalityCalendar(shop, getSeasonalityCalendar(shop).filter(e => e.id !== eventId));
+}
+
+// Events that overlap the reporting window, its comparison window, or start in the next 30 days.
+// Each comes back with `timing` so the prompt can say which numbers it explains.
+function findRelevantEvents(events, period, now = new Date()) {
+  const current = toDateRange(period);
+  const previous = getPreviousDateRange(period);
+  const today = formatDate(now);
+  const horizon = formatDate(new Date(now.getTime() + UPCOMING_DAYS * DAY_MS));
+  const overlaps = (e, range) => e.start <= range.endDate && e.end >= range.startDate;
+
+  const relevant = [];
+  for (const event of events) {
+    let timing = null;
+    if (overlaps(event, current)) timing = "in_period";
+    else if (overlaps(event, previous)) timing = "previous_period";
+    else if (event.start > today && event.start <= horizon) timing = "upcoming";
+    if (timing) relevant.push({ ...event, timing });
+  }
+  return relevant;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  EXPECTED_IMPACTS,
+  UPCOMING_DAYS,
+  normalizeEvent,
+  getSeasonalityCalendar,
+  addSeasonalityEvent,
+  deleteSeasonalityEvent,
+  findRelevantEvents,
+};
@@ -2,6 +2,17 @@ const crypto = require("crypto");
 const config = require("./config");
 const logger = require("./logger");
 const { getCachedOrderData, setCachedOrderData } = require("./cache");
+const { fetchOrdersGraphql, fetchVariantUnitCosts, fetchAbandonedCheckoutCount } = require("./graphql");
+const { getCustomerStats } = require("./customers");
+const { summarizeDiscounts } = require("./discounts");
+const { summarizeGeography } = require("./geo");
+const { getDefaultPeriod, getPreviousPeriod, toDateRange, listDates } = require("./period");
+const { getBusinessContext } = require("./business-context");
+
+// Orders that took payment — refunded ones stay in so their refunds can be netted off
+const PAID_FINANCIAL_STATUSES = ["paid", "partially_refunded", "refunded"];
+// Order sources that never go through the online checkout (in-person sales and draft orders)
+const NON_CHECKOUT_SOURCES = ["pos", "shopify_draft_order"];
 
 function buildRedirectUri() {
   return `${config.HOST}/auth/callback`;
@@ -36,6 +47,48 @@ function verifyHmac(query) {
   return match;
 }
 
+// Scopes in config.SCOPES that the shop's token wasn't granted (a write_ scope covers its read_ scope).
+// Tokens stored before granted scopes were recorded have none, so those shops re-authorize once.
+function getMissingScopes(tokenData) {
+  const granted = new Set(String(tokenData.scopes || "").split(",").map(s => s.trim()).filter(Boolean));
+  return config.SCOPES.split(",").filter(scope => !granted.has(scope) && !granted.has(scope.replace(/^read_/, "write_")));
+}
+
+// Verify an App Bridge session token (an HS256 JWT signed with the API secret) and return the shop it was
+// issued for, or null if it is invalid, expired or for another app
+function verifySessionToken(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return null;
+  const [header, payload, signature] = parts;
+
+  const computed = crypto
+    .createHmac("sha256", config.SHOPIFY_API_SECRET)
+    .update(`${header}.${payload}`)
+    .digest("base64url");
+  if (Buffer.from(computed).length !== Buffer.from(signature).length ||
+      !crypto.timingSafeEqual(Buffer.from(computed), Buffer.from(signature))) {
+    logger.debug("[session-token] signature mismatch");
+    return null;
+  }
+
+  let claims;
+  try {
+    if (JSON.parse(Buffer.from(header, "base64url").toString("utf8")).alg !== "HS256") return null;
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (err) {
+    return null;
+  }
+
+  // A few seconds' leeway for clock skew between Shopify and this server
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.aud !== config.SHOPIFY_API_KEY || !(claims.exp > now - 5) || claims.nbf > now + 5) {
+    logger.debug("[session-token] rejected claims \u2014 aud:", claims.aud, "exp:", claims.exp, "nbf:", claims.nbf);
+    return null;
+  }
+  const match = /^https:\/\/([a-zA-Z0-9-]+\.myshopify\.com)$/.exec(claims.dest || "");
+  return match ? match[1] : null;
+}
+
 async function shopifyFetch(shop, accessToken, endpoint) {
   const [path, query] = endpoint.split("?");
   const url = `https://${shop}/admin/api/${config.SHOPIFY_API_VERSION}/${path}.json${query ? "?" + query : ""}`;
@@ -60,9 +113,10 @@ async function shopifyFetch(shop, accessToken, endpoint) {
   return res.json();
 }
 
-async function fetchAllPaidOrders(shop, accessToken, sinceDate) {
+async function fetchAllPaidOrders(shop, accessToken, sinceDate, untilDate) {
   const allOrders = [];
-  let url = `https://${shop}/admin/api/${config.SHOPIFY_API_VERSION}/orders.json?status=any&financial_status=paid&created_at_min=${encodeURIComponent(sinceDate)}&limit=250`;
+  let url = `https://${shop}/admin/api/${config.SHOPIFY_API_VERSION}/orders.json?status=any&financial_status=any&created_at_min=${encodeURIComponent(sinceDate)}` +
+    (untilDate ? `&created_at_max=${encodeURIComponent(untilDate)}` : "") + "&limit=250";
 
   while (url) {
     logger.info("[api] GET", url.substring(0, 120) + "...");
@@ -79,7 +133,7 @@ async function fetchAllPaidOrders(shop, accessToken, sinceDate) {
     }
 
     const data = await res.json();
-    allOrders.push(...(data.orders || []));
+    allOrders.push(...(data.orders || []).filter(o => PAID_FINANCIAL_STATUSES.includes(o.financial_status)));
 
     const linkHeader = res.headers.get("link");
     url = null;
@@ -97,51 +151,263 @@ async function fetchAllPaidOrders(shop, accessToken, sinceDate) {
   return allOrders;
 }
 
-async function getShopifyOrderData(shop, accessToken) {
-  const cached = getCachedOrderData(shop);
-  if (cached) {
-    logger.info("[orders] using cached order data from", new Date(cached.cachedAt).toISOString());
-    return cached;
+function countCheckoutOrders(paidOrders) {
+  return paidOrders.filter(o => !NON_CHECKOUT_SOURCES.includes(o.source_name)).length;
+}
+
+// GraphQL by default; the REST path is kept as a fallback if the GraphQL fetch fails
+async function fetchOrderWindow(shop, accessToken, window) {
+  if (config.SHOPIFY_ORDER_SOURCE === "graphql") {
+    try {
+      const { orderCount, orders } = await fetchOrdersGraphql(shop, accessToken, window.since, window.until);
+      return { orderCount, paidOrders: orders.filter(o => PAID_FINANCIAL_STATUSES.includes(o.financial_status)) };
+    } catch (err) {
+      logger.error("[orders] GraphQL fetch failed, falling back to REST:", err.message);
+    }
   }
+  return fetchOrderWindowRest(shop, accessToken, window);
+}
 
-  logger.info("[orders] cache miss \u2014 paginating all paid orders...");
-  const thirtyDaysAgo = new Date();
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-  const sinceDate = thirtyDaysAgo.toISOString();
+async function fetchOrderWindowRest(shop, accessToken, { since, until }) {
+  const countData = await shopifyFetch(shop, accessToken, `orders/count?status=any&created_at_min=${encodeURIComponent(since)}&created_at_max=${encodeURIComponent(until)}`);
+  const paidOrders = await fetchAllPaidOrders(shop, accessToken, since, until);
+  return { orderCount: countData.count || 0, paidOrders };
+}
 
-  const countData = await shopifyFetch(shop, accessToken, `orders/count?status=any&created_at_min=${encodeURIComponent(sinceDate)}`);
-  const orderCount = countData.count || 0;
+// Abandoned checkouts in the window, for the checkout stage of the funnel. Null when neither API answers
+// (the count is non-essential, so a failure shouldn't block the dashboard).
+async function fetchAbandonedCheckouts(shop, accessToken, { since, until }) {
+  if (config.SHOPIFY_ORDER_SOURCE === "graphql") {
+    try {
+      return await fetchAbandonedCheckoutCount(shop, accessToken, since, until);
+    } catch (err) {
+      logger.error("[orders] GraphQL abandoned checkout count failed, falling back to REST:", err.message);
+    }
+  }
+  try {
+    const data = await shopifyFetch(shop, accessToken, `checkouts/count?created_at_min=${encodeURIComponent(since)}&created_at_max=${encodeURIComponent(until)}`);
+    return data.count || 0;
+  } catch (err) {
+    logger.error("[orders] abandoned checkout count unavailable:", err.message);
+    return null;
+  }
+}
 
-  const allPaidOrders = await fetchAllPaidOrders(shop, accessToken, sinceDate);
-  const paidOrderCount = allPaidOrders.length;
-  const revenue = allPaidOrders.reduce((sum, o) => sum + parseFloat(o.total_price || 0), 0);
-  const avgOrderValue = paidOrderCount > 0 ? revenue / paidOrderCount : 0;
+// Money components of one order. Refunds are those issued against this order so far,
+// regardless of when — i.e. a cohort view of the orders placed in the period.
+function getOrderAmounts(order) {
+  const grossSales = parseFloat(order.total_line_items_price || 0);
+  const discounts = parseFloat(order.total_discounts || 0);
+  const shipping = parseFloat(order.total_shipping_price_set?.shop_money?.amount || 0);
+  const tax = parseFloat(order.total_tax || 0);
+  const totalSales = parseFloat(order.total_price || 0);
+  // UK-style VAT-inclusive pricing: tax sits inside the line prices rather than on top
+  const taxInLines = order.taxes_included ? tax : 0;
+
+  let refunds = 0;
+  let returns = 0;
+  for (const refund of order.refunds || []) {
+    for (const txn of refund.transactions || []) {
+      if (txn.kind === "refund" && txn.status === "success") refunds += parseFloat(txn.amount || 0);
+    }
+    for (const line of refund.refund_line_items || []) {
+      returns += parseFloat(line.subtotal || 0);
+    }
+  }
+
+  return {
+    grossSales, discounts, returns, shipping, tax, totalSales, refunds,
+    netSales: grossSales - discounts - returns - taxInLines,
+    netRevenue: totalSales - refunds,
+  };
+}
+
+function pickRevenue(amounts, metric) {
+  return { total_sales: amounts.totalSales, net_revenue: amounts.netRevenue, net_sales: amounts.netSales }[metric];
+}
+
+function summarizeOrderWindow({ orderCount, paidOrders }, metric) {
+  const paidOrderCount = paidOrders.length;
+  const breakdown = { grossSales: 0, discounts: 0, returns: 0, shipping: 0, tax: 0, totalSales: 0, refunds: 0, netSales: 0, netRevenue: 0 };
+  let refundedOrders = 0;
 
-  logger.info("[orders] fetched:", orderCount, "orders |", paidOrderCount, "paid | revenue: \u00a3" + revenue.toFixed(2), "| AOV: \u00a3" + avgOrderValue.toFixed(2));
+  for (const order of paidOrders) {
+    const amounts = getOrderAmounts(order);
+    for (const key of Object.keys(breakdown)) breakdown[key] += amounts[key];
+    if (amounts.refunds > 0) refundedOrders += 1;
+  }
 
-  const shopifyStats = { orderCount, revenue, avgOrderValue, sampleSize: paidOrderCount, revenueIsEstimated: false };
+  breakdown.taxesIncluded = paidOrders.some(o => o.taxes_included);
+  breakdown.refundRate = breakdown.totalSales > 0 ? (breakdown.refunds / breakdown.totalSales) * 100 : 0;
+  breakdown.refundedOrderRate = paidOrderCount > 0 ? (refundedOrders / paidOrderCount) * 100 : 0;
 
+  const revenue = pickRevenue(breakdown, metric);
+  const avgOrderValue = paidOrderCount > 0 ? revenue / paidOrderCount : 0;
+  return { orderCount, revenue, avgOrderValue, paidOrderCount, breakdown };
+}
+
+// Paid orders and revenue per day, zero-filled across the period. Orders are bucketed by the
+// date in their created_at string, i.e. the shop's local date.
+function bucketOrdersByDay(paidOrders, period, metric) {
+  const { startDate, endDate } = toDateRange(period);
+  const buckets = {};
+  for (const date of listDates(startDate, endDate)) {
+    buckets[date] = { date, orders: 0, revenue: 0 };
+  }
+  for (const order of paidOrders) {
+    const date = (order.created_at || "").substring(0, 10);
+    if (!buckets[date]) continue;
+    buckets[date].orders += 1;
+    buckets[date].revenue += pickRevenue(getOrderAmounts(order), metric);
+  }
+  return Object.values(buckets);
+}
+
+// Line-item revenue and units per variant (falling back to product, then title, for custom
+// line items). The title shown is the one on the most recent order, so renamed products stay one row.
+function aggregateProducts(paidOrders) {
   const productMap = {};
-  for (const order of allPaidOrders) {
+  for (const order of paidOrders) {
     for (const item of (order.line_items || [])) {
-      const key = item.title || "Unknown";
-      if (!productMap[key]) productMap[key] = { title: key, revenue: 0, units: 0 };
-      productMap[key].revenue += parseFloat(item.price || 0) * (item.quantity || 1);
-      productMap[key].units += item.quantity || 1;
+      const key = item.variant_id ? `variant:${item.variant_id}`
+        : item.product_id ? `product:${item.product_id}`
+        : `title:${item.title || "Unknown"}`;
+      if (!productMap[key]) {
+        productMap[key] = {
+          productId: item.product_id ? String(item.product_id) : null,
+          variantId: item.variant_id ? String(item.variant_id) : null,
+          title: item.title || "Unknown", variantTitle: null, sku: null,
+          revenue: 0, units: 0, lastSeen: "",
+        };
+      }
+      const product = productMap[key];
+      if ((order.created_at || "") >= product.lastSeen) {
+        product.lastSeen = order.created_at || "";
+        product.title = item.title || product.title;
+        product.variantTitle = item.variant_title && item.variant_title !== "Default Title" ? item.variant_title : null;
+        product.sku = item.sku || product.sku;
+      }
+      product.revenue += parseFloat(item.price || 0) * (item.quantity || 1);
+      product.units += item.quantity || 1;
     }
   }
-  const allProducts = Object.values(productMap);
+  return Object.values(productMap).map(({ lastSeen, ...product }) => product);
+}
+
+// Gross margin per product from inventory unit cost. Products without a cost keep margin null.
+function applyUnitCosts(products, unitCosts) {
+  for (const product of products) {
+    const unitCost = product.variantId !== null ? unitCosts[product.variantId] : undefined;
+    product.unitCost = unitCost !== undefined ? unitCost : null;
+    product.cost = product.unitCost !== null ? product.unitCost * product.units : null;
+    product.margin = product.cost !== null ? product.revenue - product.cost : null;
+    product.marginPct = product.margin !== null && product.revenue > 0 ? (product.margin / product.revenue) * 100 : null;
+  }
+}
+
+// Blended gross margin across the products that have a cost, plus how much revenue that covers
+function summarizeMargin(products) {
+  const totalRevenue = products.reduce((sum, p) => sum + p.revenue, 0);
+  const costed = products.filter(p => p.margin !== null);
+  const revenue = costed.reduce((sum, p) => sum + p.revenue, 0);
+  const margin = costed.reduce((sum, p) => sum + p.margin, 0);
+  return {
+    revenue,
+    margin,
+    marginPct: revenue > 0 ? (margin / revenue) * 100 : null,
+    costCoveragePct: totalRevenue > 0 ? (revenue / totalRevenue) * 100 : 0,
+  };
+}
+
+async function getShopifyOrderData(shop, accessToken, period = getDefaultPeriod()) {
+  const cached = getCachedOrderData(shop, period.key);
+  if (cached) {
+    logger.info("[orders] using cached", period.key, "order data from", new Date(cached.cachedAt).toISOString());
+    return cached;
+  }
+
+  logger.info("[orders] cache miss (" + period.key + ") \u2014 fetching all paid orders for current and previous period...");
+  const previousPeriod = getPreviousPeriod(period);
+
+  // The two order windows run one after the other: each may need a bulk operation, and Shopify
+  // runs only one per shop at a time
+  const fetchOrderWindows = async () => {
+    const currentWindow = await fetchOrderWindow(shop, accessToken, period);
+    return [currentWindow, await fetchOrderWindow(shop, accessToken, previousPeriod)];
+  };
+  const [[current, previous], abandonedCheckouts, previousAbandonedCheckouts] = await Promise.all([
+    fetchOrderWindows(),
+    fetchAbandonedCheckouts(shop, accessToken, period),
+    fetchAbandonedCheckouts(shop, accessToken, previousPeriod),
+  ]);
+  const allPaidOrders = current.paidOrders;
+  const businessContext = getBusinessContext(shop);
+  // One of REVENUE_METRICS (lib/context-schema), checked when the context was loaded or saved
+  const revenueMetric = businessContext.data_contracts.revenue.metric;
+  const { orderCount, revenue, avgOrderValue, paidOrderCount, breakdown } = summarizeOrderWindow(current, revenueMetric);
+  const previousSummary = summarizeOrderWindow(previous, revenueMetric);
+  const currencySymbol = businessContext.business_profile.currency_symbol;
+
+  logger.info("[orders] fetched:", orderCount, "orders |", paidOrderCount, "paid | revenue (" + revenueMetric + "): " + currencySymbol + revenue.toFixed(2), "| AOV: " + currencySymbol + avgOrderValue.toFixed(2));
+  logger.info("[orders] refunds: " + currencySymbol + breakdown.refunds.toFixed(2), "(" + breakdown.refundRate.toFixed(1) + "% of sales)");
+  logger.info("[orders] previous period:", previousSummary.orderCount, "orders | revenue: " + currencySymbol + previousSummary.revenue.toFixed(2));
+
+  // LTV uses order totals after refunds, matching the customer order histories
+  const customers = await getCustomerStats(shop, accessToken, allPaidOrders, previous.paidOrders, order => getOrderAmounts(order).netRevenue);
+  const orderRevenue = order => pickRevenue(getOrderAmounts(order), revenueMetric);
+  const discounts = summarizeDiscounts(allPaidOrders, orderRevenue, customers.returning);
+  const primaryCountryCodes = businessContext.business_profile.primary_market_country_codes || [];
+  const geography = summarizeGeography(allPaidOrders, orderRevenue, primaryCountryCodes);
+  const previousGeography = summarizeGeography(previous.paidOrders, orderRevenue, primaryCountryCodes);
+
+  const shopifyStats = {
+    orderCount, revenue, avgOrderValue, sampleSize: paidOrderCount, revenueIsEstimated: false,
+    revenueMetric,
+    revenueBreakdown: breakdown,
+    customers: customers.stats,
+    discounts,
+    geography,
+    // Checkouts started = abandoned + completed, counting only paid orders that came through the online
+    // checkout (not POS, draft or unpaid orders)
+    abandonedCheckouts,
+    checkoutsStarted: abandonedCheckouts !== null ? abandonedCheckouts + countCheckoutOrders(allPaidOrders) : null,
+    previous: {
+      orderCount: previousSummary.orderCount,
+      revenue: previousSummary.revenue,
+      avgOrderValue: previousSummary.avgOrderValue,
+      refundRate: previousSummary.breakdown.refundRate,
+      returningOrderShare: customers.previous.returningOrderShare,
+      repeatPurchaseRate: customers.previous.repeatPurchaseRate,
+      nonPrimaryRevenueShare: previousGeography.nonPrimaryRevenueShare,
+      checkoutsStarted: previousAbandonedCheckouts !== null ? previousAbandonedCheckouts + countCheckoutOrders(previous.paidOrders) : null,
+    },
+    daily: bucketOrdersByDay(allPaidOrders, period, revenueMetric),
+  };
+
+  const products = aggregateProducts(allPaidOrders);
+  let unitCosts = {};
+  try {
+    const variantIds = products.map(p => p.variantId).filter(Boolean);
+    unitCosts = await fetchVariantUnitCosts(shop, accessToken, variantIds);
+  } catch (err) {
+    logger.error("[orders] unit cost lookup failed \u2014 margins unavailable:", err.message);
+  }
+  applyUnitCosts(products, unitCosts);
+
+  const costed = products.filter(p => p.margin !== null);
   const topProducts = {
-    byRevenue: [...allProducts].sort((a, b) => b.revenue - a.revenue).slice(0, 3),
-    byUnits: [...allProducts].sort((a, b) => b.units - a.units).slice(0, 3),
+    byRevenue: [...products].sort((a, b) => b.revenue - a.revenue).slice(0, 3),
+    byUnits: [...products].sort((a, b) => b.units - a.units).slice(0, 3),
+    byMargin: [...costed].sort((a, b) => b.margin - a.margin).slice(0, 3),
+    margin: summarizeMargin(products),
   };
 
-  const orderData = { shopifyStats, topProducts };
-  setCachedOrderData(shop, orderData);
+  const orderData = { shopifyStats, topProducts, products };
+  setCachedOrderData(shop, period.key, orderData);
   return orderData;
 }
 
 module.exports = {
-  buildRedirectUri, generateNonce, verifyHmac,
+  buildRedirectUri, generateNonce, verifyHmac, verifySessionToken, getMissingScopes,
   shopifyFetch, fetchAllPaidOrders, getShopifyOrderData,
 };
@@ -0,0 +1,73 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const logger = require("./logger");
+
+// --- Storage Backends ---
+// A backend persists one named collection as a plain object.
+// load() and save() are synchronous so the stores built on top keep a sync API.
+
+function createFileBackend(name) {
+  const filePath = path.join(config.DATA_DIR, `${name}.json`);
+
+  return {
+    load() {
+      if (!fs.existsSync(filePath)) return {};
+      try {
+        return JSON.parse(fs.readFileSync(filePath, "utf8"));
+      } catch (err) {
+        logger.error("[storage] failed to read", filePath, "\u2014", err.message);
+        return {};
+      }
+    },
+    save(data) {
+      fs.mkdirSync(config.DATA_DIR, { recursive: true });
+      // Write to a temp file then rename, so a crash mid-write never leaves a truncated file
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(data), { mode: 0o600 });
+      fs.renameSync(tmpPath, filePath);
+    },
+  };
+}
+
+function createMemoryBackend() {
+  let stored = {};
+  return {
+    load() {
+      return stored;
+    },
+    save(data) {
+      stored = data;
+    },
+  };
+}
+
+const backendFactories = {
+  file: createFileBackend,
+  memory: createMemoryBackend,
+};
+
+// Set once the first backend is created; the stores create theirs when lib/cache, lib/history and
+// lib/business-context are first required
+let backendsCreated = false;
+
+// Register an additional backend (e.g. Redis, Postgres) selectable via STORAGE_BACKEND. Must run before
+// anything requires the stores, so every collection uses the same backend.
+function registerBackend(type, factory) {
+  if (backendsCreated) {
+    throw new Error(`registerBackend("${type}") called after storage backends were created \u2014 register it before requiring lib/cache, lib/history or lib/business-context`);
+  }
+  backendFactories[type] = factory;
+}
+
+function createBackend(name) {
+  const factory = backendFactories[config.STORAGE_BACKEND];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_BACKEND "${config.STORAGE_BACKEND}" (available: ${Object.keys(backendFactories).join(", ")})`);
+  }
+  logger.info("[storage] using", config.STORAGE_BACKEND, "backend for", name);
+  backendsCreated = true;
+  return factory(name);
+}
+
+module.exports = { createBackend, registerBackend, createFileBackend, createMemoryBackend };
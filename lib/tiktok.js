@@ -0,0 +1,107 @@
+const config = require("./config");
+const logger = require("./logger");
+const { getDefaultPeriod, toDateRange, getPreviousDateRange, listDates } = require("./period");
+
+// Purchases are TikTok's "Complete Payment" pixel event; value is the total payment value it reports
+const METRICS = ["spend", "impressions", "clicks", "complete_payment", "total_complete_payment_rate"];
+// The reporting API caps day-level queries at 30 days per request
+const MAX_DAYS_PER_DAILY_REQUEST = 30;
+const PAGE_SIZE = 1000;
+
+async function fetchTikTokAdsData(period = getDefaultPeriod()) {
+  if (!config.TIKTOK_ACCESS_TOKEN || !config.TIKTOK_ADVERTISER_ID) {
+    logger.info("[tiktok-api] skipping \u2014 TIKTOK_ACCESS_TOKEN or TIKTOK_ADVERTISER_ID not set");
+    return null;
+  }
+
+  logger.info("[tiktok-api] fetching ad report for advertiser:", config.TIKTOK_ADVERTISER_ID);
+
+  const currentRange = toDateRange(period);
+  const [current, previous, daily] = await Promise.all([
+    fetchTotals(currentRange),
+    fetchTotals(getPreviousDateRange(period)),
+    fetchDailyReport(currentRange),
+  ]);
+
+  logger.info("[tiktok-api] data:", { ...current, previous });
+  return { ...current, previous, daily };
+}
+
+// Every row of a BASIC advertiser-level report, following page_info
+async function fetchReportRows({ startDate, endDate }, dimensions) {
+  const rows = [];
+  let page = 1;
+  let totalPages = 1;
+  do {
+    const params = new URLSearchParams({
+      advertiser_id: config.TIKTOK_ADVERTISER_ID,
+      report_type: "BASIC",
+      data_level: "AUCTION_ADVERTISER",
+      dimensions: JSON.stringify(dimensions),
+      metrics: JSON.stringify(METRICS),
+      start_date: startDate,
+      end_date: endDate,
+      page: String(page),
+      page_size: String(PAGE_SIZE),
+    });
+    const url = `${config.TIKTOK_API_BASE_URL}/${config.TIKTOK_API_VERSION}/report/integrated/get/?${params}`;
+
+    logger.info("[tiktok-api] date range:", startDate, "to", endDate, `(dimensions=${dimensions.join(",")}, page ${page})`);
+    const res = await fetch(url, { headers: { "Access-Token": config.TIKTOK_ACCESS_TOKEN } });
+    const data = await res.json();
+
+    logger.info("[tiktok-api] response status:", res.status);
+
+    // TikTok answers HTTP 200 with a non-zero code on API errors
+    if (data.code !== 0) {
+      logger.error("[tiktok-api] API error:", data.message);
+      throw new Error(`TikTok Ads API error: ${data.message}`);
+    }
+
+    rows.push(...(data.data?.list || []));
+    totalPages = data.data?.page_info?.total_page || 1;
+    page += 1;
+  } while (page <= totalPages);
+  return rows;
+}
+
+function parseReportRow(row) {
+  const m = row.metrics || {};
+  return {
+    spend: parseFloat(m.spend || 0),
+    impressions: parseInt(m.impressions || 0, 10),
+    clicks: parseInt(m.clicks || 0, 10),
+    conversions: parseInt(m.complete_payment || 0, 10),
+    conversionValue: parseFloat(m.total_complete_payment_rate || 0),
+  };
+}
+
+async function fetchTotals(range) {
+  const rows = await fetchReportRows(range, ["advertiser_id"]);
+  if (rows.length === 0) {
+    logger.info("[tiktok-api] no ad data returned for", range.startDate, "to", range.endDate, "(no active campaigns?)");
+    return { spend: 0, impressions: 0, clicks: 0, conversions: 0, conversionValue: 0 };
+  }
+  return parseReportRow(rows[0]);
+}
+
+// One row per day, zero-filled; long periods are split into 30-day requests
+async function fetchDailyReport({ startDate, endDate }) {
+  const dates = listDates(startDate, endDate);
+  const byDate = {};
+  for (let i = 0; i < dates.length; i += MAX_DAYS_PER_DAILY_REQUEST) {
+    const chunk = dates.slice(i, i + MAX_DAYS_PER_DAILY_REQUEST);
+    const rows = await fetchReportRows({ startDate: chunk[0], endDate: chunk[chunk.length - 1] }, ["stat_time_day"]);
+    for (const row of rows) {
+      // stat_time_day comes back as "YYYY-MM-DD 00:00:00"
+      byDate[row.dimensions.stat_time_day.substring(0, 10)] = parseReportRow(row);
+    }
+  }
+  logger.info("[tiktok-api] daily rows:", Object.keys(byDate).length);
+  return dates.map(date => ({
+    date,
+    ...(byDate[date] || { spend: 0, impressions: 0, clicks: 0, conversions: 0, conversionValue: 0 }),
+  }));
+}
+
+module.exports = { fetchTikTokAdsData };
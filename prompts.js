@@ -3,11 +3,21 @@
  *
  * Exports:
  *   buildSystemPrompt(businessContext) — System prompt with persona + business context
- *   buildDataSummary(shopifyStats, gaData, metaAdsData, topProducts) — Clean data object for Claude
- *   TILE_PROMPTS — Per-tile prompt instructions
+ *   buildDataSummary(shopifyStats, sourceData, topProducts, period, inventory, businessContext) — Clean data object for Claude
+ *     (sourceData is connector data keyed by dataKey, from fetchConnectorData in lib/connectors;
+ *      businessContext is the shop's context from lib/business-context)
+ *   TILE_PROMPTS — Per-tile prompt instructions ({currency} is filled in with the shop's currency symbol)
  *   buildTilePrompt(dataSummary, hasMetaAds) — Full user prompt combining data + tile instructions
  */
 
+const { computeChange, compareFields, describeChange, findDayOverDayDrops } = require("./lib/metrics");
+const { formatDate } = require("./lib/period");
+const { joinMarketConversion } = require("./lib/geo");
+const { buildFunnels } = require("./lib/funnel");
+const { connectors, computeMer } = require("./lib/connectors");
+const { findRelevantEvents, EVENT_TYPES, EXPECTED_IMPACTS, UPCOMING_DAYS } = require("./lib/seasonality");
+const { parseAovBand } = require("./lib/context-schema");
+
 // --- System Prompt ---
 
 function buildSystemPrompt(businessContext) {
@@ -33,28 +43,39 @@ ${targets.mer_goal ? `- MER goal: ${targets.mer_goal}x` : ""}
 1. DATA AUDIT — Check what data sources are present. Note any missing sources.
 2. METRIC ASSEMBLY — Use canonical definitions:
    - Revenue = ${dc.revenue.definition}
+   - Refunds, discounts, shipping and tax are reported separately — use the refund rate when judging product quality or returns
+   - Returning order = an order from a customer who had ordered before; repeat purchase rate = share of this period's customers with 2+ orders by the end of the period (orders placed after it don't count). Use these for retention, not just acquisition
+   - Discount codes: judge a code by its new-customer share and AOV against non-discounted orders. A code mostly used by returning customers at a lower AOV is giving margin away to people who would have bought anyway
+   - Product gross margin = line revenue − Shopify unit cost × units (before discounts; products with no unit cost are excluded). Prefer margin over revenue when ranking which products to push
    - Orders = ${dc.orders.definition}
    - Sessions = ${dc.sessions.definition}
    - Conversion rate = ${dc.conversion_rate.definition} (${dc.conversion_rate.warning})
    - ROAS = ${dc.roas.definition} (${dc.roas.warning})
+   - MER (Marketing Efficiency Ratio) = Shopify revenue ÷ total ad spend across every connected ad platform. It is computed for you in the MER block — judge blended efficiency against the MER goal with that figure, and use platform ROAS only to compare channels
+   - Email revenue = Klaviyo-attributed revenue from flows and campaigns. It is part of Shopify revenue, not on top of it. Weigh it against paid spend: email has no media cost, so a weak flow (low click rate, little revenue) is often a cheaper fix than more ad spend
+   - Meta attribution: headline Meta purchases use the windows named in the META block. When view-through carries a large share, say how much of Meta's result depends on view credit and weigh the click-through figures more heavily
 3. DRIVER TREE DECOMPOSITION — When a metric is good or bad, explain WHY using its driver tree:
    - Revenue = Sessions × CVR × AOV. Which driver is responsible? e.g. "Revenue is strong because AOV is up, but sessions are flat — traffic is the bottleneck."
-   - Ad Efficiency: ROAS is driven by CPC, CTR, and CPA. e.g. "ROAS is low because CPC is £1.20 with only 2.4% CTR — creative isn't converting clicks."
+   - Ad Efficiency: ROAS is driven by CPC, CTR, and CPA. e.g. "ROAS is low because CPC is ${bp.currency_symbol}1.20 with only 2.4% CTR — creative isn't converting clicks."
+   - CVR: use the FUNNEL to name the stage with the biggest drop-off (product view → cart, cart → checkout, checkout → purchase) rather than quoting CVR alone. A checkout → purchase drop points at shipping costs, payment or trust; a cart drop points at price or product page.
+   - Sessions: when traffic is the bottleneck, name the channel (e.g. Organic Search, Paid Social, Email, Direct) from the GA4 channel breakdown.
    - Never just state a metric value. Always name the driver behind it.
 4. CROSS-SOURCE VALIDATION — ${ar.discrepancy_flag.rule}
 5. PATTERN DETECTION — Find the biggest signal in the data. What's working? What's broken?
-6. ROOT CAUSE HYPOTHESIS — Why is that pattern happening? Name the specific driver from the tree.
-7. ACTION PRESCRIPTION — One specific action per tile. Name the product, page, or campaign.
+6. ROOT CAUSE HYPOTHESIS — Why is that pattern happening? Name the specific driver from the tree. Check SEASONALITY & EVENTS first: a dip after a peak (e.g. January after Christmas) or during a stock-out is explained by the calendar, not by the ad account or the site.
+7. ACTION PRESCRIPTION — One specific action per tile. Name the product, page, or campaign. Pages come from the GA4 landing page list; if one device (e.g. mobile) bounces far worse than the others, call it a device-specific issue.
 
 ## Safety Rails
 - ${rails.minimum_purchases.rule}
 - ${rails.minimum_trend_days.rule}
 - ${rails.session_drop_flag.rule}
 - ${rails.revenue_gap_flag.rule}
+${rails.low_stock_flag ? `- ${rails.low_stock_flag.rule}` : ""}
+${rails.non_primary_market_flag ? `- ${rails.non_primary_market_flag.rule}` : ""}
 
 ## Output Format
 - Write like a sharp advisor texting a store owner. No corporate buzzwords.
-- Use £ for all currency values.
+- Use ${bp.currency_symbol} for all currency values.
 - Use emoji STRATEGICALLY only: 📈📉 trends, 💰 money, ⚠️ problems, ✅ wins, 🎯 actions
 - Every sentence must be actionable or data-driven. No filler.
 - NEVER just celebrate wins. Every positive MUST include "but here's how to go further".
@@ -67,54 +88,220 @@ ${targets.mer_goal ? `- MER goal: ${targets.mer_goal}x` : ""}
 
 // --- Data Summary Builder ---
 
-function buildDataSummary(shopifyStats, gaData, metaAdsData, topProducts) {
+function buildDataSummary(shopifyStats, sourceData, topProducts, period, inventory, businessContext) {
+  const gaData = sourceData.gaData || null;
+  const metaAdsData = sourceData.metaAdsData || null;
   const summary = {
-    period: "Last 30 days",
+    period: period ? period.label : "Last 30 days",
+    period_days: period ? period.days : 30,
+    currency_symbol: businessContext.business_profile.currency_symbol,
     shopify: {
       orders: shopifyStats.orderCount,
       revenue: shopifyStats.revenue,
       revenue_is_estimated: shopifyStats.revenueIsEstimated,
       aov: shopifyStats.avgOrderValue,
       sample_size: shopifyStats.sampleSize,
+      revenue_metric: shopifyStats.revenueMetric || "total_sales",
+      revenue_breakdown: null,
+      previous: null,
+      changes: null,
     },
-    ga4: null,
-    meta_ads: null,
     top_products: null,
+    inventory: null,
+    markets: null,
+    funnel: null,
+    daily: null,
+    days_of_data: 0,
   };
 
-  if (gaData) {
-    summary.ga4 = {
-      sessions: gaData.sessions,
-      bounce_rate: gaData.bounceRate,
-      users: gaData.users,
-      page_views: gaData.pageViews,
+  if (shopifyStats.revenueBreakdown) {
+    const b = shopifyStats.revenueBreakdown;
+    const round = (v) => parseFloat(v.toFixed(2));
+    summary.shopify.revenue_breakdown = {
+      gross_sales: round(b.grossSales),
+      discounts: round(b.discounts),
+      returns: round(b.returns),
+      shipping: round(b.shipping),
+      tax: round(b.tax),
+      total_sales: round(b.totalSales),
+      refunds: round(b.refunds),
+      net_sales: round(b.netSales),
+      net_revenue: round(b.netRevenue),
+      taxes_included: b.taxesIncluded,
+      refund_rate: parseFloat(b.refundRate.toFixed(1)),
+      refunded_order_rate: parseFloat(b.refundedOrderRate.toFixed(1)),
+    };
+  }
+
+  if (shopifyStats.customers) {
+    const c = shopifyStats.customers;
+    const pct = (v) => (v !== null ? parseFloat(v.toFixed(1)) : null);
+    summary.shopify.customers = {
+      customers: c.customerCount,
+      new_orders: c.newOrders,
+      returning_orders: c.returningOrders,
+      guest_orders: c.guestOrders,
+      returning_order_share: pct(c.returningOrderShare),
+      repeat_purchase_rate: pct(c.repeatPurchaseRate),
+      median_days_between_orders: c.medianDaysBetweenOrders,
+      ltv_90d: c.ltv90 !== null ? parseFloat(c.ltv90.toFixed(2)) : null,
+      ltv_cohort_size: c.ltvCohortSize || 0,
+      history_sample_size: c.historySampleSize,
+      estimated_customers: c.estimatedCustomers || 0,
+    };
+    if (shopifyStats.previous && shopifyStats.previous.returningOrderShare !== undefined) {
+      const prev = shopifyStats.previous;
+      summary.shopify.customers.previous = {
+        returning_order_share: pct(prev.returningOrderShare),
+        repeat_purchase_rate: pct(prev.repeatPurchaseRate),
+      };
+      summary.shopify.customers.changes = compareFields(summary.shopify.customers, summary.shopify.customers.previous, ["returning_order_share", "repeat_purchase_rate"]);
+    }
+  }
+
+  if (shopifyStats.discounts) {
+    const d = shopifyStats.discounts;
+    const round = (v) => parseFloat(v.toFixed(2));
+    const summarizeBucket = (b) => ({
+      orders: b.orders,
+      revenue: round(b.revenue),
+      avg_discount: round(b.avgDiscount),
+      aov: round(b.aov),
+      new_customer_share: b.newCustomerShare !== null ? parseFloat(b.newCustomerShare.toFixed(1)) : null,
+    });
+    summary.shopify.discounts = {
+      code_order_share: parseFloat(d.codeOrderShare.toFixed(1)),
+      code_count: d.codeCount,
+      codes: d.codes.map(c => ({ code: c.code, ...summarizeBucket(c) })),
+      automatic: summarizeBucket(d.automatic),
+      undiscounted: summarizeBucket(d.undiscounted),
+    };
+  }
+
+  // Period-over-period: previous equal-length window + absolute/% change per metric
+  if (shopifyStats.previous) {
+    const prev = shopifyStats.previous;
+    summary.shopify.previous = { orders: prev.orderCount, revenue: prev.revenue, aov: prev.avgOrderValue };
+    summary.shopify.changes = {
+      orders: computeChange(shopifyStats.orderCount, prev.orderCount),
+      revenue: computeChange(shopifyStats.revenue, prev.revenue),
+      aov: computeChange(shopifyStats.avgOrderValue, prev.avgOrderValue),
     };
   }
 
-  if (metaAdsData) {
-    summary.meta_ads = {
-      spend: metaAdsData.spend,
-      impressions: metaAdsData.impressions,
-      clicks: metaAdsData.clicks,
-      purchases: metaAdsData.purchases,
-      revenue: metaAdsData.revenue,
-      roas: metaAdsData.spend > 0 ? parseFloat((metaAdsData.revenue / metaAdsData.spend).toFixed(2)) : null,
-      cpc: metaAdsData.clicks > 0 ? parseFloat((metaAdsData.spend / metaAdsData.clicks).toFixed(2)) : null,
-      ctr: metaAdsData.impressions > 0 ? parseFloat(((metaAdsData.clicks / metaAdsData.impressions) * 100).toFixed(2)) : null,
+  // One section per connector (ga4, meta_ads, google_ads, ...), null when it has no data
+  for (const connector of connectors) {
+    const data = sourceData[connector.dataKey];
+    summary[connector.summaryKey] = data ? connector.summarize(data, { shopifyStats }) : null;
+  }
+
+  // MER — blended across every ad platform with data, so no single platform's attribution decides it
+  const mer = computeMer(shopifyStats, sourceData);
+  if (mer) {
+    const round = (v) => parseFloat(v.toFixed(2));
+    summary.mer = {
+      mer: round(mer.mer),
+      total_ad_spend: round(mer.spend),
+      revenue: round(mer.revenue),
+      by_platform: mer.platforms.map(p => ({ platform: p.name, spend: round(p.spend) })),
     };
+    if (mer.previous) {
+      summary.mer.previous = { mer: round(mer.previous.mer), total_ad_spend: round(mer.previous.spend), revenue: round(mer.previous.revenue) };
+      summary.mer.changes = compareFields(summary.mer, summary.mer.previous, ["mer", "total_ad_spend"]);
+    }
+  }
+
+  // Daily series merged across sources by date (Shopify defines the date axis)
+  if (shopifyStats.daily) {
+    const gaByDate = Object.fromEntries((gaData?.daily || []).map(d => [d.date, d]));
+    const metaByDate = Object.fromEntries((metaAdsData?.daily || []).map(d => [d.date, d]));
+    summary.daily = shopifyStats.daily.map(d => ({
+      date: d.date,
+      orders: d.orders,
+      revenue: parseFloat(d.revenue.toFixed(2)),
+      sessions: gaByDate[d.date] ? gaByDate[d.date].sessions : null,
+      ad_spend: metaByDate[d.date] ? parseFloat(metaByDate[d.date].spend.toFixed(2)) : null,
+    }));
+    summary.days_of_data = summary.daily.length;
   }
 
   if (topProducts) {
     summary.top_products = {
-      by_revenue: topProducts.byRevenue.map(p => ({
-        title: p.title,
-        revenue: parseFloat(p.revenue.toFixed(2)),
-        units: p.units,
+      by_revenue: topProducts.byRevenue.map(summarizeProduct),
+      by_units: topProducts.byUnits.map(summarizeProduct),
+      by_margin: (topProducts.byMargin || []).map(summarizeProduct),
+    };
+    if (topProducts.margin && topProducts.margin.marginPct !== null) {
+      summary.top_products.margin = {
+        margin_pct: parseFloat(topProducts.margin.marginPct.toFixed(1)),
+        gross_margin: parseFloat(topProducts.margin.margin.toFixed(2)),
+        cost_coverage_pct: parseFloat(topProducts.margin.costCoveragePct.toFixed(1)),
+      };
+    }
+  }
+
+  // Markets — Shopify shipping countries joined to GA4 sessions by country
+  if (shopifyStats.geography) {
+    const g = shopifyStats.geography;
+    const round1 = (v) => (v !== null ? parseFloat(v.toFixed(1)) : null);
+    summary.markets = {
+      country_count: g.countryCount,
+      unknown_orders: g.unknownOrders,
+      primary_revenue_share: round1(g.primaryRevenueShare),
+      non_primary_revenue_share: round1(g.nonPrimaryRevenueShare),
+      previous_non_primary_revenue_share: shopifyStats.previous ? round1(shopifyStats.previous.nonPrimaryRevenueShare ?? null) : null,
+      countries: joinMarketConversion(g.countries, gaData ? gaData.countries : null).map(c => ({
+        country: c.country,
+        country_code: c.countryCode,
+        orders: c.orders,
+        revenue: parseFloat(c.revenue.toFixed(2)),
+        aov: parseFloat(c.aov.toFixed(2)),
+        revenue_share: round1(c.revenueShare),
+        sessions: c.sessions,
+        conversion_rate: c.conversionRate !== null ? parseFloat(c.conversionRate.toFixed(2)) : null,
       })),
-      by_units: topProducts.byUnits.map(p => ({
+      regions: g.regions.map(r => ({
+        region: r.region,
+        country_code: r.countryCode,
+        orders: r.orders,
+        revenue: parseFloat(r.revenue.toFixed(2)),
+      })),
+    };
+  }
+
+  // Funnel — stage counts per funnel_definition, plus Meta's own pixel funnel
+  const funnels = buildFunnels(shopifyStats, gaData, metaAdsData, businessContext.funnel_definition);
+  if (funnels.store.stages.filter(st => st.value !== null).length >= 2) {
+    summary.funnel = {
+      overall_rate: funnels.store.overallRate !== null ? parseFloat(funnels.store.overallRate.toFixed(2)) : null,
+      stages: funnels.store.stages.map(summarizeFunnelStage),
+      meta: funnels.meta ? funnels.meta.stages.map(summarizeFunnelStage) : null,
+    };
+  }
+
+  // Seasonality — calendar events in this window, the comparison window, or coming up
+  const seasonalityEvents = businessContext.seasonality_calendar || [];
+  if (period && seasonalityEvents.length > 0) {
+    const relevant = findRelevantEvents(seasonalityEvents, period);
+    if (relevant.length > 0) {
+      const summarizeEvent = (e) => ({ name: e.name, type: e.type, start: e.start, end: e.end, expected_impact: e.expected_impact, notes: e.notes || null });
+      summary.seasonality = {
+        in_period: relevant.filter(e => e.timing === "in_period").map(summarizeEvent),
+        previous_period: relevant.filter(e => e.timing === "previous_period").map(summarizeEvent),
+        upcoming: relevant.filter(e => e.timing === "upcoming").map(summarizeEvent),
+      };
+    }
+  }
+
+  if (inventory) {
+    summary.inventory = {
+      velocity_days: inventory.velocityDays,
+      products: inventory.products.map(p => ({
         title: p.title,
-        revenue: parseFloat(p.revenue.toFixed(2)),
-        units: p.units,
+        is_hero: p.isHero,
+        available: p.available,
+        daily_velocity: parseFloat(p.dailyVelocity.toFixed(2)),
+        days_of_cover: p.daysOfCover !== null ? parseFloat(p.daysOfCover.toFixed(1)) : null,
       })),
     };
   }
@@ -122,34 +309,67 @@ function buildDataSummary(shopifyStats, gaData, metaAdsData, topProducts) {
   return summary;
 }
 
+function summarizeProduct(p) {
+  return {
+    title: p.title,
+    variant_title: p.variantTitle || null,
+    sku: p.sku || null,
+    revenue: parseFloat(p.revenue.toFixed(2)),
+    units: p.units,
+    margin: p.margin !== null && p.margin !== undefined ? parseFloat(p.margin.toFixed(2)) : null,
+    margin_pct: p.marginPct !== null && p.marginPct !== undefined ? parseFloat(p.marginPct.toFixed(1)) : null,
+  };
+}
+
+// "Hypochlorous Spray (100ml) [HS-100]"
+function productLabel(p) {
+  return `${p.title}${p.variant_title ? ` (${p.variant_title})` : ""}${p.sku ? ` [${p.sku}]` : ""}`;
+}
+
+function productMargin(p, cur) {
+  return p.margin !== null ? `, margin ${cur}${p.margin.toFixed(2)} / ${p.margin_pct !== null ? p.margin_pct + "%" : "N/A"}` : ", margin unknown (no unit cost)";
+}
+
+function summarizeFunnelStage(st) {
+  const rate = (v) => (v !== null && v !== undefined ? parseFloat(v.toFixed(1)) : null);
+  return {
+    stage: st.name,
+    source: st.source,
+    value: st.value,
+    conversion_rate: rate(st.conversionRate),
+    previous_conversion_rate: rate(st.previousConversionRate),
+    cross_source: st.crossSource,
+  };
+}
+
 // --- Tile Prompts ---
 
 const TILE_PROMPTS = {
   HEALTH_CHECK: `### HEALTH CHECK
 Start with EXACTLY one status emoji: 🟢 (healthy), 🟡 (needs attention), or 🔴 (critical).
-One-line verdict. Then 3 key metrics on new lines: Revenue, Orders, AOV — for each, name the driver behind it (e.g. "AOV £32 — pulled up by Brush Cleaner bundles" or "Revenue flat — sessions growing but AOV dropped £4").
+One-line verdict. Then 3 key metrics on new lines: Revenue, Orders, AOV — for each, name the driver behind it (e.g. "AOV {currency}32 — pulled up by Brush Cleaner bundles" or "Revenue flat — sessions growing but AOV dropped {currency}4").
 Every metric must include an improvement action targeting the weakest driver.
 End with: **Confidence: [High/Medium/Low]** — one sentence why (e.g. "High — 3,400+ orders gives solid signal" or "Medium — revenue is estimated from 250-order sample").
 50 words max total.`,
 
   BIGGEST_ISSUE: `### BIGGEST ISSUE
-The #1 thing costing money right now. Use the driver tree to pinpoint the root cause — don't just say "revenue is low", say which driver (sessions, CVR, or AOV) is dragging it down and why. Name the £ impact and one fix.
+The #1 thing costing money right now. Use the driver tree to pinpoint the root cause — don't just say "revenue is low", say which driver (sessions, CVR, or AOV) is dragging it down and why. Name the {currency} impact and one fix.
 End with: **Confidence: [High/Medium/Low]** — one sentence why.
 40 words max.`,
 
   QUICK_WIN: `### QUICK WIN
-One specific action for THIS WEEK. Name the product/page/campaign. Connect it to a driver: which part of Revenue = Sessions × CVR × AOV does this improve? What's the expected £ impact?
+One specific action for THIS WEEK. Name the product/page/campaign. Connect it to a driver: which part of Revenue = Sessions × CVR × AOV does this improve? What's the expected {currency} impact?
 End with: **Confidence: [High/Medium/Low]** — one sentence why.
 40 words max.`,
 
   OPPORTUNITY: `### OPPORTUNITY
-One growth pattern from the data. Name specific products. Which revenue driver does this leverage (traffic, conversion, or basket size)? Recommendation with realistic £ potential over 30 days.
+One growth pattern from the data. Name specific products. Which revenue driver does this leverage (traffic, conversion, or basket size)? Recommendation with realistic {currency} potential over 30 days.
 End with: **Confidence: [High/Medium/Low]** — one sentence why.
 40 words max.`,
 
   AD_PERFORMANCE: `### AD PERFORMANCE
 Start with EXACTLY one status emoji: 🟢 (ROAS >2.5), 🟡 (ROAS 1.5-2.5), or 🔴 (ROAS <1.5).
-ROAS value, then decompose: is the issue CPC (cost per click too high), CTR (ads not getting clicks), or CPA (clicks not converting)? Name the weakest driver and one specific optimization.
+ROAS value, then decompose: is the issue CPC (cost per click too high), CTR (ads not getting clicks), or CPA (clicks not converting)? Name the weakest driver and one specific optimization — name the campaign, ad set or ad to cut or scale from the Meta breakdowns, and flag high frequency (creative fatigue). If Google Ads or TikTok data is present, compare its ROAS and CPA with Meta's in one clause.
 End with: **Confidence: [High/Medium/Low]** — one sentence why.
 40 words max.`,
 };
@@ -157,45 +377,117 @@ End with: **Confidence: [High/Medium/Low]** — one sentence why.
 // --- Full Tile Prompt Builder ---
 
 function buildTilePrompt(dataSummary, hasMetaAds) {
-  let dataBlock = `Here is the store data for the ${dataSummary.period}:\n\n`;
+  let dataBlock = `Here is the store data for the reporting period (${dataSummary.period}):\n\n`;
+  if (dataSummary.shopify.changes) {
+    dataBlock += `Each metric shows the previous equal-length period (prev) and the absolute / % change. Use these to say whether a metric went up or down — never infer a trend without them.\n\n`;
+  }
+
+  const cur = dataSummary.currency_symbol;
+  const money = (v) => `${cur}${v.toFixed(2)}`;
+  const count = (v) => Math.round(v).toLocaleString();
 
   // Shopify
   const s = dataSummary.shopify;
   dataBlock += `SHOPIFY DATA:\n`;
-  dataBlock += `- Orders: ${s.orders.toLocaleString()} (exact count)\n`;
-  dataBlock += `- AOV: £${s.aov.toFixed(2)} (from ${s.sample_size} order sample)\n`;
+  dataBlock += `- Orders: ${s.orders.toLocaleString()} (exact count)${describeChange(s.changes, s.previous, "orders", count)}\n`;
+  dataBlock += `- AOV: ${cur}${s.aov.toFixed(2)} (from ${s.sample_size} order sample)${describeChange(s.changes, s.previous, "aov", money)}\n`;
   if (s.revenue_is_estimated) {
-    dataBlock += `- Estimated revenue: ~£${s.revenue.toFixed(2)} (AOV × order count)\n`;
+    dataBlock += `- Estimated revenue: ~${cur}${s.revenue.toFixed(2)} (AOV × order count)${describeChange(s.changes, s.previous, "revenue", money)}\n`;
   } else {
-    dataBlock += `- Revenue: £${s.revenue.toFixed(2)}\n`;
+    dataBlock += `- Revenue (${s.revenue_metric.replace("_", " ")}): ${cur}${s.revenue.toFixed(2)}${describeChange(s.changes, s.previous, "revenue", money)}\n`;
+  }
+  if (s.revenue_breakdown) {
+    const b = s.revenue_breakdown;
+    dataBlock += b.taxes_included
+      ? `- Revenue breakdown: gross sales ${cur}${b.gross_sales.toFixed(2)} (incl. ${cur}${b.tax.toFixed(2)} tax) − discounts ${cur}${b.discounts.toFixed(2)} + shipping ${cur}${b.shipping.toFixed(2)} = total sales ${cur}${b.total_sales.toFixed(2)}\n`
+      : `- Revenue breakdown: gross sales ${cur}${b.gross_sales.toFixed(2)} − discounts ${cur}${b.discounts.toFixed(2)} + shipping ${cur}${b.shipping.toFixed(2)} + tax ${cur}${b.tax.toFixed(2)} = total sales ${cur}${b.total_sales.toFixed(2)}\n`;
+    dataBlock += `- Refunds: ${cur}${b.refunds.toFixed(2)} (${b.refund_rate}% of total sales; ${b.refunded_order_rate}% of paid orders had a refund)\n`;
+    dataBlock += `- Net revenue (total sales − refunds): ${cur}${b.net_revenue.toFixed(2)}\n`;
+    dataBlock += `- Net sales (gross − discounts − returns, excl. shipping + tax): ${cur}${b.net_sales.toFixed(2)}\n`;
   }
 
-  // GA4
-  if (dataSummary.ga4) {
-    const g = dataSummary.ga4;
-    dataBlock += `\nGA4 DATA:\n`;
-    dataBlock += `- Sessions: ${g.sessions.toLocaleString()}\n`;
-    dataBlock += `- Bounce rate: ${(g.bounce_rate * 100).toFixed(1)}%\n`;
-    dataBlock += `- Users: ${g.users.toLocaleString()}\n`;
-    dataBlock += `- Page views: ${g.page_views.toLocaleString()}\n`;
-  } else {
-    dataBlock += `\nGA4 DATA: Not connected\n`;
-  }
-
-  // Meta Ads
-  if (dataSummary.meta_ads) {
-    const m = dataSummary.meta_ads;
-    dataBlock += `\nMETA ADS DATA:\n`;
-    dataBlock += `- Spend: £${m.spend.toFixed(2)}\n`;
-    dataBlock += `- Impressions: ${m.impressions.toLocaleString()}\n`;
-    dataBlock += `- Clicks: ${m.clicks.toLocaleString()}\n`;
-    dataBlock += `- CPC: £${m.cpc !== null ? m.cpc.toFixed(2) : "N/A"}\n`;
-    dataBlock += `- CTR: ${m.ctr !== null ? m.ctr.toFixed(2) + "%" : "N/A"}\n`;
-    dataBlock += `- Purchases: ${m.purchases}\n`;
-    dataBlock += `- Revenue (Shopify-attributed): £${m.revenue.toFixed(2)}\n`;
-    dataBlock += `- ROAS (Shopify revenue ÷ Meta spend): ${m.roas !== null ? m.roas + "x" : "N/A"}\n`;
-  } else {
-    dataBlock += `\nMETA ADS DATA: Not connected\n`;
+  // Customers
+  if (s.customers) {
+    const c = s.customers;
+    const share = (v) => (v !== null ? `${v}%` : "N/A");
+    const points = (v) => `${v.toFixed(1)} pts`;
+    dataBlock += `\nCUSTOMERS (${c.customers.toLocaleString()} customers ordered; ${c.guest_orders} guest orders excluded):\n`;
+    dataBlock += c.new_orders !== null
+      ? `- New vs returning orders: ${c.new_orders} new / ${c.returning_orders} returning (${share(c.returning_order_share)} returning)${describeChange(c.changes, c.previous, "returning_order_share", share, points)}\n`
+      : "- New vs returning orders: N/A (customer first-order lookup failed)\n";
+    dataBlock += `- Repeat purchase rate (customers with 2+ orders by the end of the period): ${share(c.repeat_purchase_rate)}${describeChange(c.changes, c.previous, "repeat_purchase_rate", share, points)}\n`;
+    if (c.estimated_customers > 0 && c.new_orders !== null) {
+      dataBlock += `  (estimated: first orders were looked up for a sample of returning customers; ${c.estimated_customers.toLocaleString()} more are counted at the sample's rates)\n`;
+    }
+    dataBlock += `- Median days between orders: ${c.median_days_between_orders !== null ? c.median_days_between_orders : "N/A"}\n`;
+    dataBlock += `- 90-day LTV (avg spend in the 90 days from first order, after refunds): ${c.ltv_90d !== null ? `${cur}${c.ltv_90d.toFixed(2)} (cohort: ${c.ltv_cohort_size} customers whose first order is 90+ days old${c.history_sample_size > 0 ? `; order history sampled from ${c.history_sample_size} repeat customers` : ""})` : "N/A"}\n`;
+  }
+
+  // Discount codes
+  if (s.discounts && s.discounts.codes.length > 0) {
+    const d = s.discounts;
+    const share = (v) => (v !== null ? `${v}% new customers` : "new-customer share unknown");
+    dataBlock += `\nDISCOUNT CODES (${d.code_order_share}% of paid orders used a code; distinct codes: ${d.code_count}):\n`;
+    d.codes.forEach(c => {
+      dataBlock += `- ${c.code}: ${c.orders} orders, ${cur}${c.revenue.toFixed(2)} revenue, avg discount ${cur}${c.avg_discount.toFixed(2)}, AOV ${cur}${c.aov.toFixed(2)}, ${share(c.new_customer_share)}\n`;
+    });
+    if (d.automatic.orders > 0) {
+      dataBlock += `- Automatic/manual discounts (no code): ${d.automatic.orders} orders, avg discount ${cur}${d.automatic.avg_discount.toFixed(2)}, AOV ${cur}${d.automatic.aov.toFixed(2)}, ${share(d.automatic.new_customer_share)}\n`;
+    }
+    dataBlock += `- Baseline, no discount: ${d.undiscounted.orders} orders, AOV ${cur}${d.undiscounted.aov.toFixed(2)}, ${share(d.undiscounted.new_customer_share)}\n`;
+  }
+
+  // MER
+  if (dataSummary.mer) {
+    const mer = dataSummary.mer;
+    const ratio = (v) => `${v.toFixed(2)}x`;
+    dataBlock += `\nMER (Shopify revenue ÷ total ad spend across ${mer.by_platform.map(p => p.platform).join(", ")}):\n`;
+    dataBlock += `- MER: ${ratio(mer.mer)}${describeChange(mer.changes, mer.previous, "mer", ratio)}\n`;
+    dataBlock += `- Total ad spend: ${money(mer.total_ad_spend)}${describeChange(mer.changes, mer.previous, "total_ad_spend", money)} (${mer.by_platform.map(p => `${p.platform} ${money(p.spend)}`).join(", ")})\n`;
+  }
+
+  // Data sources — GA4, ad platforms, email (each says "Not connected" itself where that matters)
+  for (const connector of connectors) {
+    dataBlock += connector.promptBlock(dataSummary[connector.summaryKey], { currencySymbol: cur });
+  }
+
+  // Daily breakdown
+  if (dataSummary.daily && dataSummary.daily.length > 0) {
+    dataBlock += `\nDAILY BREAKDOWN (date: orders / revenue / sessions / Meta spend):\n`;
+    dataSummary.daily.forEach(d => {
+      dataBlock += `${d.date}: ${d.orders} / ${cur}${d.revenue.toFixed(2)} / ${d.sessions !== null ? d.sessions : "N/A"} / ${d.ad_spend !== null ? cur + d.ad_spend.toFixed(2) : "N/A"}\n`;
+    });
+  }
+
+  // Markets
+  if (dataSummary.markets && dataSummary.markets.countries.length > 0) {
+    const mk = dataSummary.markets;
+    dataBlock += `\nMARKETS BY SHIPPING COUNTRY (${mk.primary_revenue_share !== null ? `primary market ${mk.primary_revenue_share}% of revenue` : `${mk.country_count} countries`}${mk.unknown_orders > 0 ? `; ${mk.unknown_orders} orders with no shipping address` : ""}):\n`;
+    mk.countries.forEach(c => {
+      const cvr = c.conversion_rate !== null ? `, ${c.sessions.toLocaleString()} GA4 sessions, CVR ~${c.conversion_rate}% (directional)` : "";
+      dataBlock += `- ${c.country}: ${c.orders} orders, ${cur}${c.revenue.toFixed(2)} (${c.revenue_share}%), AOV ${cur}${c.aov.toFixed(2)}${cvr}\n`;
+    });
+    if (mk.regions.length > 0) {
+      dataBlock += `Top regions: ${mk.regions.slice(0, 5).map(r => `${r.region} (${r.country_code}) ${cur}${r.revenue.toFixed(2)}`).join(", ")}\n`;
+    }
+  }
+
+  // Funnel
+  if (dataSummary.funnel) {
+    const f = dataSummary.funnel;
+    const stageLine = (st) => {
+      if (st.value === null) return `- ${st.stage}: not available\n`;
+      const rate = st.conversion_rate !== null
+        ? ` — ${st.conversion_rate}% of previous stage${st.cross_source ? " (cross-source, directional)" : ""}${st.previous_conversion_rate !== null ? `, was ${st.previous_conversion_rate}%` : ""}`
+        : "";
+      return `- ${st.stage} (${st.source}): ${st.value.toLocaleString()}${rate}\n`;
+    };
+    dataBlock += `\nFUNNEL (stage-to-stage conversion${f.overall_rate !== null ? `; ${f.overall_rate}% end to end` : ""}):\n`;
+    f.stages.forEach(st => { dataBlock += stageLine(st); });
+    if (f.meta) {
+      dataBlock += `Meta-attributed funnel (pixel events Meta credits to ads):\n`;
+      f.meta.forEach(st => { dataBlock += stageLine(st); });
+    }
   }
 
   // Top Products
@@ -204,15 +496,58 @@ function buildTilePrompt(dataSummary, hasMetaAds) {
     if (tp.by_revenue.length > 0) {
       dataBlock += `\nTOP PRODUCTS BY REVENUE:\n`;
       tp.by_revenue.forEach((p, i) => {
-        dataBlock += `${i + 1}. ${p.title} — £${p.revenue.toFixed(2)} (${p.units} units)\n`;
+        dataBlock += `${i + 1}. ${productLabel(p)} — ${cur}${p.revenue.toFixed(2)} (${p.units} units${productMargin(p, cur)})\n`;
       });
     }
     if (tp.by_units.length > 0) {
       dataBlock += `\nTOP PRODUCTS BY UNITS SOLD:\n`;
       tp.by_units.forEach((p, i) => {
-        dataBlock += `${i + 1}. ${p.title} — ${p.units} units (£${p.revenue.toFixed(2)})\n`;
+        dataBlock += `${i + 1}. ${productLabel(p)} — ${p.units} units (${cur}${p.revenue.toFixed(2)}${productMargin(p, cur)})\n`;
+      });
+    }
+    if (tp.by_margin.length > 0) {
+      dataBlock += `\nTOP PRODUCTS BY GROSS MARGIN (line revenue − unit cost × units):\n`;
+      tp.by_margin.forEach((p, i) => {
+        dataBlock += `${i + 1}. ${productLabel(p)} — ${cur}${p.margin.toFixed(2)} margin (${p.margin_pct}% of ${cur}${p.revenue.toFixed(2)}, ${p.units} units)\n`;
+      });
+    }
+    if (tp.margin) {
+      dataBlock += `- Blended product gross margin: ${tp.margin.margin_pct}% (${cur}${tp.margin.gross_margin.toFixed(2)}; unit costs cover ${tp.margin.cost_coverage_pct}% of product revenue)\n`;
+    }
+  }
+
+  // Inventory — hero products plus the lowest-cover items
+  if (dataSummary.inventory) {
+    const inv = dataSummary.inventory;
+    const shown = inv.products.filter((p, i) => p.is_hero || i < 8);
+    if (shown.length > 0) {
+      dataBlock += `\nINVENTORY (days of cover = units available ÷ avg daily units sold over the last ${inv.velocity_days} days):\n`;
+      shown.forEach(p => {
+        const cover = p.days_of_cover !== null ? `${p.days_of_cover} days of cover` : `no sales in the last ${inv.velocity_days} days`;
+        dataBlock += `- ${p.title}${p.is_hero ? " (hero)" : ""}: ${p.available} units, ${p.daily_velocity}/day — ${cover}\n`;
       });
     }
+  } else {
+    dataBlock += `\nINVENTORY: Not available — do not assume products are in stock\n`;
+  }
+
+  // Seasonality & events
+  if (dataSummary.seasonality) {
+    const ss = dataSummary.seasonality;
+    const eventLine = (e) => `- ${e.name} (${EVENT_TYPES[e.type]}, ${e.start === e.end ? e.start : `${e.start} to ${e.end}`}): expected ${EXPECTED_IMPACTS[e.expected_impact].toLowerCase()}${e.notes ? ` — ${e.notes}` : ""}\n`;
+    dataBlock += `\nSEASONALITY & EVENTS (from the store's calendar — use these to explain movements before blaming ads, site or tracking):\n`;
+    if (ss.in_period.length > 0) {
+      dataBlock += `During this period:\n`;
+      ss.in_period.forEach(e => { dataBlock += eventLine(e); });
+    }
+    if (ss.previous_period.length > 0) {
+      dataBlock += `During the comparison period (period-over-period changes are distorted by these):\n`;
+      ss.previous_period.forEach(e => { dataBlock += eventLine(e); });
+    }
+    if (ss.upcoming.length > 0) {
+      dataBlock += `Coming up in the next ${UPCOMING_DAYS} days (worth preparing for):\n`;
+      ss.upcoming.forEach(e => { dataBlock += eventLine(e); });
+    }
   }
 
   // Tile instructions
@@ -226,11 +561,14 @@ function buildTilePrompt(dataSummary, hasMetaAds) {
     tileBlock += "\n\n" + TILE_PROMPTS.AD_PERFORMANCE;
   }
 
-  return dataBlock + tileBlock;
+  return dataBlock + tileBlock.replace(/\{currency\}/g, cur);
 }
 
 // --- Context Validation ---
 
+// Session drops named one by one in the notes; any beyond this are summarised as a count
+const MAX_SESSION_DROP_NOTES = 3;
+
 function validateBusinessContext(businessContext, dataSummary) {
   const notes = [];
   const bp = businessContext.business_profile;
@@ -238,14 +576,12 @@ function validateBusinessContext(businessContext, dataSummary) {
   const s = dataSummary.shopify;
 
   // 1. AOV band check
-  const aovBandMatch = bp.aov_band.match(/\u00a3(\d+)-(\d+)/);
-  if (aovBandMatch) {
-    const bandLow = parseFloat(aovBandMatch[1]);
-    const bandHigh = parseFloat(aovBandMatch[2]);
-    if (s.aov < bandLow) {
-      notes.push(`Your actual AOV this period was \u00a3${s.aov.toFixed(2)}, which is below your stated ${bp.aov_band} band. You might want to update business-context.json.`);
-    } else if (s.aov > bandHigh) {
-      notes.push(`Your actual AOV this period was \u00a3${s.aov.toFixed(2)}, which is above your stated ${bp.aov_band} band. You might want to update business-context.json.`);
+  const aovBand = parseAovBand(bp.aov_band);
+  if (aovBand) {
+    if (s.aov < aovBand.low) {
+      notes.push(`Your actual AOV this period was ${bp.currency_symbol}${s.aov.toFixed(2)}, which is below your stated ${bp.aov_band} band. You might want to update it in Settings.`);
+    } else if (s.aov > aovBand.high) {
+      notes.push(`Your actual AOV this period was ${bp.currency_symbol}${s.aov.toFixed(2)}, which is above your stated ${bp.aov_band} band. You might want to update it in Settings.`);
     }
   }
 
@@ -254,7 +590,7 @@ function validateBusinessContext(businessContext, dataSummary) {
     const topTitles = dataSummary.top_products.by_revenue.slice(0, 5).map(p => p.title.toLowerCase());
     const missingHeroes = bp.hero_products.filter(hero => !topTitles.includes(hero.toLowerCase()));
     if (missingHeroes.length > 0) {
-      notes.push(`Hero product${missingHeroes.length > 1 ? "s" : ""} not in top 5 by revenue this period: ${missingHeroes.join(", ")}. Either they're underperforming or the hero list in business-context.json needs updating.`);
+      notes.push(`Hero product${missingHeroes.length > 1 ? "s" : ""} not in top 5 by revenue this period: ${missingHeroes.join(", ")}. Either they're underperforming or the hero list in Settings needs updating.`);
     }
   }
 
@@ -263,7 +599,7 @@ function validateBusinessContext(businessContext, dataSummary) {
     const actualRoas = dataSummary.meta_ads.roas;
     const goalFloor = targets.roas_goal * 0.5;
     if (actualRoas < goalFloor) {
-      notes.push(`Blended ROAS is ${actualRoas}x \u2014 below 50% of your ${targets.roas_goal}x goal for the full 30-day period. Consider whether the ${targets.roas_goal}x target is realistic or if ad strategy needs reworking.`);
+      notes.push(`Blended ROAS is ${actualRoas}x \u2014 below 50% of your ${targets.roas_goal}x goal for the full ${dataSummary.period_days}-day period. Consider whether the ${targets.roas_goal}x target is realistic or if ad strategy needs reworking.`);
     }
   }
 
@@ -281,9 +617,9 @@ function validateBusinessContext(businessContext, dataSummary) {
     if (actualCpa > targets.cac_ceiling) {
       const overBy = ((actualCpa / targets.cac_ceiling - 1) * 100).toFixed(0);
       if (actualCpa > targets.cac_ceiling * 2) {
-        notes.push(`CPA is \u00a3${actualCpa.toFixed(2)} \u2014 more than double your \u00a3${targets.cac_ceiling} ceiling. This has been consistently above target. The ceiling may be set too low for this channel, or ad efficiency needs serious attention.`);
+        notes.push(`CPA is ${bp.currency_symbol}${actualCpa.toFixed(2)} \u2014 more than double your ${bp.currency_symbol}${targets.cac_ceiling} ceiling. This has been consistently above target. The ceiling may be set too low for this channel, or ad efficiency needs serious attention.`);
       } else {
-        notes.push(`CPA is \u00a3${actualCpa.toFixed(2)}, which is ${overBy}% above your \u00a3${targets.cac_ceiling} CAC ceiling. Worth investigating whether this is a recent spike or a consistent pattern.`);
+        notes.push(`CPA is ${bp.currency_symbol}${actualCpa.toFixed(2)}, which is ${overBy}% above your ${bp.currency_symbol}${targets.cac_ceiling} CAC ceiling. Worth investigating whether this is a recent spike or a consistent pattern.`);
       }
     }
   }
@@ -299,6 +635,68 @@ function validateBusinessContext(businessContext, dataSummary) {
     }
   }
 
+  // 7. Session drop check — day-over-day GA4 sessions (today is partial, so excluded)
+  const rails = businessContext.trust_and_safety_rails;
+  if (rails.session_drop_flag && dataSummary.daily) {
+    const today = formatDate(new Date());
+    const sessionSeries = dataSummary.daily.filter(d => d.date < today && d.sessions !== null);
+    const drops = findDayOverDayDrops(sessionSeries, "sessions", rails.session_drop_flag.threshold_pct);
+    // A note per drop would swamp the prompt on a noisy 90-day series — name the largest, count the rest
+    const largest = [...drops].sort((a, b) => b.dropPct - a.dropPct).slice(0, MAX_SESSION_DROP_NOTES);
+    for (const drop of largest) {
+      notes.push(`Sessions dropped ${drop.dropPct}% day-over-day on ${drop.date} (${drop.before.toLocaleString()} \u2192 ${drop.after.toLocaleString()}) \u2014 above the ${rails.session_drop_flag.threshold_pct}% threshold. Likely a GA4 tracking issue rather than a real traffic drop; do not treat it as a demand signal.`);
+    }
+    const others = drops.length - largest.length;
+    if (others > 0) {
+      notes.push(`Sessions also dropped more than ${rails.session_drop_flag.threshold_pct}% day-over-day on ${others} other day${others === 1 ? "" : "s"} in this period. Treat these as possible GA4 tracking gaps too.`);
+    }
+  }
+
+  // 8. Minimum trend days check
+  if (rails.minimum_trend_days && dataSummary.daily && dataSummary.days_of_data < rails.minimum_trend_days.days) {
+    notes.push(`Only ${dataSummary.days_of_data} day${dataSummary.days_of_data === 1 ? "" : "s"} of data in this period \u2014 fewer than the ${rails.minimum_trend_days.days}-day minimum. Do not describe any movement as a trend.`);
+  }
+
+  // 9. Product margin vs stated margin model (e.g. "55-70% gross margin")
+  const marginBandMatch = bp.margin_model.match(/(\d+)-(\d+)%/);
+  const productMargins = dataSummary.top_products && dataSummary.top_products.margin;
+  if (marginBandMatch && productMargins && productMargins.cost_coverage_pct >= 50) {
+    const bandLow = parseFloat(marginBandMatch[1]);
+    const bandHigh = parseFloat(marginBandMatch[2]);
+    if (productMargins.margin_pct < bandLow || productMargins.margin_pct > bandHigh) {
+      notes.push(`Blended product gross margin this period was ${productMargins.margin_pct}% (from Shopify unit costs), outside your stated ${bp.margin_model}. Either costs or pricing have moved, or the margin model in Settings needs updating.`);
+    }
+  }
+
+  // 10. Hero products low on stock — steer recommendations away from pushing them
+  if (rails.low_stock_flag && dataSummary.inventory) {
+    const minCover = rails.low_stock_flag.days_of_cover;
+    for (const p of dataSummary.inventory.products.filter(p => p.is_hero)) {
+      if (p.available <= 0) {
+        notes.push(`Hero product ${p.title} is out of stock. Do NOT recommend ads, promotions or traffic pushes for it \u2014 focus on restocking or on in-stock alternatives.`);
+      } else if (p.days_of_cover !== null && p.days_of_cover < minCover) {
+        notes.push(`Hero product ${p.title} has only ${p.days_of_cover} days of stock cover (${p.available} units at ${p.daily_velocity}/day) \u2014 below the ${minCover}-day threshold. Do NOT recommend ad pushes for it; suggest restocking or promoting an in-stock product instead.`);
+      }
+    }
+  }
+
+  // 11. Non-primary markets — share of revenue shipping outside the primary market
+  if (rails.non_primary_market_flag && dataSummary.markets && dataSummary.markets.non_primary_revenue_share !== null) {
+    const threshold = rails.non_primary_market_flag.threshold_pct;
+    const mk = dataSummary.markets;
+    if (mk.non_primary_revenue_share > threshold) {
+      const prev = mk.previous_non_primary_revenue_share;
+      const topOther = mk.countries.find(c => !(bp.primary_market_country_codes || []).includes(c.country_code));
+      notes.push(`${mk.non_primary_revenue_share}% of revenue shipped outside your primary market (${bp.primary_market})${prev !== null ? `, vs ${prev}% last period` : ""} \u2014 above the ${threshold}% threshold${topOther ? `; largest is ${topOther.country} at ${topOther.revenue_share}%` : ""}. Check shipping costs, pricing and whether ads are targeting these markets deliberately.`);
+    }
+  }
+
+  // 12. MER vs goal — blended efficiency across every connected ad platform
+  if (targets.mer_goal && dataSummary.mer && dataSummary.mer.mer < targets.mer_goal) {
+    const mer = dataSummary.mer;
+    notes.push(`MER is ${mer.mer}x (${bp.currency_symbol}${mer.revenue.toFixed(2)} Shopify revenue \u00f7 ${bp.currency_symbol}${mer.total_ad_spend.toFixed(2)} ad spend across ${mer.by_platform.map(p => p.platform).join(", ")}) \u2014 below your ${targets.mer_goal}x goal${mer.previous ? ` (was ${mer.previous.mer}x last period)` : ""}. Treat blended efficiency as under target even if individual platform ROAS looks healthy.`);
+  }
+
   return notes;
 }
 
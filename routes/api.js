@@ -3,17 +3,21 @@ const router = express.Router();
 const config = require("../lib/config");
 const logger = require("../lib/logger");
 const { getShopToken } = require("../lib/cache");
-const { getShopifyOrderData } = require("../lib/shopify");
+const { getShopifyOrderData, getMissingScopes } = require("../lib/shopify");
 const { fetchGoogleAnalyticsData } = require("../lib/analytics");
-const { fetchMetaAdsData } = require("../lib/meta");
+const { fetchConnectorData } = require("../lib/connectors");
+const { fetchInventoryData } = require("../lib/inventory");
 const { generateTileInsights } = require("../lib/insights");
+const { getBusinessContext } = require("../lib/business-context");
+const { archiveInsights } = require("../lib/history");
+const { parsePeriod, getDefaultPeriod } = require("../lib/period");
 
 // AI Insights — fetch Shopify + GA data and generate Claude analysis
 router.get("/insights", async (req, res) => {
   const shop = req.query.shop;
   const tokenData = shop ? getShopToken(shop) : null;
 
-  if (!shop || !tokenData) {
+  if (!shop || !tokenData || getMissingScopes(tokenData).length > 0) {
     return res.status(401).json({ error: "Not authenticated" });
   }
 
@@ -21,23 +25,29 @@ router.get("/insights", async (req, res) => {
     return res.status(500).json({ error: "ANTHROPIC_API_KEY not configured" });
   }
 
+  const period = parsePeriod(req.query);
+  if (!period) {
+    return res.status(400).json({ error: "Invalid period" });
+  }
+
   try {
     const { accessToken } = tokenData;
+    const businessContext = getBusinessContext(shop);
 
-    const orderData = await getShopifyOrderData(shop, accessToken);
+    const orderData = await getShopifyOrderData(shop, accessToken, period);
     logger.info("[insights] shopify stats:", orderData.shopifyStats);
 
-    const [gaData, metaAdsData] = await Promise.all([
-      fetchGoogleAnalyticsData().catch(err => { logger.info("[insights] GA failed:", err.message); return null; }),
-      fetchMetaAdsData().catch(err => { logger.info("[insights] Meta failed:", err.message); return null; }),
-    ]);
+    const { data: sourceData, sources } = await fetchConnectorData(period, "insights", businessContext);
 
-    const tiles = await generateTileInsights(orderData.shopifyStats, gaData, metaAdsData, orderData.topProducts);
+    const inventory = await fetchInventoryData(shop, accessToken).catch(err => { logger.info("[insights] inventory failed:", err.message); return null; });
+    const tiles = await generateTileInsights(orderData.shopifyStats, sourceData, orderData.topProducts, period, inventory, businessContext);
+    archiveInsights(shop, { tiles, shopifyStats: orderData.shopifyStats, ...sourceData, sources, period });
 
     res.json({
+      period,
       shopifyStats: orderData.shopifyStats,
-      gaData,
-      metaAdsData,
+      ...sourceData,
+      sources,
       tiles,
     });
   } catch (err) {
@@ -50,7 +60,8 @@ router.get("/insights", async (req, res) => {
 if (config.isDevelopment) {
   router.get("/test-ga", async (_req, res) => {
     try {
-      const data = await fetchGoogleAnalyticsData();
+      const period = getDefaultPeriod();
+      const data = await fetchGoogleAnalyticsData(period);
       if (!data) {
         return res.status(500).send(
           "Google Analytics not configured. Set GA_PROPERTY_ID and GA_SERVICE_ACCOUNT_JSON in .env"
@@ -59,7 +70,7 @@ if (config.isDevelopment) {
       res.json({
         status: "ok",
         propertyId: config.GA_PROPERTY_ID,
-        period: "last 30 days",
+        period: period.label,
         metrics: data,
       });
     } catch (err) {
@@ -3,14 +3,22 @@ const router = express.Router();
 const config = require("../lib/config");
 const logger = require("../lib/logger");
 const { getShopToken, setShopToken } = require("../lib/cache");
-const { verifyHmac, buildRedirectUri, generateNonce } = require("../lib/shopify");
+const { verifyHmac, buildRedirectUri, generateNonce, getMissingScopes } = require("../lib/shopify");
 const { buildAuthorizePage, buildInstallPage } = require("../views/auth");
 
 // Home — handle Shopify admin launch or manual install
 router.get("/", (req, res) => {
   const shop = req.query.shop;
+  const tokenData = shop ? getShopToken(shop) : null;
+  const missingScopes = tokenData ? getMissingScopes(tokenData) : [];
 
-  if (shop && getShopToken(shop)) {
+  if (tokenData && missingScopes.length > 0) {
+    // Installed before the app asked for these scopes — authorize again to grant them
+    logger.info("[auth] re-authorization needed for", shop, "\u2014 missing scopes:", missingScopes.join(","));
+    return res.send(buildAuthorizePage(shop));
+  }
+
+  if (tokenData) {
     return res.redirect(`/dashboard?shop=${encodeURIComponent(shop)}`);
   }
 
@@ -24,8 +32,9 @@ router.get("/", (req, res) => {
 // OAuth landing page — runs in a normal browser tab, not embedded
 router.get("/install", (req, res) => {
   const shop = req.query.shop || "";
+  const tokenData = shop ? getShopToken(shop) : null;
 
-  if (shop && getShopToken(shop)) {
+  if (tokenData && getMissingScopes(tokenData).length === 0) {
     return res.redirect(`/dashboard?shop=${encodeURIComponent(shop)}`);
   }
   const error = req.query.error || "";
@@ -102,9 +111,10 @@ router.get("/auth/callback", async (req, res) => {
       throw new Error(`Token exchange failed (${tokenRes.status}): ${tokenText.substring(0, 200)}`);
     }
 
-    const { access_token } = JSON.parse(tokenText);
+    const { access_token, scope } = JSON.parse(tokenText);
 
-    setShopToken(shop, access_token);
+    setShopToken(shop, access_token, scope);
+    logger.info("[callback] granted scopes:", scope);
 
     const storeSlug = shop.replace(".myshopify.com", "");
     const adminUrl = `https://admin.shopify.com/store/${storeSlug}/apps/${config.APP_HANDLE}`;
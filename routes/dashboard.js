@@ -3,42 +3,56 @@ const router = express.Router();
 const config = require("../lib/config");
 const logger = require("../lib/logger");
 const { getShopToken, deleteShopToken, getCachedInsights, setCachedInsights, clearInsightsCache, clearOrderDataCache } = require("../lib/cache");
-const { shopifyFetch, getShopifyOrderData } = require("../lib/shopify");
-const { fetchGoogleAnalyticsData } = require("../lib/analytics");
+const { shopifyFetch, getShopifyOrderData, getMissingScopes } = require("../lib/shopify");
 const { fetchMetaAdsData } = require("../lib/meta");
+const { fetchConnectorData } = require("../lib/connectors");
+const { fetchInventoryData } = require("../lib/inventory");
 const { generateTileInsights } = require("../lib/insights");
+const { getBusinessContext } = require("../lib/business-context");
+const { parsePeriod, periodQuery } = require("../lib/period");
+const { archiveInsights, listInsightsHistory, getInsightsRun } = require("../lib/history");
 const { buildDashboardHtml, buildSkeletonHtml, buildContentHtml } = require("../views/dashboard");
+const { buildHistoryHtml } = require("../views/history");
+const { buildMetaHtml } = require("../views/meta");
 
 // JSON endpoint for client-side auto-refresh (stale data from previous day)
 router.get("/dashboard/refresh", async (req, res) => {
   const shop = req.query.shop;
   const tokenData = shop ? getShopToken(shop) : null;
 
-  if (!shop || !tokenData) {
+  if (!shop || !tokenData || getMissingScopes(tokenData).length > 0) {
     return res.status(401).json({ error: "Not authenticated" });
   }
 
+  const period = parsePeriod(req.query);
+  if (!period) {
+    return res.status(400).json({ error: "Invalid period" });
+  }
+
   const { accessToken } = tokenData;
+  const businessContext = getBusinessContext(shop);
 
   try {
-    clearInsightsCache(shop);
-    clearOrderDataCache(shop);
+    clearInsightsCache(shop, period.key);
+    clearOrderDataCache(shop, period.key);
 
-    const [shopData, orderData, gaData, metaAdsData] = await Promise.all([
+    const [shopData, orderData, { data: sourceData, sources }] = await Promise.all([
       shopifyFetch(shop, accessToken, "shop"),
-      getShopifyOrderData(shop, accessToken),
-      fetchGoogleAnalyticsData().catch(err => { logger.info("[auto-refresh] GA failed:", err.message); return null; }),
-      fetchMetaAdsData().catch(err => { logger.info("[auto-refresh] Meta failed:", err.message); return null; }),
+      getShopifyOrderData(shop, accessToken, period),
+      fetchConnectorData(period, "auto-refresh", businessContext),
     ]);
 
-    const tiles = await generateTileInsights(orderData.shopifyStats, gaData, metaAdsData, orderData.topProducts);
-    setCachedInsights(shop, { tiles, shopifyStats: orderData.shopifyStats, gaData, metaAdsData });
+    const inventory = await fetchInventoryData(shop, accessToken).catch(err => { logger.info("[auto-refresh] inventory failed:", err.message); return null; });
+    const tiles = await generateTileInsights(orderData.shopifyStats, sourceData, orderData.topProducts, period, inventory, businessContext);
+    const newInsights = { tiles, shopifyStats: orderData.shopifyStats, ...sourceData, sources, period };
+    setCachedInsights(shop, period.key, newInsights);
+    archiveInsights(shop, newInsights);
 
-    const cached = getCachedInsights(shop);
+    const cached = getCachedInsights(shop, period.key);
     const contentHtml = buildContentHtml(cached, shop);
 
     logger.info("[auto-refresh] completed for", shop);
-    res.json({ html: contentHtml, storeName: shopData.shop.name });
+    res.json({ html: contentHtml, storeName: shopData.shop.name, sources });
   } catch (err) {
     logger.error("[auto-refresh] error:", err.message);
     if (err.message.includes("401")) {
@@ -49,17 +63,72 @@ router.get("/dashboard/refresh", async (req, res) => {
   }
 });
 
+// Past insight runs — list, or re-render one run read-only
+router.get("/dashboard/history", (req, res) => {
+  const shop = req.query.shop;
+  const tokenData = shop ? getShopToken(shop) : null;
+
+  if (!shop || !tokenData || getMissingScopes(tokenData).length > 0) {
+    if (shop) {
+      return res.redirect(`/install?shop=${encodeURIComponent(shop)}`);
+    }
+    return res.redirect("/install");
+  }
+
+  const runs = listInsightsHistory(shop);
+  const selectedRun = req.query.run ? getInsightsRun(shop, req.query.run) : null;
+  if (req.query.run && !selectedRun) {
+    return res.status(404).send("Insights run not found.");
+  }
+
+  res.send(buildHistoryHtml(shop, runs, selectedRun));
+});
+
+// Meta Ads campaign / ad set / ad drill-down — reuses the cached insights run for the period when there is one
+router.get("/dashboard/meta", async (req, res) => {
+  const shop = req.query.shop;
+  const tokenData = shop ? getShopToken(shop) : null;
+
+  if (!shop || !tokenData || getMissingScopes(tokenData).length > 0) {
+    if (shop) {
+      return res.redirect(`/install?shop=${encodeURIComponent(shop)}`);
+    }
+    return res.redirect("/install");
+  }
+
+  const period = parsePeriod(req.query);
+  if (!period) {
+    return res.status(400).send("Invalid period. Use 7d, 30d, 90d, or custom with from/to dates (YYYY-MM-DD).");
+  }
+
+  try {
+    const cached = getCachedInsights(shop, period.key);
+    const metaAdsData = cached && cached.metaAdsData && cached.metaAdsData.campaigns
+      ? cached.metaAdsData
+      : await fetchMetaAdsData(period, getBusinessContext(shop));
+    res.send(buildMetaHtml(shop, period, metaAdsData));
+  } catch (err) {
+    logger.error("[meta-drilldown] error:", err.message);
+    res.status(500).send("Unable to load Meta Ads data. Please try again.");
+  }
+});
+
 router.get("/dashboard", async (req, res) => {
   const shop = req.query.shop;
   const tokenData = shop ? getShopToken(shop) : null;
 
-  if (!shop || !tokenData) {
+  if (!shop || !tokenData || getMissingScopes(tokenData).length > 0) {
     if (shop) {
       return res.redirect(`/install?shop=${encodeURIComponent(shop)}`);
     }
     return res.redirect("/install");
   }
 
+  const period = parsePeriod(req.query);
+  if (!period) {
+    return res.status(400).send("Invalid period. Use 7d, 30d, 90d, or custom with from/to dates (YYYY-MM-DD).");
+  }
+
   const { accessToken } = tokenData;
 
   try {
@@ -67,14 +136,14 @@ router.get("/dashboard", async (req, res) => {
 
     // Force refresh clears both caches so order data is also re-fetched
     if (forceRefresh) {
-      clearInsightsCache(shop);
-      clearOrderDataCache(shop);
+      clearInsightsCache(shop, period.key);
+      clearOrderDataCache(shop, period.key);
     }
 
     // Check cache BEFORE any API calls — avoids blocking on shopifyFetch for cache misses
     let insightsData = null;
     if (config.ANTHROPIC_API_KEY && !forceRefresh) {
-      insightsData = getCachedInsights(shop);
+      insightsData = getCachedInsights(shop, period.key);
       if (insightsData) {
         logger.info("[dashboard] cache hit from", new Date(insightsData.generatedAt).toISOString());
       }
@@ -85,7 +154,7 @@ router.get("/dashboard", async (req, res) => {
       const shopData = await shopifyFetch(shop, accessToken, "shop");
       const storeName = shopData.shop.name;
       logger.info("[dashboard] rendering full page (cached:", !!insightsData, ")");
-      return res.send(buildDashboardHtml(storeName, shop, insightsData));
+      return res.send(buildDashboardHtml(storeName, shop, insightsData, period));
     }
 
     // Cache miss — send skeleton IMMEDIATELY before any data fetching
@@ -95,23 +164,25 @@ router.get("/dashboard", async (req, res) => {
 
     res.setHeader("Content-Type", "text/html; charset=utf-8");
     res.flushHeaders();
-    res.write(buildSkeletonHtml(placeholderName, shop));
+    res.write(buildSkeletonHtml(placeholderName, shop, period));
 
     try {
-      // Fetch store name, order data, GA, and Meta all in parallel
-      const [shopData, orderData, gaData, metaAdsData] = await Promise.all([
+      const businessContext = getBusinessContext(shop);
+      // Fetch store name, order data and every connected data source in parallel
+      const [shopData, orderData, { data: sourceData, sources }] = await Promise.all([
         shopifyFetch(shop, accessToken, "shop"),
-        getShopifyOrderData(shop, accessToken),
-        fetchGoogleAnalyticsData().catch(err => { logger.info("[dashboard] GA failed:", err.message); return null; }),
-        fetchMetaAdsData().catch(err => { logger.info("[dashboard] Meta failed:", err.message); return null; }),
+        getShopifyOrderData(shop, accessToken, period),
+        fetchConnectorData(period, "dashboard", businessContext),
       ]);
 
       const storeName = shopData.shop.name;
-      const tiles = await generateTileInsights(orderData.shopifyStats, gaData, metaAdsData, orderData.topProducts);
-      const newInsights = { tiles, shopifyStats: orderData.shopifyStats, gaData, metaAdsData };
-      setCachedInsights(shop, newInsights);
+      const inventory = await fetchInventoryData(shop, accessToken).catch(err => { logger.info("[dashboard] inventory failed:", err.message); return null; });
+      const tiles = await generateTileInsights(orderData.shopifyStats, sourceData, orderData.topProducts, period, inventory, businessContext);
+      const newInsights = { tiles, shopifyStats: orderData.shopifyStats, ...sourceData, sources, period };
+      setCachedInsights(shop, period.key, newInsights);
+      archiveInsights(shop, newInsights);
 
-      const cached = getCachedInsights(shop);
+      const cached = getCachedInsights(shop, period.key);
       const contentHtml = buildContentHtml(cached, shop);
 
       // Swap content, update store name in topbar/title, and clear loading timers
@@ -129,7 +200,7 @@ router.get("/dashboard", async (req, res) => {
         deleteShopToken(shop);
         res.write("<script>window.location.replace('/install?shop=" + encodeURIComponent(shop) + "&error=token_expired');</script>");
       } else {
-        res.write("<script>(function(){if(window.__li)clearInterval(window.__li);if(window.__lt)clearTimeout(window.__lt);var el=document.getElementById('loading-status');if(el)el.innerHTML='\\u26a0\\ufe0f Failed to generate insights. <a href=\"/dashboard?shop=" + encodeURIComponent(shop) + "&refresh=1\">Try again</a>';})();</script>");
+        res.write("<script>(function(){if(window.__li)clearInterval(window.__li);if(window.__lt)clearTimeout(window.__lt);var el=document.getElementById('loading-status');if(el)el.innerHTML='\\u26a0\\ufe0f Failed to generate insights. <a href=\"/dashboard?shop=" + encodeURIComponent(shop) + "&" + periodQuery(period) + "&refresh=1\">Try again</a>';})();</script>");
       }
     }
 
@@ -1,8 +1,50 @@
 const express = require("express");
 const router = express.Router();
+const logger = require("../lib/logger");
 const { getShopToken, deleteShopToken } = require("../lib/cache");
+const { verifySessionToken } = require("../lib/shopify");
+const { getSeasonalityCalendar, addSeasonalityEvent, deleteSeasonalityEvent } = require("../lib/seasonality");
+const { getBusinessContext, hasCustomBusinessContext, saveBusinessContext, resetBusinessContext, applyContextForm } = require("../lib/business-context");
 const { buildSettingsHtml } = require("../views/settings");
 
+const SETTINGS_FLASHES = {
+  context_saved: "Business context saved \u2014 it will be used from the next insights refresh",
+  context_reset: "Business context reset to the default template",
+  event_added: "Event added \u2014 it will be used from the next insights refresh",
+  event_deleted: "Event deleted",
+};
+
+function settingsRedirect(res, shop, saved, anchor) {
+  res.redirect(`/settings?shop=${encodeURIComponent(shop)}&saved=${saved}#${anchor}`);
+}
+
+// Edits change what goes into the shop's prompts, so a stored token (which only shows the shop installed
+// the app) isn't enough: every request must carry an App Bridge session token for the shop (id_token, added
+// to each form by the page, or a Bearer header). The session cookie is SameSite=None for the embedded app,
+// so a cross-site form post would carry it too — it's no proof the merchant sent the request.
+function requireVerifiedShop(req, res, next) {
+  const shop = req.query.shop;
+  if (!shop || !getShopToken(shop)) {
+    return res.status(401).send("Not authenticated");
+  }
+
+  const bearer = (req.headers.authorization || "").replace(/^Bearer /, "");
+  if (verifySessionToken(req.body?.id_token || bearer) !== shop) {
+    logger.info("[settings] rejected unverified request for", shop);
+    return res.status(403).send("Could not verify this request came from your Shopify admin. Reopen the app from Shopify admin and try again.");
+  }
+  next();
+}
+
+function renderSettings(shop, options = {}) {
+  return buildSettingsHtml(shop, {
+    events: getSeasonalityCalendar(shop),
+    businessContext: getBusinessContext(shop),
+    isCustomContext: hasCustomBusinessContext(shop),
+    ...options,
+  });
+}
+
 router.get("/settings", (req, res) => {
   const shop = req.query.shop;
   const tokenData = shop ? getShopToken(shop) : null;
@@ -14,15 +56,53 @@ router.get("/settings", (req, res) => {
     return res.redirect("/install");
   }
 
-  res.send(buildSettingsHtml(shop));
+  const flash = SETTINGS_FLASHES[req.query.saved] ? { type: "success", message: SETTINGS_FLASHES[req.query.saved] } : null;
+
+  res.send(renderSettings(shop, { flash }));
 });
 
-// POST to prevent CSRF on this destructive action
-router.post("/disconnect", (req, res) => {
-  const shop = req.query.shop || req.body?.shop;
-  if (shop) {
-    deleteShopToken(shop);
+// Business context edits — saved per shop, read fresh by the next insights run
+router.post("/settings/business-context", requireVerifiedShop, (req, res) => {
+  const shop = req.query.shop;
+  const form = req.body || {};
+  const { context, errors } = applyContextForm(getBusinessContext(shop), form);
+  if (errors.length > 0) {
+    logger.info("[settings] rejected business context:", errors);
+    const flash = { type: "error", message: `Not saved: ${errors.join("; ")}` };
+    return res.status(400).send(renderSettings(shop, { contextForm: form, flash }));
   }
+  saveBusinessContext(shop, context);
+  settingsRedirect(res, shop, "context_saved", "business-context");
+});
+
+router.post("/settings/business-context/reset", requireVerifiedShop, (req, res) => {
+  const shop = req.query.shop;
+  resetBusinessContext(shop);
+  settingsRedirect(res, shop, "context_reset", "business-context");
+});
+
+// Seasonality calendar edits (plain form posts from the settings page)
+router.post("/settings/seasonality", requireVerifiedShop, (req, res) => {
+  const shop = req.query.shop;
+  try {
+    addSeasonalityEvent(shop, req.body || {});
+  } catch (err) {
+    logger.info("[settings] rejected seasonality event:", err.message);
+    const flash = { type: "error", message: err.message };
+    return res.status(400).send(renderSettings(shop, { flash }));
+  }
+  settingsRedirect(res, shop, "event_added", "seasonality");
+});
+
+router.post("/settings/seasonality/delete", requireVerifiedShop, (req, res) => {
+  const shop = req.query.shop;
+  deleteSeasonalityEvent(shop, req.body?.id);
+  settingsRedirect(res, shop, "event_deleted", "seasonality");
+});
+
+// Deletes the shop's token and its archived insights history, so it needs the same proof as an edit
+router.post("/disconnect", requireVerifiedShop, (req, res) => {
+  deleteShopToken(req.query.shop);
   req.session.destroy(() => {
     res.redirect("/install");
   });
@@ -0,0 +1,87 @@
+/**
+ * Local stub of the Klaviyo API endpoints used by lib/klaviyo.js, for developing offline.
+ *
+ *   npm run mock:klaviyo
+ *   KLAVIYO_API_KEY=mock KLAVIYO_API_BASE_URL=http://localhost:4011/api npm run dev
+ *
+ * Serves the Placed Order metric, flow and campaign names, and flow / campaign values reports with fixed
+ * per-message statistics (one SMS row is included to check it gets filtered out). Requests without a
+ * Klaviyo-API-Key authorization header get a 401 like the real API. Name lists are paged through
+ * links.next (page[cursor]); MOCK_KLAVIYO_PAGE_SIZE sets the page size so paging can be exercised.
+ * Also exported for tests (test/mock-connectors.test.js).
+ */
+const http = require("http");
+
+const PORT = process.env.MOCK_KLAVIYO_PORT || 4011;
+
+const FLOWS = { RZf1: "Welcome Series", RZf2: "Abandoned Cart", RZf3: "Post-Purchase Replenish" };
+const CAMPAIGNS = { "01JC1": "October Restock", "01JC2": "Autumn Bundle Launch" };
+
+const stats = (recipients, openRate, clickRate, conversions, value) => ({
+  recipients,
+  delivered: Math.round(recipients * 0.98),
+  opens_unique: Math.round(recipients * 0.98 * openRate),
+  clicks_unique: Math.round(recipients * 0.98 * clickRate),
+  conversions,
+  conversion_value: value,
+});
+
+const FLOW_RESULTS = [
+  { groupings: { flow_id: "RZf1", flow_message_id: "m1", send_channel: "email" }, statistics: stats(820, 0.52, 0.06, 31, 702.5) },
+  { groupings: { flow_id: "RZf1", flow_message_id: "m2", send_channel: "email" }, statistics: stats(640, 0.44, 0.04, 12, 268.0) },
+  { groupings: { flow_id: "RZf2", flow_message_id: "m3", send_channel: "email" }, statistics: stats(410, 0.48, 0.09, 38, 851.2) },
+  { groupings: { flow_id: "RZf2", flow_message_id: "m4", send_channel: "sms" }, statistics: stats(150, 0, 0.12, 9, 190.0) },
+  { groupings: { flow_id: "RZf3", flow_message_id: "m5", send_channel: "email" }, statistics: stats(300, 0.39, 0.03, 7, 149.8) },
+];
+const CAMPAIGN_RESULTS = [
+  { groupings: { campaign_id: "01JC1", campaign_message_id: "c1", send_channel: "email" }, statistics: stats(5200, 0.36, 0.018, 44, 980.0) },
+  { groupings: { campaign_id: "01JC2", campaign_message_id: "c2", send_channel: "email" }, statistics: stats(5100, 0.33, 0.011, 21, 455.4) },
+];
+
+// One page of a name list; links.next is absolute, like the real API's
+function nameList(type, names, url, pageSize) {
+  const offset = parseInt(url.searchParams.get("page[cursor]"), 10) || 0;
+  const entries = Object.entries(names);
+  let next = null;
+  if (offset + pageSize < entries.length) {
+    const nextUrl = new URL(url);
+    nextUrl.searchParams.set("page[cursor]", String(offset + pageSize));
+    next = nextUrl.toString();
+  }
+  return { data: entries.slice(offset, offset + pageSize).map(([id, name]) => ({ type, id, attributes: { name } })), links: { next } };
+}
+
+function createMockKlaviyoServer({ pageSize = 50 } = {}) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || `localhost:${PORT}`}`);
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/vnd.api+json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (!(req.headers.authorization || "").startsWith("Klaviyo-API-Key ")) {
+      return send(401, { errors: [{ status: 401, code: "not_authenticated", detail: "Missing or invalid private key." }] });
+    }
+
+    console.log(`[mock-klaviyo] ${req.method} ${url.pathname}`);
+    const route = `${req.method} ${url.pathname}`;
+    if (route === "GET /api/metrics/") return send(200, nameList("metric", { Wx9a: "Placed Order", Wx9b: "Opened Email" }, url, pageSize));
+    if (route === "GET /api/flows/") return send(200, nameList("flow", FLOWS, url, pageSize));
+    if (route === "GET /api/campaigns/") return send(200, nameList("campaign", CAMPAIGNS, url, pageSize));
+    if (route === "POST /api/flow-values-reports/") {
+      return send(200, { data: { type: "flow-values-report", attributes: { results: FLOW_RESULTS } } });
+    }
+    if (route === "POST /api/campaign-values-reports/") {
+      return send(200, { data: { type: "campaign-values-report", attributes: { results: CAMPAIGN_RESULTS } } });
+    }
+    send(404, { errors: [{ status: 404, code: "not_found", detail: `${route} is not stubbed` }] });
+  });
+}
+
+if (require.main === module) {
+  createMockKlaviyoServer({ pageSize: parseInt(process.env.MOCK_KLAVIYO_PAGE_SIZE, 10) || 50 }).listen(PORT, () => {
+    console.log(`[mock-klaviyo] listening on http://localhost:${PORT}/api`);
+  });
+}
+
+module.exports = { createMockKlaviyoServer };
@@ -0,0 +1,93 @@
+/**
+ * Local stand-in for the TikTok Marketing API reporting endpoint, for developing without an ad account.
+ *
+ *   npm run mock:tiktok
+ *   TIKTOK_ACCESS_TOKEN=mock TIKTOK_ADVERTISER_ID=mock TIKTOK_API_BASE_URL=http://localhost:4010/open_api npm run dev
+ *
+ * Serves GET /open_api/v1.3/report/integrated/get/ with deterministic per-day numbers, so the same date
+ * range always returns the same report. Requests without an Access-Token header get TikTok's auth error.
+ * Rows are paged by page / page_size like the real API; MOCK_TIKTOK_PAGE_SIZE caps the page size so
+ * paging can be exercised with short date ranges. Also exported for tests (test/mock-connectors.test.js).
+ */
+const http = require("http");
+
+const PORT = process.env.MOCK_TIKTOK_PORT || 4010;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stable pseudo-random numbers per date so totals and daily rows agree
+function dayMetrics(date) {
+  const seed = [...date].reduce((sum, ch) => sum + ch.charCodeAt(0) * 31, 0) % 97;
+  const spend = 20 + seed * 0.8;
+  const clicks = 80 + seed * 3;
+  const conversions = Math.round(clicks * 0.025);
+  return {
+    spend,
+    impressions: clicks * 60,
+    clicks,
+    complete_payment: conversions,
+    total_complete_payment_rate: conversions * 21.5,
+  };
+}
+
+function listDates(startDate, endDate) {
+  const dates = [];
+  for (let t = new Date(startDate).getTime(); t <= new Date(endDate).getTime(); t += DAY_MS) {
+    dates.push(new Date(t).toISOString().substring(0, 10));
+  }
+  return dates;
+}
+
+// The real API returns every metric as a string
+function formatMetrics(m) {
+  return Object.fromEntries(Object.entries(m).map(([k, v]) => [k, typeof v === "number" ? v.toFixed(2) : v]));
+}
+
+function buildReport(query) {
+  const dates = listDates(query.get("start_date"), query.get("end_date"));
+  const dimensions = JSON.parse(query.get("dimensions") || "[]");
+
+  if (dimensions.includes("stat_time_day")) {
+    return dates.map(date => ({ dimensions: { stat_time_day: `${date} 00:00:00` }, metrics: formatMetrics(dayMetrics(date)) }));
+  }
+
+  const totals = { spend: 0, impressions: 0, clicks: 0, complete_payment: 0, total_complete_payment_rate: 0 };
+  for (const date of dates) {
+    const m = dayMetrics(date);
+    for (const key of Object.keys(totals)) totals[key] += m[key];
+  }
+  return [{ dimensions: { advertiser_id: query.get("advertiser_id") }, metrics: formatMetrics(totals) }];
+}
+
+// maxPageSize caps the requested page_size, forcing several pages
+function createMockTikTokServer({ maxPageSize = Infinity } = {}) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const send = (body) => {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname !== "/open_api/v1.3/report/integrated/get/") {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify({ code: 40400, message: "Not found" }));
+    }
+    if (!req.headers["access-token"]) {
+      return send({ code: 40104, message: "Access token is null, you should set it in http header", data: {} });
+    }
+
+    const rows = buildReport(url.searchParams);
+    const page = parseInt(url.searchParams.get("page"), 10) || 1;
+    const pageSize = Math.min(parseInt(url.searchParams.get("page_size"), 10) || 10, maxPageSize);
+    const list = rows.slice((page - 1) * pageSize, page * pageSize);
+    console.log(`[mock-tiktok] ${url.searchParams.get("start_date")} to ${url.searchParams.get("end_date")} page ${page} \u2192 ${list.length} rows`);
+    send({ code: 0, message: "OK", data: { list, page_info: { page, page_size: pageSize, total_number: rows.length, total_page: Math.max(Math.ceil(rows.length / pageSize), 1) } } });
+  });
+}
+
+if (require.main === module) {
+  createMockTikTokServer({ maxPageSize: parseInt(process.env.MOCK_TIKTOK_PAGE_SIZE, 10) || Infinity }).listen(PORT, () => {
+    console.log(`[mock-tiktok] listening on http://localhost:${PORT}/open_api`);
+  });
+}
+
+module.exports = { createMockTikTokServer };
@@ -5,6 +5,7 @@ const session = require("express-session");
 const app = express();
 
 app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
 app.use(express.static("public"));
 
 // Trust reverse proxy in production (Railway, etc.)
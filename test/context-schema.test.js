@@ -0,0 +1,80 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.SHOPIFY_API_KEY ||= "test-key";
+process.env.SHOPIFY_API_SECRET ||= "test-secret";
+process.env.STORAGE_BACKEND = "memory";
+
+const { parseAovBand, validateContextSchema } = require("../lib/context-schema");
+const template = require("../business-context.json");
+
+const minimalContext = () => ({ business_profile: { store_name: "Test Store", currency: "USD", currency_symbol: "$" } });
+
+test("parseAovBand reads ranges in any currency", () => {
+  assert.deepEqual(parseAovBand("£18-25"), { low: 18, high: 25 });
+  assert.deepEqual(parseAovBand("$18 - $25"), { low: 18, high: 25 });
+  assert.deepEqual(parseAovBand("18–25 EUR"), { low: 18, high: 25 });
+  assert.deepEqual(parseAovBand("£19.50-24.99"), { low: 19.5, high: 24.99 });
+});
+
+test("parseAovBand handles thousands separators", () => {
+  assert.deepEqual(parseAovBand("£1,200-1,500"), { low: 1200, high: 1500 });
+  assert.deepEqual(parseAovBand("$950 - $1,250"), { low: 950, high: 1250 });
+});
+
+test("parseAovBand rejects bands with no range or the high end first", () => {
+  assert.equal(parseAovBand("around £20"), null);
+  assert.equal(parseAovBand(""), null);
+  assert.equal(parseAovBand(undefined), null);
+  assert.equal(parseAovBand("£25-18"), null);
+});
+
+test("the business-context.json template is valid", () => {
+  assert.deepEqual(validateContextSchema(template).errors, []);
+});
+
+test("missing optional sections are filled with defaults", () => {
+  const { context, errors } = validateContextSchema(minimalContext());
+
+  assert.deepEqual(errors, []);
+  assert.equal(context.data_contracts.revenue.metric, "total_sales");
+  assert.deepEqual(context.business_profile.hero_products, []);
+  assert.deepEqual(context.funnel_definition.stages.map(s => s.name), ["Sessions", "Add to Cart", "Checkout", "Purchase"]);
+  assert.deepEqual(context.seasonality_calendar, []);
+  assert.equal(context.targets_and_constraints.mer_goal, null);
+});
+
+test("errors name the exact field", () => {
+  const input = minimalContext();
+  delete input.business_profile.store_name;
+  input.business_profile.primary_market_country_codes = ["gb"];
+  input.data_contracts = { revenue: { metric: "gross" } };
+  input.trust_and_safety_rails = { minimum_purchases: { count: "10", rule: "At least 10 purchases" } };
+
+  assert.deepEqual(validateContextSchema(input).errors.sort(), [
+    "business_profile.primary_market_country_codes[0]: must be a two-letter country code (got \"gb\")",
+    "business_profile.store_name: is required",
+    "data_contracts.revenue.metric: must be one of total_sales, net_revenue, net_sales (got \"gross\")",
+    "trust_and_safety_rails.minimum_purchases.count: expected a number, got a string",
+  ]);
+});
+
+test("seasonality dates must be real calendar days, in order", () => {
+  const event = (start, end) => ({ name: "Sale", start, end, expected_impact: "increase" });
+
+  const impossible = validateContextSchema({ ...minimalContext(), seasonality_calendar: [event("2025-02-31", "2025-03-02")] });
+  assert.deepEqual(impossible.errors, ["seasonality_calendar[0].start: must be a real YYYY-MM-DD date (got \"2025-02-31\")"]);
+
+  const reversed = validateContextSchema({ ...minimalContext(), seasonality_calendar: [event("2025-03-02", "2025-03-01")] });
+  assert.deepEqual(reversed.errors, ["seasonality_calendar[0].end: must be on or after start (2025-03-02)"]);
+
+  assert.deepEqual(validateContextSchema({ ...minimalContext(), seasonality_calendar: [event("2024-02-29", "2024-03-01")] }).errors, []);
+});
+
+test("an AOV band that can't be parsed is rejected", () => {
+  const input = minimalContext();
+  input.business_profile.aov_band = "$25-18";
+  assert.deepEqual(validateContextSchema(input).errors, [
+    "business_profile.aov_band: expected a low-to-high range like \"$18-25\" (got \"$25-18\")",
+  ]);
+});
@@ -0,0 +1,66 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.SHOPIFY_API_KEY ||= "test-key";
+process.env.SHOPIFY_API_SECRET ||= "test-secret";
+process.env.STORAGE_BACKEND = "memory";
+
+const { buildFunnels } = require("../lib/funnel");
+const { funnel_definition: funnelDefinition } = require("../business-context.json");
+
+const ga = {
+  sessions: 10000, pageViews: 4000, addToCarts: 800, checkouts: 500,
+  previous: { sessions: 8000, pageViews: 3000, addToCarts: 600, checkouts: 400 },
+};
+const shopify = {
+  orderCount: 200, checkoutsStarted: 400,
+  previous: { orderCount: 150, checkoutsStarted: 300 },
+};
+
+test("store funnel takes each stage from its source with stage-to-stage rates", () => {
+  const { store } = buildFunnels(shopify, ga, null, funnelDefinition);
+
+  assert.deepEqual(store.stages.map(s => [s.name, s.source, s.value]), [
+    ["Sessions", "ga4", 10000],
+    ["Product Views", "ga4", 4000],
+    ["Add to Cart", "ga4", 800],
+    ["Checkout", "shopify", 400],
+    ["Purchase", "shopify", 200],
+  ]);
+  assert.equal(store.stages[0].conversionRate, null);
+  assert.equal(store.stages[2].conversionRate, 20);
+  assert.equal(store.stages[4].conversionRate, 50);
+  assert.equal(store.overallRate, 2);
+  // GA4 add to cart → Shopify checkout crosses sources; Shopify → Shopify doesn't
+  assert.equal(store.stages[3].crossSource, true);
+  assert.equal(store.stages[4].crossSource, false);
+  assert.equal(store.stages[4].previousConversionRate, 50);
+});
+
+test("checkout falls back to GA4 when Shopify has no count, and GA4 zero events count as missing", () => {
+  const { store } = buildFunnels({ ...shopify, checkoutsStarted: null }, { ...ga, addToCarts: 0 }, null, funnelDefinition);
+  const byName = Object.fromEntries(store.stages.map(s => [s.name, s]));
+
+  assert.equal(byName["Add to Cart"].value, null);
+  assert.equal(byName["Checkout"].source, "ga4");
+  assert.equal(byName["Checkout"].value, 500);
+  // Rate is taken from the last stage that has a value (Product Views)
+  assert.equal(byName["Checkout"].conversionRate, 12.5);
+});
+
+test("stages read from a disconnected source are unavailable", () => {
+  const { store } = buildFunnels(shopify, null, null, funnelDefinition);
+  assert.deepEqual(store.stages.map(s => s.value), [null, null, null, 400, 200]);
+  assert.equal(store.overallRate, 50);
+});
+
+test("Meta funnel starts from link clicks and only appears with spend", () => {
+  const meta = { spend: 120, clicks: 900, linkClicks: 400, addToCarts: 60, checkoutsInitiated: 30, purchases: 12 };
+  const { meta: metaFunnel } = buildFunnels(shopify, ga, meta, funnelDefinition);
+
+  assert.deepEqual(metaFunnel.stages.map(s => [s.name, s.value]), [
+    ["Link Clicks", 400], ["Add to Cart", 60], ["Checkout", 30], ["Purchase", 12],
+  ]);
+  assert.equal(metaFunnel.overallRate, 3);
+  assert.equal(buildFunnels(shopify, ga, { ...meta, spend: 0 }, funnelDefinition).meta, null);
+});
@@ -0,0 +1,38 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.SHOPIFY_API_KEY ||= "test-key";
+process.env.SHOPIFY_API_SECRET ||= "test-secret";
+process.env.STORAGE_BACKEND = "memory";
+
+const { computeMer } = require("../lib/connectors");
+
+const shopifyStats = { revenue: 12000, previous: { revenue: 9000 } };
+
+test("MER is Shopify revenue over spend summed across every ad platform with data", () => {
+  const mer = computeMer(shopifyStats, {
+    metaAdsData: { spend: 2000, previous: { spend: 1500 } },
+    tiktokAdsData: { spend: 1000, previous: { spend: 1500 } },
+    // Not an ad platform, so its data never counts
+    klaviyoData: { spend: 500, revenue: 3000 },
+  });
+
+  assert.equal(mer.mer, 4);
+  assert.equal(mer.spend, 3000);
+  assert.deepEqual(mer.platforms.map(p => [p.id, p.spend]), [["meta", 2000], ["tiktok", 1000]]);
+  assert.deepEqual(mer.previous, { mer: 3, revenue: 9000, spend: 3000 });
+});
+
+test("MER is null without ad spend", () => {
+  assert.equal(computeMer(shopifyStats, {}), null);
+  assert.equal(computeMer(shopifyStats, { metaAdsData: { spend: 0 } }), null);
+});
+
+test("previous MER is left out unless every platform has a previous period", () => {
+  const mer = computeMer(shopifyStats, {
+    metaAdsData: { spend: 2000, previous: { spend: 1500 } },
+    googleAdsData: { spend: 1000, previous: null },
+  });
+  assert.equal(mer.mer, 4);
+  assert.equal(mer.previous, null);
+});
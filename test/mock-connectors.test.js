@@ -0,0 +1,72 @@
+// TikTok and Klaviyo fetchers run end to end against the local mock servers in scripts/, with small
+// page sizes so paging is exercised
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("node:events");
+const { createMockTikTokServer } = require("../scripts/mock-tiktok");
+const { createMockKlaviyoServer } = require("../scripts/mock-klaviyo");
+
+let tiktokServer;
+let klaviyoServer;
+let fetchTikTokAdsData;
+let fetchKlaviyoData;
+let parsePeriod;
+
+before(async () => {
+  tiktokServer = createMockTikTokServer({ maxPageSize: 4 }).listen(0, "127.0.0.1");
+  klaviyoServer = createMockKlaviyoServer({ pageSize: 2 }).listen(0, "127.0.0.1");
+  await Promise.all([once(tiktokServer, "listening"), once(klaviyoServer, "listening")]);
+
+  // lib/config reads the environment once, when first required
+  Object.assign(process.env, {
+    SHOPIFY_API_KEY: "test-key",
+    SHOPIFY_API_SECRET: "test-secret",
+    STORAGE_BACKEND: "memory",
+    TIKTOK_ACCESS_TOKEN: "mock",
+    TIKTOK_ADVERTISER_ID: "mock",
+    TIKTOK_API_BASE_URL: `http://127.0.0.1:${tiktokServer.address().port}/open_api`,
+    KLAVIYO_API_KEY: "mock",
+    KLAVIYO_API_BASE_URL: `http://127.0.0.1:${klaviyoServer.address().port}/api`,
+  });
+  ({ fetchTikTokAdsData } = require("../lib/tiktok"));
+  ({ fetchKlaviyoData } = require("../lib/klaviyo"));
+  ({ parsePeriod } = require("../lib/period"));
+});
+
+after(() => {
+  tiktokServer.close();
+  klaviyoServer.close();
+});
+
+test("fetchTikTokAdsData reads totals and every page of the daily report", async () => {
+  const period = parsePeriod({ period: "custom", from: "2025-03-01", to: "2025-03-10" });
+  const data = await fetchTikTokAdsData(period);
+
+  // 10 days at 4 rows per page is three pages
+  assert.equal(data.daily.length, 10);
+  assert.deepEqual(data.daily.map(d => d.date), [
+    "2025-03-01", "2025-03-02", "2025-03-03", "2025-03-04", "2025-03-05",
+    "2025-03-06", "2025-03-07", "2025-03-08", "2025-03-09", "2025-03-10",
+  ]);
+  assert.ok(data.daily.every(d => d.spend > 0 && d.clicks > 0));
+
+  // The mock's totals are the sum of its daily rows
+  const dailySpend = data.daily.reduce((sum, d) => sum + d.spend, 0);
+  assert.ok(Math.abs(data.spend - dailySpend) < 0.05);
+  assert.equal(data.clicks, data.daily.reduce((sum, d) => sum + d.clicks, 0));
+  assert.ok(data.previous.spend > 0);
+});
+
+test("fetchKlaviyoData follows links.next for names and keeps email sends only", async () => {
+  const data = await fetchKlaviyoData(parsePeriod({ period: "30d" }));
+
+  // Three flows at two per page — the third name only comes from the second page
+  assert.deepEqual(data.flows.top.map(f => f.name).sort(), ["Abandoned Cart", "Post-Purchase Replenish", "Welcome Series"]);
+  assert.deepEqual(data.campaigns.top.map(c => c.name).sort(), ["Autumn Bundle Launch", "October Restock"]);
+
+  // The SMS row (190.0) is left out
+  assert.ok(Math.abs(data.flows.revenue - 1971.5) < 0.001);
+  assert.ok(Math.abs(data.campaigns.revenue - 1435.4) < 0.001);
+  assert.ok(Math.abs(data.revenue - 3406.9) < 0.001);
+  assert.equal(data.flows.conversions, 31 + 12 + 38 + 7);
+});
@@ -0,0 +1,25 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parsePeriod, getPreviousPeriod, toDateRange, getPreviousDateRange, listDates, formatDate } = require("../lib/period");
+
+test("a preset covers the same calendar days for order timestamps and date ranges", () => {
+  const period = parsePeriod({ period: "30d" });
+  const { startDate, endDate } = toDateRange(period);
+
+  assert.equal(listDates(startDate, endDate).length, 30);
+  assert.equal(endDate, formatDate(Date.now()));
+  assert.equal(period.since, `${startDate}T00:00:00.000Z`);
+});
+
+test("the previous period is the same days as the previous date range", () => {
+  for (const query of [{ period: "7d" }, { period: "custom", from: "2025-03-01", to: "2025-03-10" }]) {
+    const period = parsePeriod(query);
+    const previous = getPreviousPeriod(period);
+    const range = getPreviousDateRange(period);
+
+    assert.equal(previous.since, `${range.startDate}T00:00:00.000Z`);
+    assert.equal(previous.until, period.since);
+    assert.equal(listDates(range.startDate, range.endDate).length, period.days);
+  }
+});
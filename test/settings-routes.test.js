@@ -0,0 +1,83 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const { once } = require("node:events");
+
+process.env.SHOPIFY_API_KEY ||= "test-key";
+process.env.SHOPIFY_API_SECRET ||= "test-secret";
+process.env.STORAGE_BACKEND = "memory";
+
+const express = require("express");
+const session = require("express-session");
+const { getShopToken, setShopToken } = require("../lib/cache");
+const { archiveInsights, listInsightsHistory } = require("../lib/history");
+const { getSeasonalityCalendar } = require("../lib/seasonality");
+
+const SHOP = "test-store.myshopify.com";
+let server;
+let baseUrl;
+
+// An App Bridge session token for shop, signed the way Shopify signs them
+function sessionToken(shop) {
+  const encode = obj => Buffer.from(JSON.stringify(obj)).toString("base64url");
+  const now = Math.floor(Date.now() / 1000);
+  const unsigned = `${encode({ alg: "HS256", typ: "JWT" })}.${encode({
+    aud: process.env.SHOPIFY_API_KEY, dest: `https://${shop}`, exp: now + 60, nbf: now - 5,
+  })}`;
+  const signature = crypto.createHmac("sha256", process.env.SHOPIFY_API_SECRET).update(unsigned).digest("base64url");
+  return `${unsigned}.${signature}`;
+}
+
+function post(path, body) {
+  return fetch(`${baseUrl}${path}?shop=${SHOP}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams(body),
+    redirect: "manual",
+  });
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(session({ secret: "test", resave: false, saveUninitialized: true }));
+  app.use(require("../routes/settings"));
+  server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  setShopToken(SHOP, "shpat_test", "read_orders");
+  archiveInsights(SHOP, { tiles: [], period: "30d" });
+});
+
+after(() => {
+  server.close();
+});
+
+test("settings edits need a session token for the shop", async () => {
+  const event = { name: "Spring Sale", start: "2025-03-01", end: "2025-03-07", expected_impact: "increase" };
+
+  assert.equal((await post("/settings/seasonality", event)).status, 403);
+  assert.equal((await post("/settings/seasonality", { ...event, id_token: "not-a-token" })).status, 403);
+  assert.equal((await post("/settings/seasonality", { ...event, id_token: sessionToken("other-store.myshopify.com") })).status, 403);
+  assert.deepEqual(getSeasonalityCalendar(SHOP), []);
+
+  assert.equal((await post("/settings/seasonality", { ...event, id_token: sessionToken(SHOP) })).status, 302);
+  assert.deepEqual(getSeasonalityCalendar(SHOP).map(e => e.name), ["Spring Sale"]);
+});
+
+test("an unverified disconnect leaves the token and insights history in place", async () => {
+  assert.equal((await post("/disconnect", { shop: SHOP })).status, 403);
+  assert.equal((await post("/disconnect", { id_token: sessionToken("other-store.myshopify.com") })).status, 403);
+
+  assert.ok(getShopToken(SHOP));
+  assert.equal(listInsightsHistory(SHOP).length, 1);
+});
+
+test("a disconnect with a session token for the shop deletes its token and history", async () => {
+  const res = await post("/disconnect", { id_token: sessionToken(SHOP) });
+
+  assert.equal(res.status, 302);
+  assert.equal(getShopToken(SHOP), null);
+  assert.deepEqual(listInsightsHistory(SHOP), []);
+});
@@ -0,0 +1,18 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.SHOPIFY_API_KEY ||= "test-key";
+process.env.SHOPIFY_API_SECRET ||= "test-secret";
+process.env.STORAGE_BACKEND = "memory";
+
+const { createBackend, registerBackend, createMemoryBackend } = require("../lib/storage");
+
+test("backends can only be registered before the first one is created", () => {
+  registerBackend("early", createMemoryBackend);
+
+  const backend = createBackend("example");
+  backend.save({ a: 1 });
+  assert.deepEqual(backend.load(), { a: 1 });
+
+  assert.throws(() => registerBackend("late", createMemoryBackend), /called after storage backends were created/);
+});
@@ -1,5 +1,11 @@
 const config = require("../lib/config");
-const { escapeHtml, formatTileHtml } = require("./helpers");
+const { PERIOD_PRESETS, formatDate, periodQuery } = require("../lib/period");
+const { computeChange, merStatus } = require("../lib/metrics");
+const { connectors, computeMer } = require("../lib/connectors");
+const { joinMarketConversion } = require("../lib/geo");
+const { buildFunnels } = require("../lib/funnel");
+const { escapeHtml, formatTileHtml, trendArrow, formatChangePct } = require("./helpers");
+const { getBusinessContext } = require("../lib/business-context");
 
 function getDashboardStyles() {
   return `
@@ -16,13 +22,16 @@ function getDashboardStyles() {
     .container { max-width: 960px; margin: 24px auto; padding: 0 24px; }
     .refresh-flash { background: #dcfce7; color: #166534; padding: 12px 20px; border-radius: 10px; font-size: 14px; font-weight: 500; margin-bottom: 12px; text-align: center; animation: fadeOut 3s ease-in-out forwards; }
     @keyframes fadeOut { 0%, 70% { opacity: 1; } 100% { opacity: 0; } }
-    .freshness-cards { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; margin-bottom: 8px; }
+    .freshness-cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 12px; margin-bottom: 8px; }
     .freshness-card { background: #fff; border-radius: 12px; padding: 16px; display: flex; gap: 12px; align-items: center; box-shadow: 0 1px 3px rgba(0,0,0,0.06); border: 1px solid #e5e7eb; }
     .freshness-card-off { opacity: 0.5; }
     .freshness-card-icon { font-size: 24px; }
     .freshness-card-body { flex: 1; }
     .freshness-card-title { font-size: 11px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.05em; color: #6b7280; margin-bottom: 2px; }
     .freshness-card-metric { font-size: 16px; font-weight: 700; color: #1a1a1a; }
+    .freshness-card-metric.status-healthy { color: #166534; }
+    .freshness-card-metric.status-warning { color: #92400e; }
+    .freshness-card-metric.status-critical { color: #991b1b; }
     .freshness-card-metric.dim { font-weight: 400; color: #9ca3af; font-size: 13px; }
     .freshness-card-sub { font-size: 12px; color: #6b7280; margin-top: 1px; }
     .freshness-footer { font-size: 12px; color: #6b7280; text-align: center; padding: 8px 0 4px; margin-bottom: 16px; }
@@ -47,6 +56,21 @@ function getDashboardStyles() {
     .tile-action .tile-label { color: #1e40af; }
     .tile-opportunity { background: linear-gradient(135deg, #fefce8 0%, #fef9c3 100%); border: 1px solid #fde68a; }
     .tile-opportunity .tile-label { color: #92400e; }
+    .data-panel { background: #fff; border-radius: 14px; padding: 20px 24px; margin-top: 16px; box-shadow: 0 1px 3px rgba(0,0,0,0.06); border: 1px solid #e5e7eb; }
+    .data-panel-title { font-size: 11px; font-weight: 700; text-transform: uppercase; letter-spacing: 0.05em; color: #6b7280; margin-bottom: 4px; }
+    .data-panel-sub { font-size: 13px; color: #6b7280; margin-bottom: 12px; }
+    .data-table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    .data-table th { text-align: left; font-size: 11px; font-weight: 600; color: #6b7280; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; }
+    .data-table td { padding: 8px; border-bottom: 1px solid #f3f4f6; color: #374151; }
+    .data-table tr:last-child td { border-bottom: none; }
+    .data-table tr.baseline td { color: #6b7280; font-style: italic; }
+    .funnel-row { display: grid; grid-template-columns: 140px 1fr 90px 110px; align-items: center; gap: 12px; padding: 6px 0; font-size: 13px; color: #374151; }
+    .funnel-bar-track { background: #f3f4f6; border-radius: 6px; height: 22px; overflow: hidden; }
+    .funnel-bar { background: #008060; height: 100%; border-radius: 6px; min-width: 2px; }
+    .funnel-bar.meta { background: #1877f2; }
+    .funnel-value { text-align: right; font-weight: 600; }
+    .funnel-rate { font-size: 12px; color: #6b7280; }
+    .funnel-subtitle { font-size: 12px; font-weight: 600; color: #6b7280; margin: 16px 0 4px; }
     .insights-error { background: #fff; border-radius: 14px; padding: 40px; text-align: center; color: #6b7280; font-size: 15px; box-shadow: 0 1px 3px rgba(0,0,0,0.06); }
     .insights-error a { color: #008060; text-decoration: none; font-weight: 500; }
     .setup-card { background: #fff; border-radius: 14px; padding: 48px; text-align: center; box-shadow: 0 1px 3px rgba(0,0,0,0.06); }
@@ -64,10 +88,22 @@ function getDashboardStyles() {
     .arb-loading { background: #dbeafe; color: #1e40af; }
     .arb-success { background: #dcfce7; color: #166534; }
     .arb-error { background: #fef3c7; color: #92400e; }
+    .period-picker { max-width: 960px; margin: 16px auto 0; padding: 0 24px; display: flex; flex-wrap: wrap; align-items: center; gap: 8px; font-size: 13px; }
+    .period-picker a { color: #374151; text-decoration: none; padding: 6px 12px; border-radius: 8px; background: #fff; border: 1px solid #e5e7eb; font-weight: 500; }
+    .period-picker a:hover { border-color: #008060; }
+    .period-picker a.active { background: #008060; border-color: #008060; color: #fff; }
+    .period-picker form { display: flex; align-items: center; gap: 6px; margin-left: auto; }
+    .period-picker input { padding: 5px 8px; border: 1px solid #c9cccf; border-radius: 8px; font-size: 13px; font-family: inherit; }
+    .period-picker button { padding: 6px 12px; background: #fff; color: #374151; border: 1px solid #e5e7eb; border-radius: 8px; font-size: 13px; font-weight: 500; cursor: pointer; }
+    .period-picker button:hover { border-color: #008060; }
+    .period-picker .period-custom-active input { border-color: #008060; }
     @media (max-width: 640px) {
       .tile-grid { grid-template-columns: 1fr; }
       .tile.full { grid-column: 1; }
       .freshness-cards { grid-template-columns: 1fr; }
+      .data-panel { overflow-x: auto; }
+      .funnel-row { grid-template-columns: 100px 1fr 70px 80px; gap: 8px; }
+      .period-picker form { margin-left: 0; }
     }
   `;
 }
@@ -83,19 +119,20 @@ function getSkeletonContentHtml(loadingMessage) {
         </div>
       </div>
       <div class="freshness-card">
-        <div class="freshness-card-icon" style="opacity:0.3">\ud83d\udcca</div>
+        <div class="freshness-card-icon" style="opacity:0.3">\ud83d\udc65</div>
         <div class="freshness-card-body">
-          <div class="skeleton-line" style="width:70px"></div>
-          <div class="skeleton-line" style="width:110px;margin:0"></div>
+          <div class="skeleton-line" style="width:75px"></div>
+          <div class="skeleton-line" style="width:120px;margin:0"></div>
         </div>
       </div>
+      ${connectors.map(c => `
       <div class="freshness-card">
-        <div class="freshness-card-icon" style="opacity:0.3">\ud83d\udcf1</div>
+        <div class="freshness-card-icon" style="opacity:0.3">${c.icon}</div>
         <div class="freshness-card-body">
-          <div class="skeleton-line" style="width:65px"></div>
-          <div class="skeleton-line" style="width:95px;margin:0"></div>
+          <div class="skeleton-line" style="width:70px"></div>
+          <div class="skeleton-line" style="width:105px;margin:0"></div>
         </div>
-      </div>
+      </div>`).join("")}
     </div>
     <div class="loading-status" id="loading-status">
       <span class="loading-dot"></span> ${loadingMessage}
@@ -133,10 +170,32 @@ function getSkeletonContentHtml(loadingMessage) {
     </div>`;
 }
 
-function getRefreshScript(shopParam) {
+function getPeriodPickerHtml(shop, period, basePath = "/dashboard") {
+  const shopParam = encodeURIComponent(shop);
+  const presetLinks = Object.keys(PERIOD_PRESETS).map(key =>
+    `<a href="${basePath}?shop=${shopParam}&period=${key}"${period.key === key ? ' class="active"' : ""}>${PERIOD_PRESETS[key]} days</a>`
+  ).join("");
+  const isCustom = period.type === "custom";
+
+  return `
+    <div class="period-picker">
+      ${presetLinks}
+      <form action="${basePath}" method="GET"${isCustom ? ' class="period-custom-active"' : ""}>
+        <input type="hidden" name="shop" value="${escapeHtml(shop)}">
+        <input type="hidden" name="period" value="custom">
+        <input type="date" name="from" value="${isCustom ? formatDate(period.since) : ""}" required>
+        <span>to</span>
+        <input type="date" name="to" value="${isCustom ? formatDate(period.until) : ""}" required>
+        <button type="submit">Apply</button>
+      </form>
+    </div>`;
+}
+
+function getRefreshScript(shopParam, period) {
   const skeletonHtml = getSkeletonContentHtml("Refreshing insights\u2026");
   return `
     <script>
+    var PERIOD_QUERY = ${JSON.stringify("&" + periodQuery(period))};
     function doRefresh(sp) {
       var c = document.getElementById('dashboard-content');
       if (!c) return;
@@ -148,7 +207,7 @@ function getRefreshScript(shopParam) {
         var el = document.getElementById('loading-status');
         if (el) el.innerHTML = '<span class="loading-dot"></span> ' + msgs[mi];
       }, 3000);
-      fetch('/dashboard/refresh?shop=' + sp)
+      fetch('/dashboard/refresh?shop=' + sp + PERIOD_QUERY)
         .then(function(r) {
           clearInterval(li);
           if (r.status === 401) { window.location.replace('/install?shop=' + sp + '&error=token_expired'); throw new Error('auth'); }
@@ -173,35 +232,49 @@ function getRefreshScript(shopParam) {
     </script>`;
 }
 
-function buildContentHtml(insightsData, shop) {
+// readOnly renders an archived run: no refresh controls
+function buildContentHtml(insightsData, shop, { readOnly = false } = {}) {
   const shopParam = encodeURIComponent(shop);
   const now = new Date();
-  const thirtyDaysAgo = new Date(now);
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-  const dateFrom = thirtyDaysAgo.toLocaleDateString("en-GB", { month: "short", day: "numeric" });
-  const dateTo = now.toLocaleDateString("en-GB", { month: "short", day: "numeric", year: "numeric" });
+
+  // Runs archived before periods existed covered the 30 days up to generation
+  const periodDays = insightsData.period ? insightsData.period.days : 30;
+  const periodEnd = insightsData.period ? new Date(insightsData.period.until) : new Date(insightsData.generatedAt || now);
+  const periodStart = insightsData.period ? new Date(insightsData.period.since) : new Date(periodEnd.getTime() - periodDays * 24 * 60 * 60 * 1000);
+  const periodParam = insightsData.period ? "&" + periodQuery(insightsData.period) : "";
+  const dateFrom = periodStart.toLocaleDateString("en-GB", { month: "short", day: "numeric" });
+  const dateTo = periodEnd.toLocaleDateString("en-GB", { month: "short", day: "numeric", year: "numeric" });
   const dateRange = `${dateFrom} - ${dateTo}`;
 
-  const justRefreshed = insightsData.generatedAt && (Date.now() - insightsData.generatedAt < 5000);
+  const justRefreshed = !readOnly && insightsData.generatedAt && (Date.now() - insightsData.generatedAt < 5000);
   const stats = insightsData.shopifyStats;
-  const ga = insightsData.gaData;
-  const meta = insightsData.metaAdsData;
   const updatedAt = new Date(insightsData.generatedAt);
   const timeStr = updatedAt.toLocaleTimeString("en-GB", { hour: "2-digit", minute: "2-digit" });
   const isToday = updatedAt.toDateString() === now.toDateString();
   const updatedLabel = isToday ? `Today at ${timeStr}` : updatedAt.toLocaleDateString("en-GB", { month: "short", day: "numeric" }) + ` at ${timeStr}`;
 
-  const metaRoas = meta && meta.spend > 0 ? (meta.revenue / meta.spend).toFixed(2) : null;
-  const ordersPerDay = Math.round(stats.orderCount / 30);
-  const orderTrend = ordersPerDay > 100 ? "\ud83d\udcc8" : ordersPerDay < 50 ? "\ud83d\udcc9" : "\u27a1\ufe0f";
+  const ordersPerDay = Math.round(stats.orderCount / periodDays);
 
-  let bounceInsight = "";
-  if (ga) {
-    const br = ga.bounceRate * 100;
-    if (br < 40) bounceInsight = "Great engagement \u2705";
-    else if (br <= 65) bounceInsight = "Bounce OK \u27a1\ufe0f";
-    else bounceInsight = "High bounce \u26a0\ufe0f";
-  }
+  // Trend arrows compare against the previous equal-length period (absent on older cached/archived runs)
+  const orderChange = stats.previous ? computeChange(stats.orderCount, stats.previous.orderCount) : null;
+  const customers = stats.customers || null;
+  const returningChange = customers && stats.previous ? computeChange(customers.returningOrderShare, stats.previous.returningOrderShare) : null;
+  const orderChangeLabel = formatChangePct(orderChange);
+
+  // MER across every ad platform in the run, coloured against mer_goal
+  const mer = computeMer(stats, insightsData);
+  const businessContext = getBusinessContext(shop);
+  const merGoal = businessContext.targets_and_constraints.mer_goal;
+  const currencySymbol = businessContext.business_profile.currency_symbol;
+  const merChange = mer && mer.previous ? computeChange(mer.mer, mer.previous.mer) : null;
+  const merState = mer ? merStatus(mer.mer, merGoal) : null;
+  const merIcon = { healthy: "\ud83d\udfe2", warning: "\ud83d\udfe1", critical: "\ud83d\udd34" }[merState] || "\u2696\ufe0f";
+
+  // Runs from before connector statuses were recorded just show "Not connected" for missing data
+  const sources = insightsData.sources || {};
+  const connectorCardsHtml = connectors
+    .map(c => c.freshnessCard(insightsData[c.dataKey] || null, { source: sources[c.id], readOnly, shopParam, periodParam, currencySymbol }))
+    .join("");
 
   let html = justRefreshed ? '<div class="refresh-flash">\u2705 Insights refreshed</div>' : "";
   html += `
@@ -210,43 +283,43 @@ function buildContentHtml(insightsData, shop) {
         <div class="freshness-card-icon">\ud83d\uded2</div>
         <div class="freshness-card-body">
           <div class="freshness-card-title">Shopify</div>
-          <div class="freshness-card-metric">${stats.orderCount.toLocaleString()} orders &middot; ${ordersPerDay}/day ${orderTrend}</div>
-          <div class="freshness-card-sub">${dateRange}</div>
+          <div class="freshness-card-metric">${stats.orderCount.toLocaleString()} orders &middot; ${ordersPerDay}/day ${trendArrow(orderChange)}</div>
+          <div class="freshness-card-sub">${dateRange}${orderChangeLabel ? ` &middot; ${orderChangeLabel}` : ""}</div>
         </div>
       </div>
-      <div class="freshness-card${ga ? "" : " freshness-card-off"}">
-        <div class="freshness-card-icon">\ud83d\udcca</div>
+      ${customers ? `<div class="freshness-card">
+        <div class="freshness-card-icon">\ud83d\udc65</div>
         <div class="freshness-card-body">
-          <div class="freshness-card-title">Analytics</div>
-          ${ga
-            ? `<div class="freshness-card-metric">${ga.sessions.toLocaleString()} sessions</div>
-               <div class="freshness-card-sub">${bounceInsight}</div>`
-            : `<div class="freshness-card-metric dim">Not connected</div>`
-          }
+          <div class="freshness-card-title">Customers</div>
+          <div class="freshness-card-metric">${customers.returningOrderShare !== null ? `${customers.returningOrderShare.toFixed(0)}% returning ${trendArrow(returningChange)}` : "No customer data"}</div>
+          <div class="freshness-card-sub">${customers.repeatPurchaseRate !== null ? `Repeat rate ${customers.repeatPurchaseRate.toFixed(0)}%` : ""}${customers.ltv90 !== null ? ` &middot; 90d LTV ${currencySymbol}${customers.ltv90.toFixed(0)}` : ""}</div>
         </div>
-      </div>
-      <div class="freshness-card${meta ? "" : " freshness-card-off"}">
-        <div class="freshness-card-icon">\ud83d\udcf1</div>
+      </div>` : ""}
+      ${mer ? `<div class="freshness-card">
+        <div class="freshness-card-icon">${merIcon}</div>
         <div class="freshness-card-body">
-          <div class="freshness-card-title">Meta Ads</div>
-          ${meta
-            ? `<div class="freshness-card-metric">\u00a3${meta.spend.toFixed(0)} spend</div>
-               <div class="freshness-card-sub">${metaRoas !== null ? metaRoas + "x ROAS" : "No spend this period"}</div>`
-            : `<div class="freshness-card-metric dim">Not connected</div>`
-          }
+          <div class="freshness-card-title">MER</div>
+          <div class="freshness-card-metric${merState ? ` status-${merState}` : ""}">${mer.mer.toFixed(2)}x ${trendArrow(merChange)}</div>
+          <div class="freshness-card-sub">${merGoal ? `Goal ${merGoal}x &middot; ` : ""}${currencySymbol}${mer.spend.toFixed(0)} ad spend</div>
         </div>
-      </div>
+      </div>` : ""}
+      ${connectorCardsHtml}
     </div>
     <div class="freshness-footer">
-      Last updated: ${escapeHtml(updatedLabel)} &middot; <a href="/dashboard?shop=${shopParam}&refresh=1" class="refresh-link" id="refresh-btn" onclick="event.preventDefault();doRefresh('${shopParam}');">\u2728 Refresh</a>
+      ${readOnly
+        ? `Generated: ${escapeHtml(updatedLabel)}`
+        : `Last updated: ${escapeHtml(updatedLabel)} &middot; <a href="/dashboard?shop=${shopParam}${periodParam}&refresh=1" class="refresh-link" id="refresh-btn" onclick="event.preventDefault();doRefresh('${shopParam}');">\u2728 Refresh</a>`
+      }
     </div>`;
 
   const tiles = insightsData.tiles;
   const hasTiles = tiles && (tiles.healthCheck || tiles.biggestIssue || tiles.quickWin || tiles.opportunity || tiles.adPerformance);
 
   if (!hasTiles) {
-    html += `<div class="insights-error">Unable to generate insights. <a href="/dashboard?shop=${shopParam}&refresh=1">Try again</a></div>`;
-    return html;
+    html += readOnly
+      ? `<div class="insights-error">No insights were generated for this run.</div>`
+      : `<div class="insights-error">Unable to generate insights. <a href="/dashboard?shop=${shopParam}${periodParam}&refresh=1">Try again</a></div>`;
+    return html + buildDataPanelsHtml(insightsData, businessContext);
   }
 
   const healthClass = ({ healthy: "tile-healthy", warning: "tile-warning", critical: "tile-critical" }[tiles.healthSeverity] || "tile-healthy");
@@ -291,11 +364,108 @@ function buildContentHtml(insightsData, shop) {
       ` : ""}
     </div>`;
 
+  return html + buildDataPanelsHtml(insightsData, businessContext);
+}
+
+// Supporting data below the tiles (absent on runs archived before each panel existed)
+function buildDataPanelsHtml(insightsData, businessContext) {
+  const stats = insightsData.shopifyStats;
+  const currencySymbol = businessContext.business_profile.currency_symbol;
+  let html = buildFunnelPanelHtml(buildFunnels(stats, insightsData.gaData, insightsData.metaAdsData, businessContext.funnel_definition));
+  if (stats.geography) html += buildMarketsPanelHtml(stats.geography, insightsData.gaData, currencySymbol);
+  if (stats.discounts) html += buildDiscountPanelHtml(stats.discounts, currencySymbol);
   return html;
 }
 
-function buildSkeletonHtml(storeName, shop) {
+function buildFunnelStagesHtml(stages, barClass) {
+  const top = Math.max(...stages.map(st => st.value || 0));
+  return stages.map(st => {
+    const width = st.value !== null && top > 0 ? (st.value / top) * 100 : 0;
+    let rate = "";
+    if (st.conversionRate !== null) {
+      rate = `${st.crossSource ? "~" : ""}${st.conversionRate.toFixed(1)}%`;
+      if (st.previousConversionRate !== null && st.previousConversionRate !== undefined) {
+        rate += ` ${trendArrow(computeChange(st.conversionRate, st.previousConversionRate))}`;
+      }
+    }
+    return `
+      <div class="funnel-row"${st.note ? ` title="${escapeHtml(st.note)}"` : ""}>
+        <div>${escapeHtml(st.name)}</div>
+        <div class="funnel-bar-track"><div class="funnel-bar${barClass ? " " + barClass : ""}" style="width:${width.toFixed(1)}%"></div></div>
+        <div class="funnel-value">${st.value !== null ? st.value.toLocaleString() : "\u2014"}</div>
+        <div class="funnel-rate">${rate}</div>
+      </div>`;
+  }).join("");
+}
+
+// Store funnel, with Meta's pixel funnel underneath when there was ad spend. "~" marks cross-source rates.
+function buildFunnelPanelHtml(funnels) {
+  const stages = funnels.store.stages;
+  if (stages.filter(st => st.value !== null).length < 2) return "";
+
+  return `
+    <div class="data-panel">
+      <div class="data-panel-title">\ud83d\udd3b Funnel</div>
+      <div class="data-panel-sub">${funnels.store.overallRate !== null ? `${funnels.store.overallRate.toFixed(2)}% end to end &middot; ` : ""}% is conversion from the previous stage; ~ marks rates across two data sources</div>
+      ${buildFunnelStagesHtml(stages, "")}
+      ${funnels.meta ? `<div class="funnel-subtitle">Meta-attributed (pixel events)</div>${buildFunnelStagesHtml(funnels.meta.stages, "meta")}` : ""}
+    </div>`;
+}
+
+function buildMarketsPanelHtml(geography, ga, currencySymbol) {
+  if (geography.countries.length === 0) return "";
+  const countries = joinMarketConversion(geography.countries, ga ? ga.countries : null);
+  const hasSessions = countries.some(c => c.sessions !== null);
+
+  return `
+    <div class="data-panel">
+      <div class="data-panel-title">\ud83c\udf0d Markets</div>
+      <div class="data-panel-sub">${geography.primaryRevenueShare !== null ? `${geography.primaryRevenueShare.toFixed(0)}% of revenue from your primary market` : ""} &middot; ${geography.countryCount} countr${geography.countryCount === 1 ? "y" : "ies"}${geography.unknownOrders > 0 ? ` &middot; ${geography.unknownOrders} orders without a shipping address` : ""}</div>
+      <table class="data-table">
+        <tr><th>Country</th><th>Orders</th><th>Revenue</th><th>Share</th><th>AOV</th>${hasSessions ? "<th>Sessions</th><th>CVR</th>" : ""}</tr>
+        ${countries.map(c => `
+        <tr>
+          <td>${escapeHtml(c.country)}</td>
+          <td>${c.orders.toLocaleString()}</td>
+          <td>${currencySymbol}${c.revenue.toFixed(2)}</td>
+          <td>${c.revenueShare.toFixed(0)}%</td>
+          <td>${currencySymbol}${c.aov.toFixed(2)}</td>
+          ${hasSessions ? `<td>${c.sessions !== null ? c.sessions.toLocaleString() : "\u2014"}</td><td>${c.conversionRate !== null ? c.conversionRate.toFixed(1) + "%" : "\u2014"}</td>` : ""}
+        </tr>`).join("")}
+      </table>
+      ${geography.regions.length > 0 ? `<div class="data-panel-sub" style="margin:12px 0 0">Top regions: ${geography.regions.slice(0, 5).map(r => `${escapeHtml(r.region)} (${escapeHtml(r.countryCode)}) ${currencySymbol}${r.revenue.toFixed(0)}`).join(" &middot; ")}</div>` : ""}
+    </div>`;
+}
+
+function buildDiscountPanelHtml(discounts, currencySymbol) {
+  if (discounts.codes.length === 0) return "";
+  const newShare = (v) => (v !== null ? `${v.toFixed(0)}%` : "\u2014");
+  const row = (label, b, className = "") => `
+        <tr${className ? ` class="${className}"` : ""}>
+          <td>${escapeHtml(label)}</td>
+          <td>${b.orders.toLocaleString()}</td>
+          <td>${currencySymbol}${b.revenue.toFixed(2)}</td>
+          <td>${currencySymbol}${b.avgDiscount.toFixed(2)}</td>
+          <td>${currencySymbol}${b.aov.toFixed(2)}</td>
+          <td>${newShare(b.newCustomerShare)}</td>
+        </tr>`;
+
+  return `
+    <div class="data-panel">
+      <div class="data-panel-title">\ud83c\udff7\ufe0f Discount Codes</div>
+      <div class="data-panel-sub">${discounts.codeOrderShare.toFixed(0)}% of paid orders used a code &middot; ${discounts.codeCount} code${discounts.codeCount === 1 ? "" : "s"} used</div>
+      <table class="data-table">
+        <tr><th>Code</th><th>Orders</th><th>Revenue</th><th>Avg discount</th><th>AOV</th><th>New customers</th></tr>
+        ${discounts.codes.map(c => row(c.code, c)).join("")}
+        ${discounts.automatic.orders > 0 ? row("Automatic / manual", discounts.automatic, "baseline") : ""}
+        ${row("No discount", discounts.undiscounted, "baseline")}
+      </table>
+    </div>`;
+}
+
+function buildSkeletonHtml(storeName, shop, period) {
   const shopParam = encodeURIComponent(shop);
+  const periodParam = "&" + periodQuery(period);
   return `
     <!DOCTYPE html>
     <html lang="en">
@@ -318,14 +488,16 @@ function buildSkeletonHtml(storeName, shop) {
         <h1>Shopify Dashboard</h1>
         <nav>
           <a href="/dashboard?shop=${shopParam}" class="active">Dashboard</a>
+          <a href="/dashboard/history?shop=${shopParam}">History</a>
           <a href="/settings?shop=${shopParam}">Settings</a>
         </nav>
       </div>
       <div class="connected-bar">Connected to: <strong>${escapeHtml(storeName)}</strong> (${escapeHtml(shop)})</div>
+      ${getPeriodPickerHtml(shop, period)}
       <div class="container" id="dashboard-content">
         ${getSkeletonContentHtml("Connecting to your store\u2026")}
       </div>
-      ${getRefreshScript(shopParam)}
+      ${getRefreshScript(shopParam, period)}
       <script>
         window.__li = setInterval(function() {
           var el = document.getElementById("loading-status");
@@ -337,14 +509,15 @@ function buildSkeletonHtml(storeName, shop) {
         window.__lt = setTimeout(function() {
           if (window.__li) clearInterval(window.__li);
           var el = document.getElementById("loading-status");
-          if (el) el.innerHTML = '\\u26a0\\ufe0f Loading is taking too long. <a href="/dashboard?shop=${shopParam}&refresh=1">Try again</a>';
+          if (el) el.innerHTML = '\\u26a0\\ufe0f Loading is taking too long. <a href="/dashboard?shop=${shopParam}${periodParam}&refresh=1">Try again</a>';
         }, 60000);
       </script>
   `;
 }
 
-function buildDashboardHtml(storeName, shop, insightsData) {
+function buildDashboardHtml(storeName, shop, insightsData, period) {
   const shopParam = encodeURIComponent(shop);
+  const periodParam = "&" + periodQuery(period);
 
   // Auto-refresh: if cached data is from before today, refresh in background
   let autoRefreshScript = "";
@@ -359,7 +532,7 @@ function buildDashboardHtml(storeName, shop, insightsData) {
         b.className = 'auto-refresh-banner arb-loading';
         b.innerHTML = '<span class="loading-dot"></span> \ud83d\udcca Updating to today\u2019s data\u2026';
         b.style.display = '';
-        fetch('/dashboard/refresh?shop=${shopParam}')
+        fetch('/dashboard/refresh?shop=${shopParam}${periodParam}')
           .then(function(r) {
             if (r.status === 401) { window.location.replace('/install?shop=${shopParam}&error=token_expired'); throw new Error('auth'); }
             if (!r.ok) throw new Error(r.status);
@@ -379,7 +552,7 @@ function buildDashboardHtml(storeName, shop, insightsData) {
             b.textContent = '';
             b.appendChild(document.createTextNode('\u26a0\ufe0f Couldn\u2019t refresh automatically. '));
             var a = document.createElement('a');
-            a.href = '/dashboard?shop=${shopParam}&refresh=1';
+            a.href = '/dashboard?shop=${shopParam}${periodParam}&refresh=1';
             a.className = 'refresh-link';
             a.textContent = 'Tap Refresh to retry.';
             b.appendChild(a);
@@ -400,7 +573,7 @@ function buildDashboardHtml(storeName, shop, insightsData) {
   } else {
     contentHtml = `
       <div class="insights-error">
-        Unable to generate insights. <a href="/dashboard?shop=${shopParam}&refresh=1">Try again</a>
+        Unable to generate insights. <a href="/dashboard?shop=${shopParam}${periodParam}&refresh=1">Try again</a>
       </div>`;
   }
 
@@ -426,19 +599,21 @@ function buildDashboardHtml(storeName, shop, insightsData) {
         <h1>Shopify Dashboard</h1>
         <nav>
           <a href="/dashboard?shop=${shopParam}" class="active">Dashboard</a>
+          <a href="/dashboard/history?shop=${shopParam}">History</a>
           <a href="/settings?shop=${shopParam}">Settings</a>
         </nav>
       </div>
       <div class="connected-bar">Connected to: <strong>${escapeHtml(storeName)}</strong> (${escapeHtml(shop)})</div>
       <div id="auto-refresh-banner" style="display:none"></div>
+      ${getPeriodPickerHtml(shop, period)}
       <div class="container" id="dashboard-content">
         ${contentHtml}
       </div>
-      ${getRefreshScript(shopParam)}
+      ${getRefreshScript(shopParam, period)}
       ${autoRefreshScript}
     </body>
     </html>
   `;
 }
 
-module.exports = { getDashboardStyles, buildContentHtml, buildSkeletonHtml, buildDashboardHtml };
+module.exports = { getDashboardStyles, getPeriodPickerHtml, buildContentHtml, buildSkeletonHtml, buildDashboardHtml };
@@ -14,4 +14,49 @@ function formatTileHtml(text) {
     .replace(/\n/g, "<br>");
 }
 
-module.exports = { escapeHtml, formatTileHtml };
+// Up/down/flat arrow for a computeChange() result; changes under 2% count as flat
+function trendArrow(change) {
+  if (!change) return "";
+  const pct = change.pct !== null ? change.pct : (change.abs > 0 ? 100 : change.abs < 0 ? -100 : 0);
+  if (pct >= 2) return "\ud83d\udcc8";
+  if (pct <= -2) return "\ud83d\udcc9";
+  return "\u27a1\ufe0f";
+}
+
+function formatChangePct(change) {
+  if (!change || change.pct === null) return "";
+  return `${change.pct >= 0 ? "+" : ""}${change.pct.toFixed(0)}% vs prev`;
+}
+
+// Dashboard freshness card. With no body the card is dimmed and says why: never configured, or the fetch failed.
+function freshnessCardHtml({ icon, title, body, source }) {
+  const reason = source && source.status === "error" ? "Failed to load" : "Not connected";
+  return `
+      <div class="freshness-card${body ? "" : " freshness-card-off"}">
+        <div class="freshness-card-icon">${icon}</div>
+        <div class="freshness-card-body">
+          <div class="freshness-card-title">${title}</div>
+          ${body || `<div class="freshness-card-metric dim">${reason}</div>`}
+        </div>
+      </div>`;
+}
+
+// Settings page card for a data source: detail when configured, otherwise the env vars to set
+function sourceCardHtml({ iconClass, iconText, name, configured, detail, hint }) {
+  return `
+        <div class="source-card ${configured ? "connected" : "disconnected"}">
+          <div class="source-card-icon ${iconClass}">${iconText}</div>
+          <div class="source-card-body">
+            <div class="source-card-header">
+              <span class="source-card-name">${name}</span>
+              ${configured
+                ? '<span class="source-card-badge badge-connected">\u2705 Connected</span>'
+                : '<span class="source-card-badge badge-off">Not configured</span>'
+              }
+            </div>
+            <div class="source-card-detail">${configured ? detail : hint}</div>
+          </div>
+        </div>`;
+}
+
+module.exports = { escapeHtml, formatTileHtml, trendArrow, formatChangePct, freshnessCardHtml, sourceCardHtml };
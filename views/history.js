@@ -0,0 +1,111 @@
+const config = require("../lib/config");
+const { escapeHtml } = require("./helpers");
+const { getDashboardStyles, buildContentHtml } = require("./dashboard");
+const { getBusinessContext } = require("../lib/business-context");
+
+function getHistoryStyles() {
+  return `
+    .history-title { font-size: 20px; font-weight: 600; margin-bottom: 16px; color: #1a1a1a; }
+    .history-empty { background: #fff; border-radius: 14px; padding: 40px; text-align: center; color: #6b7280; font-size: 15px; box-shadow: 0 1px 3px rgba(0,0,0,0.06); }
+    .history-table { width: 100%; border-collapse: collapse; background: #fff; border-radius: 14px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.06); border: 1px solid #e5e7eb; font-size: 14px; }
+    .history-table th { text-align: left; font-size: 11px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.05em; color: #6b7280; padding: 12px 16px; border-bottom: 1px solid #e5e7eb; }
+    .history-table td { padding: 12px 16px; border-bottom: 1px solid #f3f4f6; }
+    .history-table tr:last-child td { border-bottom: none; }
+    .history-table tr.selected td { background: #f0fdf4; }
+    .history-table a { color: #008060; text-decoration: none; font-weight: 500; }
+    .history-table a:hover { text-decoration: underline; }
+    .history-run-header { display: flex; justify-content: space-between; align-items: center; margin: 28px 0 12px; }
+    .history-run-header h2 { font-size: 17px; font-weight: 600; }
+    .history-run-header a { color: #008060; text-decoration: none; font-size: 14px; font-weight: 500; }
+  `;
+}
+
+function formatRunDate(timestamp) {
+  const d = new Date(timestamp);
+  return d.toLocaleDateString("en-GB", { weekday: "short", month: "short", day: "numeric", year: "numeric" }) +
+    " " + d.toLocaleTimeString("en-GB", { hour: "2-digit", minute: "2-digit" });
+}
+
+function buildHistoryRowHtml(run, shopParam, isSelected, currencySymbol) {
+  const severityEmoji = { healthy: "\ud83d\udfe2", warning: "\ud83d\udfe1", critical: "\ud83d\udd34" }[run.tiles?.healthSeverity] || "\u2014";
+  const stats = run.shopifyStats;
+  const meta = run.metaAdsData;
+  const roas = meta && meta.spend > 0 ? (meta.revenue / meta.spend).toFixed(2) + "x" : "\u2014";
+
+  return `
+    <tr${isSelected ? ' class="selected"' : ""}>
+      <td>${escapeHtml(formatRunDate(run.generatedAt))}</td>
+      <td>${escapeHtml(run.period ? run.period.label : "Last 30 days")}</td>
+      <td>${severityEmoji}</td>
+      <td>${currencySymbol}${stats.revenue.toFixed(2)}</td>
+      <td>${stats.orderCount.toLocaleString()}</td>
+      <td>${run.gaData ? run.gaData.sessions.toLocaleString() : "\u2014"}</td>
+      <td>${roas}</td>
+      <td><a href="/dashboard/history?shop=${shopParam}&run=${encodeURIComponent(run.id)}">View</a></td>
+    </tr>`;
+}
+
+function buildHistoryHtml(shop, runs, selectedRun) {
+  const shopParam = encodeURIComponent(shop);
+  const currencySymbol = getBusinessContext(shop).business_profile.currency_symbol;
+
+  let bodyHtml;
+  if (runs.length === 0) {
+    bodyHtml = `<div class="history-empty">No insights have been generated yet. They'll appear here after your first dashboard load.</div>`;
+  } else {
+    bodyHtml = `
+      <table class="history-table">
+        <thead>
+          <tr><th>Generated</th><th>Period</th><th>Health</th><th>Revenue</th><th>Orders</th><th>Sessions</th><th>ROAS</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${runs.map(run => buildHistoryRowHtml(run, shopParam, selectedRun && run.id === selectedRun.id, currencySymbol)).join("")}
+        </tbody>
+      </table>`;
+  }
+
+  if (selectedRun) {
+    bodyHtml += `
+      <div class="history-run-header">
+        <h2>Insights from ${escapeHtml(formatRunDate(selectedRun.generatedAt))}</h2>
+        <a href="/dashboard/history?shop=${shopParam}">Close</a>
+      </div>
+      ${buildContentHtml(selectedRun, shop, { readOnly: true })}`;
+  }
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>History \u2014 Insights Archive</title>
+      <script src="https://cdn.shopify.com/shopifycloud/app-bridge.js"></script>
+      <script>
+        shopify.config = {
+          apiKey: ${JSON.stringify(config.SHOPIFY_API_KEY)},
+          host: new URLSearchParams(window.location.search).get("host")
+            || btoa(${JSON.stringify(shop + "/admin")}),
+        };
+      </script>
+      <style>${getDashboardStyles()}${getHistoryStyles()}</style>
+    </head>
+    <body>
+      <div class="topbar">
+        <h1>Shopify Dashboard</h1>
+        <nav>
+          <a href="/dashboard?shop=${shopParam}">Dashboard</a>
+          <a href="/dashboard/history?shop=${shopParam}" class="active">History</a>
+          <a href="/settings?shop=${shopParam}">Settings</a>
+        </nav>
+      </div>
+      <div class="container">
+        <div class="history-title">Insights History</div>
+        ${bodyHtml}
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+module.exports = { buildHistoryHtml };
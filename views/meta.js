@@ -0,0 +1,130 @@
+const config = require("../lib/config");
+const { periodQuery } = require("../lib/period");
+const { rankPerformers } = require("../lib/metrics");
+const { escapeHtml } = require("./helpers");
+const { getDashboardStyles, getPeriodPickerHtml } = require("./dashboard");
+const { getBusinessContext } = require("../lib/business-context");
+
+const LEVEL_TITLES = { campaigns: "Campaigns", adsets: "Ad Sets", ads: "Ads" };
+
+function getMetaStyles() {
+  return `
+    .meta-title { font-size: 20px; font-weight: 600; margin-bottom: 4px; color: #1a1a1a; }
+    .meta-sub { font-size: 14px; color: #6b7280; margin-bottom: 16px; }
+    .meta-empty { background: #fff; border-radius: 14px; padding: 40px; text-align: center; color: #6b7280; font-size: 15px; box-shadow: 0 1px 3px rgba(0,0,0,0.06); }
+    .data-table tr.best td:first-child { border-left: 3px solid #22c55e; }
+    .data-table tr.worst td:first-child { border-left: 3px solid #ef4444; }
+    .meta-parent { display: block; font-size: 11px; color: #9ca3af; }
+    .meta-legend { font-size: 12px; color: #6b7280; margin-top: 12px; }
+  `;
+}
+
+function buildLevelTableHtml(key, rows, currencySymbol) {
+  if (!rows || rows.length === 0) return "";
+  const money = (v) => (v !== null ? `${currencySymbol}${v.toFixed(2)}` : "\u2014");
+  const { top, bottom } = rankPerformers(rows);
+  const best = new Set(top.map(r => r.id));
+  const worst = new Set(bottom.map(r => r.id));
+  const totalSpend = rows.reduce((sum, r) => sum + r.spend, 0);
+
+  return `
+    <div class="data-panel">
+      <div class="data-panel-title">${LEVEL_TITLES[key]}</div>
+      <div class="data-panel-sub">${rows.length} with delivery &middot; ${currencySymbol}${totalSpend.toFixed(2)} spend</div>
+      <table class="data-table">
+        <tr><th>Name</th><th>Spend</th><th>CTR</th><th>CPC</th><th>Purchases</th><th>Purchase value</th><th>ROAS</th><th>Frequency</th></tr>
+        ${rows.map(r => {
+          const parent = [r.campaignName, r.adsetName].filter(Boolean).join(" \u203a ");
+          const className = best.has(r.id) ? "best" : worst.has(r.id) ? "worst" : "";
+          return `
+        <tr${className ? ` class="${className}"` : ""}>
+          <td>${escapeHtml(r.name)}${parent ? `<span class="meta-parent">${escapeHtml(parent)}</span>` : ""}</td>
+          <td>${currencySymbol}${r.spend.toFixed(2)}</td>
+          <td>${r.ctr !== null ? r.ctr.toFixed(2) + "%" : "\u2014"}</td>
+          <td>${money(r.cpc)}</td>
+          <td>${r.purchases.toLocaleString()}</td>
+          <td>${currencySymbol}${r.revenue.toFixed(2)}</td>
+          <td>${r.roas !== null ? r.roas.toFixed(2) + "x" : "\u2014"}</td>
+          <td>${r.frequency.toFixed(2)}</td>
+        </tr>`;
+        }).join("")}
+      </table>
+    </div>`;
+}
+
+// Purchases under each reporting window, so view-through credit is visible next to click-through
+function buildAttributionPanelHtml(metaAdsData, currencySymbol) {
+  if (!metaAdsData.byWindow) return "";
+  const label = (w) => w.replace("_", " ");
+  return `
+    <div class="data-panel">
+      <div class="data-panel-title">Attribution Windows</div>
+      <div class="data-panel-sub">Headline purchases and ROAS use ${(metaAdsData.attributionWindows || []).map(label).join(" + ")}</div>
+      <table class="data-table">
+        <tr><th>Window</th><th>Purchases</th><th>Purchase value</th><th>ROAS</th></tr>
+        ${Object.entries(metaAdsData.byWindow).map(([w, v]) => `
+        <tr>
+          <td>${escapeHtml(label(w))}</td>
+          <td>${v.purchases.toLocaleString()}</td>
+          <td>${currencySymbol}${v.revenue.toFixed(2)}</td>
+          <td>${metaAdsData.spend > 0 ? (v.revenue / metaAdsData.spend).toFixed(2) + "x" : "\u2014"}</td>
+        </tr>`).join("")}
+      </table>
+    </div>`;
+}
+
+// Campaign / ad set / ad drill-down for the selected period. metaAdsData is null when Meta isn't configured.
+function buildMetaHtml(shop, period, metaAdsData) {
+  const shopParam = encodeURIComponent(shop);
+  const currencySymbol = getBusinessContext(shop).business_profile.currency_symbol;
+
+  let bodyHtml;
+  if (!metaAdsData) {
+    bodyHtml = `<div class="meta-empty">Meta Ads is not connected. Add your Meta credentials in <a href="/settings?shop=${shopParam}">Settings</a>.</div>`;
+  } else if (!metaAdsData.campaigns) {
+    bodyHtml = `<div class="meta-empty">The campaign breakdown could not be loaded from Meta. Try again shortly.</div>`;
+  } else if (metaAdsData.campaigns.length === 0) {
+    bodyHtml = `<div class="meta-empty">No campaigns delivered in this period.</div>`;
+  } else {
+    bodyHtml = buildAttributionPanelHtml(metaAdsData, currencySymbol) + Object.keys(LEVEL_TITLES).map(key => buildLevelTableHtml(key, metaAdsData[key], currencySymbol)).join("") + `
+      <div class="meta-legend">Green: best ROAS, red: worst ROAS (among rows with at least 5% of spend).</div>`;
+  }
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>Meta Ads \u2014 Campaign Breakdown</title>
+      <script src="https://cdn.shopify.com/shopifycloud/app-bridge.js"></script>
+      <script>
+        shopify.config = {
+          apiKey: ${JSON.stringify(config.SHOPIFY_API_KEY)},
+          host: new URLSearchParams(window.location.search).get("host")
+            || btoa(${JSON.stringify(shop + "/admin")}),
+        };
+      </script>
+      <style>${getDashboardStyles()}${getMetaStyles()}</style>
+    </head>
+    <body>
+      <div class="topbar">
+        <h1>Shopify Dashboard</h1>
+        <nav>
+          <a href="/dashboard?shop=${shopParam}" class="active">Dashboard</a>
+          <a href="/dashboard/history?shop=${shopParam}">History</a>
+          <a href="/settings?shop=${shopParam}">Settings</a>
+        </nav>
+      </div>
+      <div class="container">
+        <div class="meta-title">\ud83d\udcf1 Meta Ads Breakdown</div>
+        <div class="meta-sub">${escapeHtml(period.label)} &middot; <a href="/dashboard?shop=${shopParam}&${periodQuery(period)}" class="refresh-link">Back to dashboard</a></div>
+        ${getPeriodPickerHtml(shop, period, "/dashboard/meta")}
+        ${bodyHtml}
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+module.exports = { buildMetaHtml };
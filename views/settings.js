@@ -1,16 +1,101 @@
 const config = require("../lib/config");
-const { escapeHtml } = require("./helpers");
+const { connectors } = require("../lib/connectors");
+const { formatDate } = require("../lib/period");
+const { EVENT_TYPES, EXPECTED_IMPACTS } = require("../lib/seasonality");
+const { CONTEXT_SECTIONS, getPath } = require("../lib/business-context");
+const { escapeHtml, sourceCardHtml } = require("./helpers");
 
-function buildSettingsHtml(shop) {
+// One business context input. Values come from the submitted form when re-rendering after an error.
+function buildContextFieldHtml(field, businessContext, formValues) {
+  const stored = getPath(businessContext, field.path);
+  let value;
+  if (formValues && formValues[field.path] !== undefined) value = String(formValues[field.path]);
+  else if (Array.isArray(stored)) value = stored.join(field.lines ? "\n" : ", ");
+  else value = stored === null || stored === undefined ? "" : String(stored);
+
+  const attrs = `name="${escapeHtml(field.path)}"${field.required ? " required" : ""}`;
+  let input;
+  if (field.type === "textarea" || (field.type === "list" && field.lines)) {
+    input = `<textarea ${attrs} rows="${field.lines ? 3 : 2}">${escapeHtml(value)}</textarea>`;
+  } else if (field.type === "number") {
+    input = `<input type="number" step="any" min="0" ${attrs} value="${escapeHtml(value)}">`;
+  } else {
+    input = `<input type="text" ${attrs} value="${escapeHtml(value)}">`;
+  }
+  return `
+            <label class="${field.type === "textarea" ? "wide" : ""}">${escapeHtml(field.label)}${input}${field.hint ? `<span class="field-hint">${escapeHtml(field.hint)}</span>` : ""}</label>`;
+}
+
+// Business context form: profile, targets, attribution rules and safety rails, plus reset to the template
+function buildBusinessContextHtml(shopParam, businessContext, isCustomContext, formValues) {
+  return `
+        <div class="settings-title" id="business-context" style="margin-top:32px">Business Context</div>
+        <div class="settings-card">
+          <p class="settings-hint">${isCustomContext
+            ? "Customised for this store. Values you haven't changed still follow the default template. Changes apply from the next insights refresh."
+            : "Using the default template (business-context.json). Saving keeps only what you change for this store; changes apply from the next insights refresh."}</p>
+          <form method="POST" action="/settings/business-context?shop=${shopParam}">
+            ${CONTEXT_SECTIONS.map(section => `
+            <fieldset class="context-section">
+              <legend>${escapeHtml(section.title)}</legend>
+              <div class="event-form">${section.fields.map(f => buildContextFieldHtml(f, businessContext, formValues)).join("")}
+              </div>
+            </fieldset>`).join("")}
+            <button type="submit" class="primary-button">Save business context</button>
+          </form>
+          ${isCustomContext ? `
+          <form method="POST" action="/settings/business-context/reset?shop=${shopParam}" class="reset-form" onsubmit="return confirm('Reset to the default template? This also resets the seasonality calendar.');">
+            <button type="submit" class="link-button">Reset to default template</button>
+          </form>` : ""}
+        </div>`;
+}
+
+// Seasonality calendar: one row per event with a delete button, then the add-event form
+function buildSeasonalityHtml(shopParam, events) {
+  const today = formatDate(new Date());
+  const options = (map) => Object.entries(map).map(([value, label]) => `<option value="${value}">${label}</option>`).join("");
+  const rows = events.map(e => `
+            <tr${e.end < today ? ' class="past"' : ""}>
+              <td><strong>${escapeHtml(e.name)}</strong>${e.notes ? `<div class="event-notes">${escapeHtml(e.notes)}</div>` : ""}</td>
+              <td>${EVENT_TYPES[e.type] || escapeHtml(e.type)}</td>
+              <td>${e.start === e.end ? escapeHtml(e.start) : `${escapeHtml(e.start)} \u2192 ${escapeHtml(e.end)}`}</td>
+              <td>${EXPECTED_IMPACTS[e.expected_impact] || escapeHtml(e.expected_impact)}</td>
+              <td>
+                <form method="POST" action="/settings/seasonality/delete?shop=${shopParam}">
+                  <input type="hidden" name="id" value="${escapeHtml(e.id)}">
+                  <button type="submit" class="link-button">Delete</button>
+                </form>
+              </td>
+            </tr>`).join("");
+
+  return `
+        <div class="settings-title" id="seasonality" style="margin-top:32px">Seasonality Calendar</div>
+        <div class="settings-card">
+          <p class="settings-hint">Holidays, promotions and stock-outs. Events overlapping the reporting period or its comparison period, or starting in the next 30 days, are given to the insights so seasonal swings aren't blamed on ads or the site.</p>
+          ${events.length > 0 ? `
+          <table class="event-table">
+            <thead><tr><th>Event</th><th>Type</th><th>Dates</th><th>Expected impact</th><th></th></tr></thead>
+            <tbody>${rows}
+            </tbody>
+          </table>` : '<p class="settings-empty">No events yet.</p>'}
+          <form method="POST" action="/settings/seasonality?shop=${shopParam}" class="event-form">
+            <label>Name<input type="text" name="name" maxlength="100" required placeholder="Black Friday"></label>
+            <label>Type<select name="type">${options(EVENT_TYPES)}</select></label>
+            <label>Start<input type="date" name="start" required></label>
+            <label>End<input type="date" name="end"></label>
+            <label>Expected impact<select name="expected_impact">${options(EXPECTED_IMPACTS)}</select></label>
+            <label class="wide">Notes<input type="text" name="notes" maxlength="300" placeholder="e.g. 30% off sitewide, hero spray out of stock"></label>
+            <button type="submit" class="primary-button">Add event</button>
+          </form>
+        </div>`;
+}
+
+// events is the shop's seasonality calendar; flash is { type: "success" | "error", message } after a save;
+// contextForm is the submitted business context form when it failed validation
+function buildSettingsHtml(shop, { events = [], businessContext, isCustomContext = false, contextForm = null, flash = null } = {}) {
   const shopParam = encodeURIComponent(shop);
-  const metaConfigured = !!(config.META_SYSTEM_USER_TOKEN && config.META_AD_ACCOUNT_ID);
-  const gaConfigured = !!(config.GA_PROPERTY_ID && config.GA_SERVICE_ACCOUNT_JSON);
   const claudeConfigured = !!config.ANTHROPIC_API_KEY;
 
-  const accountIdDisplay = config.META_AD_ACCOUNT_ID
-    ? (config.META_AD_ACCOUNT_ID.length > 10 ? config.META_AD_ACCOUNT_ID.substring(0, 10) + "\u2026" : config.META_AD_ACCOUNT_ID)
-    : "";
-
   return `
     <!DOCTYPE html>
     <html lang="en">
@@ -44,6 +129,9 @@ function buildSettingsHtml(shop) {
         .icon-shopify { background: #96bf48; color: #fff; font-size: 20px; font-weight: 700; }
         .icon-ga { background: #e37400; color: #fff; font-size: 20px; font-weight: 700; }
         .icon-meta { background: #1877f2; color: #fff; font-size: 20px; font-weight: 700; }
+        .icon-googleads { background: #4285f4; color: #fff; font-size: 20px; font-weight: 700; }
+        .icon-tiktok { background: #000; color: #fff; font-size: 20px; font-weight: 700; }
+        .icon-klaviyo { background: #232426; color: #fff; font-size: 20px; font-weight: 700; }
         .icon-claude { background: #d97706; color: #fff; font-size: 20px; font-weight: 700; }
         .source-card-body { flex: 1; }
         .source-card-header { display: flex; align-items: center; gap: 8px; margin-bottom: 2px; }
@@ -52,6 +140,28 @@ function buildSettingsHtml(shop) {
         .badge-connected { background: #dcfce7; color: #166534; }
         .badge-off { background: #f3f4f6; color: #6b7280; }
         .source-card-detail { font-size: 13px; color: #6b7280; line-height: 1.4; }
+        .settings-card { background: #fff; border-radius: 14px; padding: 20px 24px; margin-bottom: 12px; box-shadow: 0 1px 3px rgba(0,0,0,0.06); border: 1px solid #e5e7eb; }
+        .settings-hint { font-size: 13px; color: #6b7280; line-height: 1.5; margin-bottom: 16px; }
+        .settings-empty { font-size: 13px; color: #9ca3af; margin-bottom: 16px; }
+        .settings-flash { padding: 12px 20px; border-radius: 10px; font-size: 14px; font-weight: 500; margin-bottom: 16px; }
+        .flash-success { background: #dcfce7; color: #166534; }
+        .flash-error { background: #fee2e2; color: #991b1b; }
+        .event-table { width: 100%; border-collapse: collapse; font-size: 13px; margin-bottom: 16px; }
+        .event-table th { text-align: left; font-size: 11px; font-weight: 600; color: #6b7280; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; }
+        .event-table td { padding: 8px; border-bottom: 1px solid #f3f4f6; color: #374151; vertical-align: top; }
+        .event-table tr.past td { color: #9ca3af; }
+        .event-notes { font-size: 12px; color: #6b7280; margin-top: 2px; }
+        .event-form { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 12px; align-items: end; }
+        .event-form label { display: flex; flex-direction: column; gap: 4px; font-size: 12px; font-weight: 600; color: #6b7280; }
+        .event-form label.wide { grid-column: 1 / -1; }
+        .event-form textarea { font: inherit; font-size: 14px; font-weight: 400; color: #1a1a1a; padding: 7px 10px; border: 1px solid #d1d5db; border-radius: 8px; resize: vertical; }
+        .field-hint { font-size: 11px; font-weight: 400; color: #9ca3af; }
+        .context-section { border: none; margin-bottom: 20px; }
+        .context-section legend { font-size: 13px; font-weight: 700; text-transform: uppercase; letter-spacing: 0.05em; color: #374151; margin-bottom: 10px; }
+        .reset-form { margin-top: 12px; }
+        .event-form input, .event-form select { font: inherit; font-size: 14px; font-weight: 400; color: #1a1a1a; padding: 7px 10px; border: 1px solid #d1d5db; border-radius: 8px; background: #fff; }
+        .primary-button { font: inherit; font-size: 14px; font-weight: 600; color: #fff; background: #008060; border: none; border-radius: 8px; padding: 9px 16px; cursor: pointer; }
+        .link-button { font: inherit; font-size: 13px; color: #991b1b; background: none; border: none; cursor: pointer; padding: 0; }
       </style>
     </head>
     <body>
@@ -59,75 +169,48 @@ function buildSettingsHtml(shop) {
         <h1>Shopify Dashboard</h1>
         <nav>
           <a href="/dashboard?shop=${shopParam}">Dashboard</a>
+          <a href="/dashboard/history?shop=${shopParam}">History</a>
           <a href="/settings?shop=${shopParam}" class="active">Settings</a>
         </nav>
       </div>
       <div class="container">
+        ${flash ? `<div class="settings-flash flash-${flash.type}">${escapeHtml(flash.message)}</div>` : ""}
         <div class="settings-title">Data Sources</div>
 
-        <div class="source-card connected">
-          <div class="source-card-icon icon-shopify">S</div>
-          <div class="source-card-body">
-            <div class="source-card-header">
-              <span class="source-card-name">Shopify</span>
-              <span class="source-card-badge badge-connected">\u2705 Connected</span>
-            </div>
-            <div class="source-card-detail">${escapeHtml(shop)}</div>
-          </div>
-        </div>
-
-        <div class="source-card ${gaConfigured ? "connected" : "disconnected"}">
-          <div class="source-card-icon icon-ga">G</div>
-          <div class="source-card-body">
-            <div class="source-card-header">
-              <span class="source-card-name">Google Analytics</span>
-              ${gaConfigured
-                ? '<span class="source-card-badge badge-connected">\u2705 Connected</span>'
-                : '<span class="source-card-badge badge-off">Not configured</span>'
-              }
-            </div>
-            <div class="source-card-detail">${gaConfigured
-              ? `Property ID: ${escapeHtml(config.GA_PROPERTY_ID)}<br>Service account active`
-              : "Add GA_PROPERTY_ID and GA_SERVICE_ACCOUNT_JSON to env"
-            }</div>
-          </div>
-        </div>
-
-        <div class="source-card ${metaConfigured ? "connected" : "disconnected"}">
-          <div class="source-card-icon icon-meta">f</div>
-          <div class="source-card-body">
-            <div class="source-card-header">
-              <span class="source-card-name">Meta Ads</span>
-              ${metaConfigured
-                ? '<span class="source-card-badge badge-connected">\u2705 Connected</span>'
-                : '<span class="source-card-badge badge-off">Not configured</span>'
-              }
-            </div>
-            <div class="source-card-detail">${metaConfigured
-              ? `System User connected<br>Account: ${escapeHtml(accountIdDisplay)}`
-              : "Add META_SYSTEM_USER_TOKEN and META_AD_ACCOUNT_ID to env"
-            }</div>
-          </div>
-        </div>
-
-        <div class="source-card ${claudeConfigured ? "connected" : "disconnected"}">
-          <div class="source-card-icon icon-claude">AI</div>
-          <div class="source-card-body">
-            <div class="source-card-header">
-              <span class="source-card-name">Claude AI</span>
-              ${claudeConfigured
-                ? '<span class="source-card-badge badge-connected">\u2705 Connected</span>'
-                : '<span class="source-card-badge badge-off">Not configured</span>'
-              }
-            </div>
-            <div class="source-card-detail">${claudeConfigured
-              ? "Generating business insights"
-              : "Add ANTHROPIC_API_KEY to env"
-            }</div>
-          </div>
-        </div>
-
+        ${sourceCardHtml({ iconClass: "icon-shopify", iconText: "S", name: "Shopify", configured: true, detail: escapeHtml(shop) })}
+        ${connectors.map(c => c.settingsCard()).join("")}
+        ${sourceCardHtml({
+          iconClass: "icon-claude",
+          iconText: "AI",
+          name: "Claude AI",
+          configured: claudeConfigured,
+          detail: "Generating business insights",
+          hint: "Add ANTHROPIC_API_KEY to env",
+        })}
+        ${buildBusinessContextHtml(shopParam, businessContext, isCustomContext, contextForm)}
+        ${buildSeasonalityHtml(shopParam, events)}
       </div>
+      <script>
+        // Edits must prove they come from this shop's admin: attach an App Bridge session token to each form
+        document.addEventListener("submit", function(e) {
+          var form = e.target;
+          if (e.defaultPrevented || form.dataset.tokenAttached || !window.shopify || !shopify.idToken) return;
+          e.preventDefault();
+          shopify.idToken().then(function(token) {
+            var input = form.querySelector('input[name="id_token"]');
+            if (!input) {
+              input = document.createElement("input");
+              input.type = "hidden";
+              input.name = "id_token";
+              form.appendChild(input);
+            }
+            input.value = token;
+          }).catch(function() {}).then(function() {
+            form.dataset.tokenAttached = "1";
+            form.submit();
+          });
+        });
+      </script>
     </body>
     </html>
   `;